@@ -0,0 +1,60 @@
+/**
+ * Analysis Configuration
+ * Centralizes support, load and unit options for the structural analysis modules
+ */
+
+// Single-span support arrangements (left end first)
+export const SpanType = {
+    SIMPLY_SUPPORTED: 'simply_supported',       // Pinned - roller
+    CANTILEVER: 'cantilever',                   // Fixed - free
+    PROPPED_CANTILEVER: 'propped_cantilever',   // Fixed - roller
+    FIXED_FIXED: 'fixed_fixed'                  // Fixed - fixed
+};
+
+// Support types of beams and frames
+export const SupportType = {
+    PINNED: 'pinned',   // Translations restrained
+    ROLLER: 'roller',   // Vertical translation restrained
+    FIXED: 'fixed',     // Translations and rotation restrained
+    SPRING: 'spring',   // Elastic translation and rotation restraint
+    FREE: 'free'        // Unsupported end
+};
+
+// Beam load types, acting downwards when positive
+export const LoadType = {
+    POINT: 'point',             // Concentrated force (N)
+    UDL: 'udl',                 // Uniformly distributed load (N/mm)
+    TRIANGULAR: 'triangular'    // Linearly varying load (N/mm)
+};
+
+// Direction of member loads in frames
+export const LoadDirection = {
+    LOCAL: 'local',     // Perpendicular to the member, towards local -y
+    GRAVITY: 'gravity'  // Vertically downwards, per unit member length
+};
+
+// Standard gravity for self-weight (m/s²)
+export const GRAVITY = 9.81;
+
+// Number of stations along a span for the diagrams
+export const DEFAULT_DIAGRAM_POINTS = 101;
+
+// Analysis metadata
+export const SpanTypeMetadata = {
+    [SpanType.SIMPLY_SUPPORTED]: {
+        name: 'Simply Supported',
+        supports: [SupportType.PINNED, SupportType.ROLLER]
+    },
+    [SpanType.CANTILEVER]: {
+        name: 'Cantilever',
+        supports: [SupportType.FIXED, SupportType.FREE]
+    },
+    [SpanType.PROPPED_CANTILEVER]: {
+        name: 'Propped Cantilever',
+        supports: [SupportType.FIXED, SupportType.ROLLER]
+    },
+    [SpanType.FIXED_FIXED]: {
+        name: 'Fixed-Fixed',
+        supports: [SupportType.FIXED, SupportType.FIXED]
+    }
+};
\ No newline at end of file
@@ -0,0 +1,284 @@
+/**
+ * Design Configuration
+ * Centralizes design code options and the limits used by the design checks
+ */
+
+// Design codes
+export const DesignCode = {
+    EN_1993: 'en_1993',
+    AISC_360: 'aisc_360'
+};
+
+// Load cases for cross-section classification
+export const LoadCase = {
+    COMPRESSION: 'compression',   // Uniform axial compression
+    BENDING_X: 'bending_x',       // Bending about the x-axis (major axis)
+    BENDING_Y: 'bending_y'        // Bending about the y-axis (minor axis)
+};
+
+// EN 1993-1-1 cross-section classes
+export const SectionClass = {
+    CLASS_1: 1,
+    CLASS_2: 2,
+    CLASS_3: 3,
+    CLASS_4: 4
+};
+
+// AISC 360 element classifications
+export const AiscSectionClass = {
+    COMPACT: 'compact',
+    NONCOMPACT: 'noncompact',
+    NONSLENDER: 'nonslender',
+    SLENDER: 'slender'
+};
+
+// Modulus that may be used for bending resistance, by EN class
+export const ClassModulus = {
+    [SectionClass.CLASS_1]: 'plastic',
+    [SectionClass.CLASS_2]: 'plastic',
+    [SectionClass.CLASS_3]: 'elastic',
+    [SectionClass.CLASS_4]: 'effective'
+};
+
+// Modulus that may be used for bending resistance, by AISC classification
+export const AiscClassModulus = {
+    [AiscSectionClass.COMPACT]: 'plastic',
+    [AiscSectionClass.NONCOMPACT]: 'elastic',
+    [AiscSectionClass.NONSLENDER]: 'plastic',
+    [AiscSectionClass.SLENDER]: 'effective'
+};
+
+// Width-to-thickness limits for classification
+// EN 1993-1-1 Table 5.2: Class 1, 2 and 3 limits as multiples of ε = √(235/fy)
+// (ε² for circular hollow sections). A null limit means the class is not
+// available for that element.
+// AISC 360 Tables B4.1a/B4.1b: λp and λr as multiples of √(E/Fy)
+// (E/Fy for round HSS). Compression only has λr.
+export const ClassificationLimits = {
+    [DesignCode.EN_1993]: {
+        internal: {
+            compression: [33, 38, 42],
+            bending: [72, 83, 124]
+        },
+        outstand: {
+            // Bending limits are taken for the tip in compression
+            compression: [9, 10, 14],
+            bending: [9, 10, 14]
+        },
+        chs: {
+            compression: [50, 70, 90],
+            bending: [50, 70, 90]
+        },
+        angle_leg: {
+            compression: [null, null, 15],
+            bending: [9, 10, 14]
+        },
+        angle_legs: {
+            // (b + h) / 2t of an equal or unequal angle
+            compression: [null, null, 11.5]
+        }
+    },
+    [DesignCode.AISC_360]: {
+        flange: {
+            compression: [null, 0.56],
+            flexure: [0.38, 1.0]
+        },
+        web: {
+            compression: [null, 1.49],
+            flexure: [3.76, 5.70]
+        },
+        hss_flange: {
+            compression: [null, 1.40],
+            flexure: [1.12, 1.40]
+        },
+        hss_web: {
+            compression: [null, 1.40],
+            flexure: [2.42, 5.70]
+        },
+        round_hss: {
+            compression: [null, 0.11],
+            flexure: [0.07, 0.31]
+        },
+        angle_leg: {
+            compression: [null, 0.45],
+            flexure: [0.54, 0.91]
+        },
+        tee_stem: {
+            compression: [null, 0.75],
+            flexure: [0.84, 1.52]
+        }
+    }
+};
+
+// Reference yield strength for ε in EN 1993 (MPa)
+export const REFERENCE_YIELD_STRENGTH = 235;
+
+// Poisson's ratio used for plate buckling stresses
+export const POISSON_RATIO = 0.3;
+
+// Partial factors (EN 1993-1-1 recommended values) and resistance factors (AISC 360 LRFD)
+export const ResistanceFactors = {
+    [DesignCode.EN_1993]: {
+        gammaM0: 1.0,   // Cross-section resistance
+        gammaM1: 1.0,   // Member buckling
+        gammaM2: 1.25   // Net section rupture, bolts and welds
+    },
+    [DesignCode.AISC_360]: {
+        tensionYield: 0.90,
+        tensionRupture: 0.75,
+        compression: 0.90,
+        flexure: 0.90,
+        bolt: 0.75,     // Bolt shear, tension and bearing
+        weld: 0.75
+    }
+};
+
+// EN 1993-1-1 buckling curves and imperfection factors (Table 6.1)
+export const BucklingCurve = {
+    A0: 'a0',
+    A: 'a',
+    B: 'b',
+    C: 'c',
+    D: 'd'
+};
+
+export const ImperfectionFactors = {
+    [BucklingCurve.A0]: 0.13,
+    [BucklingCurve.A]: 0.21,
+    [BucklingCurve.B]: 0.34,
+    [BucklingCurve.C]: 0.49,
+    [BucklingCurve.D]: 0.76
+};
+
+// AISC 360 E7 effective width imperfection adjustment factors (Table E7.1)
+export const AiscEffectiveWidthFactors = {
+    web: { c1: 0.18, c2: 1.31 },
+    hss_flange: { c1: 0.20, c2: 1.38 },
+    hss_web: { c1: 0.20, c2: 1.38 },
+    flange: { c1: 0.22, c2: 1.49 },
+    angle_leg: { c1: 0.22, c2: 1.49 },
+    tee_stem: { c1: 0.22, c2: 1.49 }
+};
+
+// Load application height for lateral-torsional buckling
+export const LoadPosition = {
+    SHEAR_CENTER: 'shear_center',
+    TOP_FLANGE: 'top_flange',       // Destabilizing
+    BOTTOM_FLANGE: 'bottom_flange'  // Stabilizing
+};
+
+// Bending moment distributions along a simply supported segment
+export const MomentDistribution = {
+    UNIFORM: 'uniform',
+    UDL: 'udl',
+    POINT_LOAD: 'point_load'
+};
+
+// Equivalent uniform moment factors: C1 and C2 (EN 1993, k = 1) and Cb (AISC 360)
+export const MomentFactors = {
+    [MomentDistribution.UNIFORM]: { C1: 1.0, C2: 0, Cb: 1.0 },
+    [MomentDistribution.UDL]: { C1: 1.127, C2: 0.454, Cb: 1.14 },
+    [MomentDistribution.POINT_LOAD]: { C1: 1.348, C2: 0.630, Cb: 1.32 }
+};
+
+// Interaction equations for combined axial force and bending
+export const InteractionEquation = {
+    CROSS_SECTION: '6.2',   // EN 1993-1-1 6.2.1(7) linear cross-section check
+    MEMBER_LTB: '6.54',     // EN 1993-1-1 MEd/Mb,Rd check, extended to biaxial bending of tension members
+    MAJOR_AXIS: '6.61',     // EN 1993-1-1 buckling about the major axis
+    MINOR_AXIS: '6.62',     // EN 1993-1-1 buckling about the minor axis
+    H1_1A: 'H1-1a',         // AISC 360 Pr/Pc >= 0.2
+    H1_1B: 'H1-1b'          // AISC 360 Pr/Pc < 0.2
+};
+
+// Default deflection limits as span ratios (span / ratio)
+export const DeflectionLimits = {
+    total: 250,     // Permanent plus variable load
+    live: 360       // Variable load only
+};
+
+// Structure types with a vibration criterion
+export const VibrationUse = {
+    FLOOR: 'floor',
+    FOOTBRIDGE: 'footbridge'
+};
+
+// Minimum fundamental vertical frequencies (Hz) below which a dynamic assessment is needed
+export const MinimumFrequency = {
+    [VibrationUse.FLOOR]: 3,        // SCI P354 general floors
+    [VibrationUse.FOOTBRIDGE]: 5    // EN 1990 Annex A2 A2.4.3.2 vertical modes
+};
+
+// Bolt grades
+export const BoltGrade = {
+    GRADE_4_6: '4.6',
+    GRADE_8_8: '8.8',
+    GRADE_10_9: '10.9',
+    A325: 'A325',
+    A490: 'A490'
+};
+
+// Bolt strengths (MPa) and the EN 1993-1-8 Table 3.4 shear factor αv with threads in the shear plane
+export const BoltGradeProperties = {
+    [BoltGrade.GRADE_4_6]: { fub: 400, fyb: 240, alphaV: 0.6 },
+    [BoltGrade.GRADE_8_8]: { fub: 800, fyb: 640, alphaV: 0.6 },
+    [BoltGrade.GRADE_10_9]: { fub: 1000, fyb: 900, alphaV: 0.5 },
+    [BoltGrade.A325]: { fub: 825, fyb: 635, alphaV: 0.6 },
+    [BoltGrade.A490]: { fub: 1035, fyb: 895, alphaV: 0.5 }
+};
+
+// Tensile stress areas of metric coarse-thread bolts (mm²) by nominal diameter (mm)
+export const BoltStressArea = {
+    12: 84.3,
+    16: 157,
+    20: 245,
+    22: 303,
+    24: 353,
+    27: 459,
+    30: 561,
+    36: 817
+};
+
+// Standard hole clearances (mm) up to a bolt diameter (EN 1090-2 Table 11, AISC 360 Table J3.3M)
+export const HoleClearance = {
+    [DesignCode.EN_1993]: [
+        { maxDiameter: 14, clearance: 1 },
+        { maxDiameter: 24, clearance: 2 },
+        { maxDiameter: Infinity, clearance: 3 }
+    ],
+    [DesignCode.AISC_360]: [
+        { maxDiameter: 22, clearance: 2 },
+        { maxDiameter: Infinity, clearance: 3 }
+    ]
+};
+
+// Methods for eccentrically loaded bolt groups
+export const BoltGroupMethod = {
+    ELASTIC: 'elastic',
+    INSTANTANEOUS_CENTER: 'instantaneous_center'
+};
+
+// EN 1993-1-8 Table 4.1 fillet weld correlation factor βw by parent metal yield strength (MPa)
+export const WeldCorrelationFactors = [
+    { maxYield: 235, betaW: 0.8 },
+    { maxYield: 275, betaW: 0.85 },
+    { maxYield: 355, betaW: 0.9 },
+    { maxYield: Infinity, betaW: 1.0 }
+];
+
+// Default AISC filler metal classification strength FEXX (MPa), E70XX electrodes
+export const ELECTRODE_STRENGTH = 482;
+
+// Design code metadata
+export const DesignCodeMetadata = {
+    [DesignCode.EN_1993]: {
+        name: 'Eurocode 3',
+        description: 'EN 1993-1-1 design of steel structures',
+        standards: ['EN 1993-1-1', 'EN 1993-1-5']
+    },
+    [DesignCode.AISC_360]: {
+        name: 'AISC 360',
+        description: 'ANSI/AISC 360 specification for structural steel buildings',
+        standards: ['AISC 360-16']
+    }
+};
\ No newline at end of file
@@ -6,6 +6,8 @@
 import * as MaterialConfig from './materials.js';
 import * as ProfileConfig from './profiles.js';
 import * as UIConfig from './ui.js';
+import * as DesignConfig from './design.js';
+import * as AnalysisConfig from './analysis.js';
 
 class ConfigManager {
     constructor() {
@@ -13,7 +15,9 @@ class ConfigManager {
         this.configs = {
             material: MaterialConfig,
             profile: ProfileConfig,
-            ui: UIConfig
+            ui: UIConfig,
+            design: DesignConfig,
+            analysis: AnalysisConfig
         };
         
         // Cache for computed/derived configurations
@@ -22,7 +26,7 @@ class ConfigManager {
 
     /**
      * Get a specific configuration module
-     * @param {string} module Module name ('material', 'profile', or 'ui')
+     * @param {string} module Module name ('material', 'profile', 'ui', 'design' or 'analysis')
      * @returns {Object} Configuration module
      */
     getConfig(module) {
@@ -53,6 +57,22 @@ class ConfigManager {
         return this.configs.ui;
     }
 
+    /**
+     * Get design configuration
+     * @returns {Object} Design configuration
+     */
+    getDesignConfig() {
+        return this.configs.design;
+    }
+
+    /**
+     * Get analysis configuration
+     * @returns {Object} Analysis configuration
+     */
+    getAnalysisConfig() {
+        return this.configs.analysis;
+    }
+
     /**
      * Get combined validation rules for a profile type
      * @param {string} profileType Profile type
@@ -134,5 +154,7 @@ export default configManager;
 export {
     MaterialConfig,
     ProfileConfig,
-    UIConfig
+    UIConfig,
+    DesignConfig,
+    AnalysisConfig
 }; 
\ No newline at end of file
@@ -6,7 +6,10 @@
 // Profile Categories
 export const ProfileCategory = {
     CLOSED: 'closed',
-    OPEN: 'open'
+    OPEN: 'open',
+    SOLID: 'solid',
+    CUSTOM: 'custom',
+    COMPOUND: 'compound'
 };
 
 // Profile Types
@@ -19,7 +22,18 @@ export const ProfileType = {
     // Open Profiles
     ANGLE: 'angle',
     CHANNEL: 'channel',
-    I_BEAM: 'i_beam'
+    I_BEAM: 'i_beam',
+    T_SECTION: 't_section',
+    Z_SECTION: 'z_section',
+    
+    // Solid Profiles
+    FLAT_BAR: 'flat_bar',
+    ROUND_BAR: 'round_bar',
+    SQUARE_BAR: 'square_bar',
+    
+    // Custom Profiles
+    CUSTOM: 'custom',
+    COMPOUND: 'compound'
 };
 
 // Required dimensions for each profile type
@@ -29,7 +43,14 @@ export const RequiredDimensions = {
     [ProfileType.RECTANGULAR_TUBE]: ['width', 'height', 'thickness', 'length'],
     [ProfileType.ANGLE]: ['width', 'height', 'thickness', 'length'],
     [ProfileType.CHANNEL]: ['width', 'height', 'thickness', 'length', 'flange_width'],
-    [ProfileType.I_BEAM]: ['width', 'height', 'web_thickness', 'flange_thickness', 'length']
+    [ProfileType.I_BEAM]: ['width', 'height', 'web_thickness', 'flange_thickness', 'length'],
+    [ProfileType.T_SECTION]: ['width', 'height', 'web_thickness', 'flange_thickness', 'length'],
+    [ProfileType.Z_SECTION]: ['height', 'thickness', 'length', 'flange_width'],
+    [ProfileType.FLAT_BAR]: ['width', 'thickness', 'length'],
+    [ProfileType.ROUND_BAR]: ['diameter', 'length'],
+    [ProfileType.SQUARE_BAR]: ['width', 'length'],
+    [ProfileType.CUSTOM]: ['outline', 'length'],
+    [ProfileType.COMPOUND]: ['parts', 'length']
 };
 
 // Optional dimensions that can be specified
@@ -39,7 +60,14 @@ export const OptionalDimensions = {
     [ProfileType.RECTANGULAR_TUBE]: ['outer_radius', 'inner_radius'],
     [ProfileType.ANGLE]: ['inner_radius', 'toe_radius'],
     [ProfileType.CHANNEL]: ['root_radius', 'toe_radius'],
-    [ProfileType.I_BEAM]: ['root_radius', 'toe_radius', 'k_dimension']
+    [ProfileType.I_BEAM]: ['root_radius', 'toe_radius', 'k_dimension'],
+    [ProfileType.T_SECTION]: ['root_radius', 'toe_radius'],
+    [ProfileType.Z_SECTION]: ['root_radius', 'toe_radius'],
+    [ProfileType.FLAT_BAR]: [],
+    [ProfileType.ROUND_BAR]: [],
+    [ProfileType.SQUARE_BAR]: ['outer_radius'],
+    [ProfileType.CUSTOM]: ['holes'],
+    [ProfileType.COMPOUND]: []
 };
 
 // Dimension validation rules
@@ -144,6 +172,89 @@ export const ProfileValidation = {
                 message: 'Thickness must be less than width and height'
             }
         ]
+    },
+    [ProfileType.CHANNEL]: {
+        rules: [
+            {
+                check: (dimensions) => dimensions.thickness < dimensions.flange_width,
+                message: 'Thickness must be less than flange width'
+            },
+            {
+                check: (dimensions) => dimensions.thickness < dimensions.height / 2,
+                message: 'Thickness must be less than half of the height'
+            }
+        ]
+    },
+    [ProfileType.I_BEAM]: {
+        rules: [
+            {
+                check: (dimensions) => dimensions.web_thickness < dimensions.width,
+                message: 'Web thickness must be less than flange width'
+            },
+            {
+                check: (dimensions) => dimensions.flange_thickness < dimensions.height / 2,
+                message: 'Flange thickness must be less than half of the height'
+            }
+        ]
+    },
+    [ProfileType.T_SECTION]: {
+        rules: [
+            {
+                check: (dimensions) => dimensions.web_thickness < dimensions.width,
+                message: 'Web thickness must be less than flange width'
+            },
+            {
+                check: (dimensions) => dimensions.flange_thickness < dimensions.height,
+                message: 'Flange thickness must be less than height'
+            }
+        ]
+    },
+    [ProfileType.Z_SECTION]: {
+        rules: [
+            {
+                check: (dimensions) => dimensions.thickness < dimensions.flange_width,
+                message: 'Thickness must be less than flange width'
+            },
+            {
+                check: (dimensions) => dimensions.thickness < dimensions.height / 2,
+                message: 'Thickness must be less than half of the height'
+            }
+        ]
+    },
+    [ProfileType.FLAT_BAR]: {
+        rules: [
+            {
+                check: (dimensions) => dimensions.thickness <= dimensions.width,
+                message: 'Thickness must not exceed width'
+            }
+        ]
+    },
+    [ProfileType.ROUND_BAR]: {
+        rules: []
+    },
+    [ProfileType.SQUARE_BAR]: {
+        rules: [
+            {
+                check: (dimensions) => !(dimensions.outer_radius >= dimensions.width / 2),
+                message: 'Corner radius must be less than half of the width'
+            }
+        ]
+    },
+    [ProfileType.CUSTOM]: {
+        rules: [
+            {
+                check: (dimensions) => Array.isArray(dimensions.outline) && dimensions.outline.length >= 3,
+                message: 'Outline must have at least 3 points'
+            }
+        ]
+    },
+    [ProfileType.COMPOUND]: {
+        rules: [
+            {
+                check: (dimensions) => Array.isArray(dimensions.parts) && dimensions.parts.length > 0,
+                message: 'Compound section must have at least one part'
+            }
+        ]
     }
 };
 
@@ -190,5 +301,54 @@ export const ProfileMetadata = {
         description: 'I-shaped profile',
         commonUses: ['main beams', 'columns', 'structural support'],
         standards: ['EN 10034', 'ASTM A36']
+    },
+    [ProfileType.T_SECTION]: {
+        category: ProfileCategory.OPEN,
+        name: 'T-Section',
+        description: 'T-shaped profile, usually split from an I-beam',
+        commonUses: ['truss chords', 'stiffeners', 'hangers'],
+        standards: ['EN 10055', 'ASTM A6']
+    },
+    [ProfileType.Z_SECTION]: {
+        category: ProfileCategory.OPEN,
+        name: 'Z-Section',
+        description: 'Z-shaped profile',
+        commonUses: ['purlins', 'girts', 'rails'],
+        standards: ['EN 10162', 'AISI S100']
+    },
+    [ProfileType.FLAT_BAR]: {
+        category: ProfileCategory.SOLID,
+        name: 'Flat Bar',
+        description: 'Solid rectangular bar',
+        commonUses: ['plates', 'bracing', 'connection plates'],
+        standards: ['EN 10058', 'ASTM A36']
+    },
+    [ProfileType.ROUND_BAR]: {
+        category: ProfileCategory.SOLID,
+        name: 'Round Bar',
+        description: 'Solid circular bar',
+        commonUses: ['tie rods', 'pins', 'bracing'],
+        standards: ['EN 10060', 'ASTM A36']
+    },
+    [ProfileType.SQUARE_BAR]: {
+        category: ProfileCategory.SOLID,
+        name: 'Square Bar',
+        description: 'Solid square bar',
+        commonUses: ['posts', 'railings', 'machined parts'],
+        standards: ['EN 10059', 'ASTM A36']
+    },
+    [ProfileType.CUSTOM]: {
+        category: ProfileCategory.CUSTOM,
+        name: 'Custom',
+        description: 'Arbitrary section bounded by an outline with optional holes',
+        commonUses: ['custom extrusions', 'special sections'],
+        standards: []
+    },
+    [ProfileType.COMPOUND]: {
+        category: ProfileCategory.COMPOUND,
+        name: 'Compound',
+        description: 'Built-up section combining several profiles',
+        commonUses: ['back-to-back channels', 'double angles', 'plated beams'],
+        standards: []
     }
 }; 
\ No newline at end of file
@@ -19,6 +19,7 @@ class Component {
         this.material = data.material || null;
         this.profile = data.profile || null;
         this.dimensions = data.dimensions || {};
+        this.holes = data.holes || []; // Bolt holes {diameter, x, y, axis, position}
         this.quantity = data.quantity || 1;
         this.weight = data.weight || 0;
         this.parent = data.parent || null;
@@ -55,6 +56,11 @@ class Component {
         if (this.quantity < 1) {
             this.validation.errors.push('Quantity must be at least 1');
         }
+        this.holes.forEach((hole, i) => {
+            if (!(hole.diameter > 0)) {
+                this.validation.errors.push(`Hole ${i + 1} diameter must be positive`);
+            }
+        });
 
         this.validation.isValid = this.validation.errors.length === 0;
         return this.validation.isValid;
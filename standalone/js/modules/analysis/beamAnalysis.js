@@ -0,0 +1,302 @@
+/**
+ * Beam Analysis Module
+ * Linear elastic analysis of single-span beams with the initial parameter
+ * method: the shear, moment, rotation and deflection along the span follow
+ * from the values at the left end and Macaulay integrals of the loads, and
+ * the unknown end values from the support conditions. Forces are in N,
+ * lengths in mm, moments in N·mm and distributed loads in N/mm.
+ */
+
+import ProfileCalculator from '../calculations/profileCalculator.js';
+import {
+    SpanType,
+    SpanTypeMetadata,
+    SupportType,
+    LoadType,
+    GRAVITY,
+    DEFAULT_DIAGRAM_POINTS
+} from '../../core/config/analysis.js';
+
+// Unknown left-end values per left support, as indices into [EI·w0, EI·θ0, M0, V0]
+const LeftUnknowns = {
+    [SupportType.PINNED]: [1, 3],
+    [SupportType.FIXED]: [2, 3]
+};
+
+// Conditions at the right end of the span
+const RightConditions = {
+    [SupportType.ROLLER]: ['deflection', 'moment'],
+    [SupportType.FIXED]: ['deflection', 'rotation'],
+    [SupportType.FREE]: ['moment', 'shear']
+};
+
+class BeamAnalysis {
+    /**
+     * Analyse a single-span beam
+     * Loads act downwards when positive. The self-weight of the component is
+     * added as a uniform load unless options.selfWeight is false. Shear is
+     * positive when the part left of a section is pushed up, moments are
+     * sagging positive and deflections are positive downwards.
+     * @param {Object} component Component with profile and dimensions (length is the span)
+     * @param {Object} material Material with properties.elasticModulus (MPa) and density (kg/m³)
+     * @param {Array<Object>} loads Loads:
+     *        {type: LoadType.POINT, value (N), position (mm)},
+     *        {type: LoadType.UDL, value (N/mm), start, end} or
+     *        {type: LoadType.TRIANGULAR, startValue, endValue (N/mm), start, end};
+     *        start and end default to the span ends
+     * @param {Object} options Options
+     * @param {string} options.spanType Support arrangement (SpanType, default simply supported)
+     * @param {number} options.length Span (mm), defaulting to the component length
+     * @param {boolean} options.selfWeight Add the self-weight (default true)
+     * @param {number} options.points Number of diagram stations (default 101)
+     * @param {Array<{x: number, left: boolean}>} options.stations Diagram stations, overriding points
+     * @returns {Object} Reactions, diagrams, maxima, stiffness and self-weight
+     */
+    static calculate(component, material, loads = [], options = {}) {
+        const spanType = options.spanType ?? SpanType.SIMPLY_SUPPORTED;
+        const supports = SpanTypeMetadata[spanType]?.supports;
+        if (!supports) {
+            throw new Error(`Unsupported span type: ${spanType}`);
+        }
+
+        const dimensions = ProfileCalculator.normalizeDimensions(component.dimensions);
+        const length = options.length ?? dimensions.length;
+        if (!(length > 0)) {
+            throw new Error('Span length must be positive');
+        }
+        const E = material?.properties?.elasticModulus;
+        if (!(E > 0)) {
+            throw new Error('Material elastic modulus is required');
+        }
+        const EI = E * ProfileCalculator.calculateMomentOfInertiaX(component.profile, dimensions);
+
+        const warnings = [];
+        let selfWeight = 0;
+        if (options.selfWeight !== false) {
+            const density = material.properties.density;
+            if (density > 0) {
+                // kg/m · m/s² = N/m, divided by 1000 for N/mm
+                selfWeight = ProfileCalculator.calculateWeightPerLength(component.profile, dimensions, density) *
+                    GRAVITY / 1000;
+            } else {
+                warnings.push('Material density is missing, self-weight not included');
+            }
+        }
+
+        const allLoads = selfWeight > 0
+            ? [...loads, { type: LoadType.UDL, value: selfWeight }]
+            : loads;
+        const terms = allLoads.flatMap(load => this._getLoadTerms(load, length));
+        const initial = this._solveInitialValues(terms, supports, length);
+        const at = (x, left = false) => this._evaluate(terms, initial, EI, x, left);
+
+        const stations = options.stations ?? this.getStations(allLoads, length, options.points);
+        const values = stations.map(station => at(station.x, station.left));
+        const diagrams = {
+            x: values.map(value => value.x),
+            shear: values.map(value => value.shear),
+            moment: values.map(value => value.moment),
+            rotation: values.map(value => value.rotation),
+            deflection: values.map(value => value.deflection)
+        };
+
+        const start = at(0, true);
+        const end = at(length);
+        return {
+            spanType,
+            length,
+            EI,
+            selfWeight,
+            reactions: {
+                left: { vertical: start.shear, moment: start.moment },
+                right: { vertical: -end.shear, moment: end.moment }
+            },
+            diagrams,
+            maxima: this._getMaxima(values),
+            warnings
+        };
+    }
+
+    /**
+     * Diagram stations along a span
+     * Evenly spaced stations, plus a station on either side of the shear jump
+     * under each point load inside the span.
+     * @param {Array<Object>} loads Loads
+     * @param {number} length Span (mm)
+     * @param {number} points Number of evenly spaced stations (default 101)
+     * @returns {Array<{x: number, left: boolean}>} Stations in order, left marks the value just left of a jump
+     */
+    static getStations(loads, length, points = DEFAULT_DIAGRAM_POINTS) {
+        if (!(Number.isInteger(points) && points >= 2)) {
+            throw new Error('Diagram needs at least 2 points');
+        }
+        const stations = [];
+        for (let i = 0; i < points; i++) {
+            stations.push({ x: i * length / (points - 1), left: false });
+        }
+        loads
+            .filter(load => load.type === LoadType.POINT && load.position > 0 && load.position < length)
+            .forEach(load => stations.push({ x: load.position, left: true }, { x: load.position, left: false }));
+        return stations.sort((a, b) => a.x - b.x || (b.left - a.left));
+    }
+
+    /**
+     * Solve the unknown left-end values from the support conditions
+     * @private
+     * @param {Array<Object>} terms Load terms
+     * @param {Array<string>} supports Left and right support
+     * @param {number} length Span (mm)
+     * @returns {Array<number>} [EI·w0, EI·θ0, M0, V0]
+     */
+    static _solveInitialValues(terms, supports, length) {
+        const [left, right] = supports;
+        const L = length;
+        const load = (m) => terms.reduce((sum, term) => sum + this._integrate(term, m, L), 0);
+
+        // Each right-end value is coefficients · [EI·w0, EI·θ0, M0, V0] minus a load integral
+        const rows = {
+            shear: { coefficients: [0, 0, 0, 1], load: load(1) },
+            moment: { coefficients: [0, 0, 1, L], load: load(2) },
+            rotation: { coefficients: [0, 1, L, L * L / 2], load: load(3) },
+            deflection: { coefficients: [1, L, L * L / 2, L * L * L / 6], load: load(4) }
+        };
+
+        const [i, j] = LeftUnknowns[left];
+        const [first, second] = RightConditions[right].map(name => rows[name]);
+        const det = first.coefficients[i] * second.coefficients[j] - first.coefficients[j] * second.coefficients[i];
+        const initial = [0, 0, 0, 0];
+        initial[i] = (first.load * second.coefficients[j] - first.coefficients[j] * second.load) / det;
+        initial[j] = (first.coefficients[i] * second.load - first.load * second.coefficients[i]) / det;
+        return initial;
+    }
+
+    /**
+     * Shear, moment, rotation and deflection at a station
+     * @private
+     * @param {Array<Object>} terms Load terms
+     * @param {Array<number>} initial [EI·w0, EI·θ0, M0, V0]
+     * @param {number} EI Flexural stiffness (N·mm²)
+     * @param {number} x Station (mm)
+     * @param {boolean} left Take the value just left of a point load at x
+     * @returns {{x: number, shear: number, moment: number, rotation: number, deflection: number}} Values
+     */
+    static _evaluate(terms, initial, EI, x, left = false) {
+        const [w0, theta0, M0, V0] = initial;
+        const load = (m) => terms.reduce((sum, term) => sum + this._integrate(term, m, x, left), 0);
+
+        return {
+            x,
+            shear: V0 - load(1),
+            moment: M0 + V0 * x - load(2),
+            rotation: (theta0 + M0 * x + V0 * x * x / 2 - load(3)) / EI,
+            deflection: -(w0 + theta0 * x + M0 * x * x / 2 + V0 * x * x * x / 6 - load(4)) / EI
+        };
+    }
+
+    /**
+     * Repeated integral of a load term
+     * A term c·<x - a>^n is a point load for n = -1, a uniform load for n = 0
+     * and a linearly growing load for n = 1.
+     * @private
+     * @param {{a: number, n: number, c: number}} term Load term
+     * @param {number} m Number of integrations (1 = shear, 2 = moment, ...)
+     * @param {number} x Station (mm)
+     * @param {boolean} left Exclude a point load at x from the shear
+     * @returns {number} Integral at x
+     */
+    static _integrate(term, m, x, left = false) {
+        const d = x - term.a;
+        if (d < 0 || (left && d === 0 && term.n === -1)) {
+            return 0;
+        }
+        const factorial = (k) => k <= 1 ? 1 : k * factorial(k - 1);
+        if (term.n === -1) {
+            return term.c * Math.pow(d, m - 1) / factorial(m - 1);
+        }
+        return term.c * factorial(term.n) * Math.pow(d, term.n + m) / factorial(term.n + m);
+    }
+
+    /**
+     * Break a load into Macaulay terms
+     * @private
+     * @param {Object} load Load
+     * @param {number} length Span (mm)
+     * @returns {Array<{a: number, n: number, c: number}>} Load terms
+     */
+    static _getLoadTerms(load, length) {
+        const inSpan = (position) => {
+            if (!(position >= 0 && position <= length)) {
+                throw new Error(`Load position ${position} is outside the span`);
+            }
+            return position;
+        };
+
+        switch (load.type) {
+            case LoadType.POINT:
+                if (!Number.isFinite(load.value)) {
+                    throw new Error('Point load value must be a number');
+                }
+                return [{ a: inSpan(load.position), n: -1, c: load.value }];
+
+            case LoadType.UDL: {
+                const start = inSpan(load.start ?? 0);
+                const end = inSpan(load.end ?? length);
+                if (!(end > start)) {
+                    throw new Error('Uniform load must end after it starts');
+                }
+                if (!Number.isFinite(load.value)) {
+                    throw new Error('Uniform load value must be a number');
+                }
+                return [
+                    { a: start, n: 0, c: load.value },
+                    { a: end, n: 0, c: -load.value }
+                ];
+            }
+
+            case LoadType.TRIANGULAR: {
+                const start = inSpan(load.start ?? 0);
+                const end = inSpan(load.end ?? length);
+                if (!(end > start)) {
+                    throw new Error('Triangular load must end after it starts');
+                }
+                const q1 = load.startValue ?? 0;
+                const q2 = load.endValue ?? 0;
+                const slope = (q2 - q1) / (end - start);
+                return [
+                    { a: start, n: 0, c: q1 },
+                    { a: start, n: 1, c: slope },
+                    { a: end, n: 0, c: -q2 },
+                    { a: end, n: 1, c: -slope }
+                ];
+            }
+
+            default:
+                throw new Error(`Unsupported load type: ${load.type}`);
+        }
+    }
+
+    /**
+     * Extreme values along the span
+     * @private
+     * @param {Array<Object>} values Station values
+     * @returns {Object} Largest shear and deflection magnitudes and the moment range, with locations
+     */
+    static _getMaxima(values) {
+        const pick = (key, compare) => values.reduce((best, value) =>
+            compare(value[key], best.value) ? { value: value[key], x: value.x } : best,
+            { value: values[0][key], x: values[0].x });
+        const byMagnitude = (a, b) => Math.abs(a) > Math.abs(b);
+
+        return {
+            shear: pick('shear', byMagnitude),
+            moment: {
+                max: pick('moment', (a, b) => a > b),
+                min: pick('moment', (a, b) => a < b)
+            },
+            rotation: pick('rotation', byMagnitude),
+            deflection: pick('deflection', byMagnitude)
+        };
+    }
+}
+
+export default BeamAnalysis;
\ No newline at end of file
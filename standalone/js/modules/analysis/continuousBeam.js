@@ -0,0 +1,370 @@
+/**
+ * Continuous Beam Module
+ * Stiffness-method analysis of beams over any number of spans. Each node has
+ * a vertical deflection and a rotation; span loads enter as fixed-end forces
+ * from BeamAnalysis and the span diagrams are the fixed-end diagrams plus the
+ * effect of the node displacements. Variable loads are applied span by span
+ * to build the envelopes. Forces are in N, lengths in mm, moments in N·mm.
+ */
+
+import ProfileCalculator from '../calculations/profileCalculator.js';
+import BeamAnalysis from './beamAnalysis.js';
+import Matrix from './matrix.js';
+import { SpanType, SupportType, DEFAULT_DIAGRAM_POINTS } from '../../core/config/analysis.js';
+
+// Node degrees of freedom restrained by each support type (vertical, rotation)
+const RestrainedDofs = {
+    [SupportType.PINNED]: [true, false],
+    [SupportType.ROLLER]: [true, false],
+    [SupportType.FIXED]: [true, true],
+    [SupportType.SPRING]: [false, false],
+    [SupportType.FREE]: [false, false]
+};
+
+class ContinuousBeam {
+    /**
+     * Analyse a continuous beam
+     * Permanent loads and the self-weight act on all spans together, the
+     * variable loads of each span are switched on where they are adverse, so
+     * the envelopes cover every pattern of loaded and unloaded spans. The
+     * diagrams are for all loads acting at once. Sign conventions follow
+     * BeamAnalysis (downward loads and deflections, sagging moments positive).
+     * Support reactions act upwards and their moments counter-clockwise when positive.
+     * @param {Object} beam Beam definition
+     * @param {Array<Object>} beam.spans Spans from left to right:
+     *        {component, material, length, loads, variableLoads}, with the length defaulting to the
+     *        component length and loads in the BeamAnalysis format (positions from the span start)
+     * @param {Array<Object>} beam.supports Supports at the span ends (one more than spans):
+     *        {type: SupportType, stiffness (N/mm), rotationalStiffness (N·mm/rad)}, the stiffnesses for springs
+     * @param {Object} options Options
+     * @param {boolean} options.selfWeight Add the self-weight of the spans (default true)
+     * @param {number} options.points Number of diagram stations per span (default 101)
+     * @returns {Object} Node displacements, support reactions, span diagrams and envelopes, maxima and warnings
+     */
+    static calculate(beam, options = {}) {
+        const { spans, supports } = beam;
+        if (!Array.isArray(spans) || spans.length === 0) {
+            throw new Error('A continuous beam needs at least one span');
+        }
+        if (!Array.isArray(supports) || supports.length !== spans.length + 1) {
+            throw new Error(`Expected ${spans.length + 1} supports for ${spans.length} spans`);
+        }
+        supports.forEach((support, i) => {
+            if (!RestrainedDofs[support.type]) {
+                throw new Error(`Unsupported support type: ${support.type}`);
+            }
+            if (support.type === SupportType.SPRING && !(support.stiffness > 0) && !(support.rotationalStiffness > 0)) {
+                throw new Error(`Spring support ${i + 1} needs a stiffness`);
+            }
+        });
+
+        const warnings = [];
+        let start = 0;
+        const members = spans.map((span, i) => {
+            const dimensions = ProfileCalculator.normalizeDimensions(span.component.dimensions);
+            const length = span.length ?? dimensions.length;
+            if (!(length > 0)) {
+                throw new Error(`Span ${i + 1} length must be positive`);
+            }
+            const E = span.material?.properties?.elasticModulus;
+            if (!(E > 0)) {
+                throw new Error(`Span ${i + 1} material elastic modulus is required`);
+            }
+            const EI = E * ProfileCalculator.calculateMomentOfInertiaX(span.component.profile, dimensions);
+            const loads = span.loads ?? [];
+            const variableLoads = span.variableLoads ?? [];
+            const member = {
+                span,
+                start,
+                length,
+                k: this._getElementStiffness(EI, length),
+                loads,
+                variableLoads,
+                stations: BeamAnalysis.getStations([...loads, ...variableLoads], length,
+                    options.points ?? DEFAULT_DIAGRAM_POINTS)
+            };
+            start += length;
+            return member;
+        });
+
+        const stiffness = this._assemble(members, supports);
+
+        // Permanent case first, then the variable loads of one span at a time
+        const permanent = this._solveCase(members, supports, stiffness, member => member.loads,
+            options.selfWeight !== false, warnings);
+        const variable = members
+            .map((member, i) => member.variableLoads.length === 0 ? null : this._solveCase(members, supports, stiffness,
+                other => other === members[i] ? other.variableLoads : [], false, warnings))
+            .filter(Boolean);
+        const cases = [permanent, ...variable];
+
+        const combine = (pick) => {
+            const values = cases.map(pick);
+            const total = values.reduce((sum, value) => sum + value, 0);
+            const rest = values.slice(1);
+            return {
+                total,
+                min: values[0] + rest.reduce((sum, value) => sum + Math.min(value, 0), 0),
+                max: values[0] + rest.reduce((sum, value) => sum + Math.max(value, 0), 0)
+            };
+        };
+
+        const nodes = supports.map((support, j) => {
+            const deflection = combine(c => c.nodes[j].deflection);
+            const rotation = combine(c => c.nodes[j].rotation);
+            return {
+                x: j === 0 ? 0 : members[j - 1].start + members[j - 1].length,
+                deflection: deflection.total,
+                rotation: rotation.total
+            };
+        });
+
+        const reactions = supports.map((support, j) => {
+            const vertical = combine(c => c.reactions[j].vertical);
+            const moment = combine(c => c.reactions[j].moment);
+            return {
+                x: nodes[j].x,
+                type: support.type,
+                vertical: vertical.total,
+                moment: moment.total,
+                envelope: {
+                    vertical: { min: vertical.min, max: vertical.max },
+                    moment: { min: moment.min, max: moment.max }
+                }
+            };
+        });
+
+        const results = members.map((member, i) => {
+            const diagrams = { x: [], shear: [], moment: [], rotation: [], deflection: [] };
+            const envelopes = {
+                shear: { min: [], max: [] },
+                moment: { min: [], max: [] },
+                deflection: { min: [], max: [] }
+            };
+            member.stations.forEach((station, k) => {
+                diagrams.x.push(station.x);
+                ['shear', 'moment', 'rotation', 'deflection'].forEach(key => {
+                    const value = combine(c => c.spans[i][key][k]);
+                    diagrams[key].push(value.total);
+                    if (envelopes[key]) {
+                        envelopes[key].min.push(value.min);
+                        envelopes[key].max.push(value.max);
+                    }
+                });
+            });
+            return {
+                start: member.start,
+                length: member.length,
+                EI: permanent.spans[i].EI,
+                selfWeight: permanent.spans[i].selfWeight,
+                diagrams,
+                envelopes
+            };
+        });
+
+        return {
+            length: start,
+            nodes,
+            reactions,
+            spans: results,
+            maxima: this._getMaxima(results),
+            warnings: [...new Set(warnings)]
+        };
+    }
+
+    /**
+     * Assemble the global stiffness matrix including spring supports
+     * @private
+     * @param {Array<Object>} members Spans with their element stiffness
+     * @param {Array<Object>} supports Supports
+     * @returns {Array<Array<number>>} Stiffness matrix over [v0, θ0, v1, θ1, ...]
+     */
+    static _assemble(members, supports) {
+        const size = 2 * supports.length;
+        const K = Matrix.zeros(size);
+
+        members.forEach((member, i) => {
+            for (let a = 0; a < 4; a++) {
+                for (let b = 0; b < 4; b++) {
+                    K[2 * i + a][2 * i + b] += member.k[a][b];
+                }
+            }
+        });
+
+        supports.forEach((support, j) => {
+            if (support.type === SupportType.SPRING) {
+                K[2 * j][2 * j] += support.stiffness ?? 0;
+                K[2 * j + 1][2 * j + 1] += support.rotationalStiffness ?? 0;
+            }
+        });
+        return K;
+    }
+
+    /**
+     * Solve one load case
+     * @private
+     * @param {Array<Object>} members Spans
+     * @param {Array<Object>} supports Supports
+     * @param {Array<Array<number>>} K Global stiffness matrix
+     * @param {Function} getLoads Loads of a span in this case
+     * @param {boolean} selfWeight Include the self-weight
+     * @param {Array<string>} warnings Collects warnings
+     * @returns {Object} Node displacements, reactions and span diagrams
+     */
+    static _solveCase(members, supports, K, getLoads, selfWeight, warnings) {
+        const size = 2 * supports.length;
+
+        // Fixed-end results of each span, as forces from the nodes on the span (up, counter-clockwise)
+        const fixed = members.map(member => {
+            const result = BeamAnalysis.calculate(member.span.component, member.span.material, getLoads(member), {
+                spanType: SpanType.FIXED_FIXED,
+                length: member.length,
+                selfWeight,
+                stations: member.stations
+            });
+            warnings.push(...result.warnings);
+            const { left, right } = result.reactions;
+            return { result, forces: [left.vertical, -left.moment, right.vertical, right.moment] };
+        });
+
+        const loads = new Array(size).fill(0);
+        fixed.forEach((span, i) => span.forces.forEach((force, a) => {
+            loads[2 * i + a] -= force;
+        }));
+
+        const free = [];
+        supports.forEach((support, j) => {
+            RestrainedDofs[support.type].forEach((restrained, d) => {
+                if (!restrained) {
+                    free.push(2 * j + d);
+                }
+            });
+        });
+
+        const displacements = new Array(size).fill(0);
+        if (free.length > 0) {
+            let solution;
+            try {
+                solution = Matrix.solve(free.map(r => free.map(c => K[r][c])), free.map(r => loads[r]));
+            } catch (error) {
+                throw new Error('Continuous beam is unstable: the supports do not restrain it');
+            }
+            free.forEach((dof, n) => {
+                displacements[dof] = solution[n];
+            });
+        }
+
+        const reactions = supports.map(() => ({ vertical: 0, moment: 0 }));
+        const spans = members.map((member, i) => {
+            const ends = displacements.slice(2 * i, 2 * i + 4);
+            const endForces = Matrix.multiplyVector(member.k, ends);
+            const forces = endForces.map((force, a) => force + fixed[i].forces[a]);
+            reactions[i].vertical += forces[0];
+            reactions[i].moment += forces[1];
+            reactions[i + 1].vertical += forces[2];
+            reactions[i + 1].moment += forces[3];
+            return this._getSpanDiagrams(member, fixed[i].result, ends, endForces);
+        });
+
+        return {
+            nodes: supports.map((support, j) => ({
+                deflection: -displacements[2 * j],
+                rotation: displacements[2 * j + 1]
+            })),
+            reactions,
+            spans
+        };
+    }
+
+    /**
+     * Span diagrams from the fixed-end diagrams and the node displacements
+     * The end displacements add a constant shear, a linear moment and the
+     * cubic Hermite deflection shape.
+     * @private
+     * @param {Object} member Span
+     * @param {Object} fixed Fixed-fixed BeamAnalysis result at the span stations
+     * @param {Array<number>} ends Node displacements [v1, θ1, v2, θ2] (up, counter-clockwise)
+     * @param {Array<number>} endForces Forces from those displacements
+     * @returns {Object} Diagrams, stiffness and self-weight of the span
+     */
+    static _getSpanDiagrams(member, fixed, ends, endForces) {
+        const L = member.length;
+        const [v1, t1, v2, t2] = ends;
+        const { diagrams } = fixed;
+
+        const shape = (x) => {
+            const s = x / L;
+            return {
+                w: (1 - 3 * s * s + 2 * s * s * s) * v1 + L * (s - 2 * s * s + s * s * s) * t1 +
+                   (3 * s * s - 2 * s * s * s) * v2 + L * (s * s * s - s * s) * t2,
+                slope: (-6 * s + 6 * s * s) * v1 / L + (1 - 4 * s + 3 * s * s) * t1 +
+                       (6 * s - 6 * s * s) * v2 / L + (3 * s * s - 2 * s) * t2
+            };
+        };
+
+        return {
+            EI: fixed.EI,
+            selfWeight: fixed.selfWeight,
+            shear: diagrams.shear.map(value => value + endForces[0]),
+            moment: diagrams.moment.map((value, k) => value - endForces[1] + endForces[0] * diagrams.x[k]),
+            rotation: diagrams.rotation.map((value, k) => value + shape(diagrams.x[k]).slope),
+            deflection: diagrams.deflection.map((value, k) => value - shape(diagrams.x[k]).w)
+        };
+    }
+
+    /**
+     * Element stiffness of a prismatic beam over [v1, θ1, v2, θ2]
+     * @private
+     * @param {number} EI Flexural stiffness (N·mm²)
+     * @param {number} L Length (mm)
+     * @returns {Array<Array<number>>} 4×4 stiffness matrix
+     */
+    static _getElementStiffness(EI, L) {
+        const a = 12 * EI / Math.pow(L, 3);
+        const b = 6 * EI / (L * L);
+        const c = 4 * EI / L;
+        const d = 2 * EI / L;
+        return [
+            [a, b, -a, b],
+            [b, c, -b, d],
+            [-a, -b, a, -b],
+            [b, d, -b, c]
+        ];
+    }
+
+    /**
+     * Extreme envelope values over all spans
+     * @private
+     * @param {Array<Object>} spans Span results
+     * @returns {Object} Largest sagging and hogging moment, shear and deflection with span index and position
+     */
+    static _getMaxima(spans) {
+        const pick = (key, bound, compare) => {
+            let best = null;
+            spans.forEach((span, i) => span.envelopes[key][bound].forEach((value, k) => {
+                if (best === null || compare(value, best.value)) {
+                    best = { value, span: i, x: span.diagrams.x[k] };
+                }
+            }));
+            return best;
+        };
+        const larger = (a, b) => a > b;
+        const smaller = (a, b) => a < b;
+        const magnitude = (key) => {
+            const max = pick(key, 'max', larger);
+            const min = pick(key, 'min', smaller);
+            return Math.abs(max.value) >= Math.abs(min.value) ? max : min;
+        };
+
+        return {
+            moment: {
+                max: pick('moment', 'max', larger),
+                min: pick('moment', 'min', smaller)
+            },
+            shear: magnitude('shear'),
+            deflection: magnitude('deflection')
+        };
+    }
+}
+
+export default ContinuousBeam;
\ No newline at end of file
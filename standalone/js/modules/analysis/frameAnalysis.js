@@ -0,0 +1,662 @@
+/**
+ * Frame Analysis Module
+ * Direct-stiffness analysis of plane frames and trusses. Each node has two
+ * translations and a rotation; members take their section and material from
+ * a component, may be hinged at either end, and carry their span loads as
+ * fixed-end forces from BeamAnalysis. Load cases are solved separately and
+ * combined linearly with partial factors. Global axes are x to the right and
+ * y upwards. Forces are in N, lengths in mm, moments in N·mm.
+ */
+
+import ProfileCalculator from '../calculations/profileCalculator.js';
+import InteractionCheck from '../design/interactionCheck.js';
+import BeamAnalysis from './beamAnalysis.js';
+import Matrix from './matrix.js';
+import {
+    SpanType,
+    SupportType,
+    LoadType,
+    LoadDirection,
+    GRAVITY,
+    DEFAULT_DIAGRAM_POINTS
+} from '../../core/config/analysis.js';
+
+// Node degrees of freedom restrained by each support type (x, y, rotation)
+const RestrainedDofs = {
+    [SupportType.PINNED]: [true, true, false],
+    [SupportType.ROLLER]: [false, true, false],
+    [SupportType.FIXED]: [true, true, true],
+    [SupportType.SPRING]: [false, false, false],
+    [SupportType.FREE]: [false, false, false]
+};
+
+// Spring stiffness keys per node degree of freedom
+const SpringKeys = ['horizontalStiffness', 'stiffness', 'rotationalStiffness'];
+
+// Local end rotations condensed out by a hinge at the start and end of a member
+const ReleaseDofs = { start: 2, end: 5 };
+
+// Diagonal terms below this fraction of the largest one mark a degree of freedom without stiffness
+const ZERO_STIFFNESS = 1e-12;
+
+class FrameAnalysis {
+    /**
+     * Analyse a plane frame
+     * Members run from their start to their end node, which sets the local
+     * x-axis; local y is x turned a quarter turn counter-clockwise. Member end
+     * forces and diagrams follow BeamAnalysis: N is positive in tension, shear
+     * positive when the part towards the start is pushed towards local +y and
+     * moments are sagging positive (tension on the local -y side). Nodal
+     * loads, displacements and reactions are global, with moments and
+     * rotations counter-clockwise positive.
+     * @param {Object} frame Frame definition
+     * @param {Array<Object>} frame.nodes Nodes {id, x, y (mm), support}, the support being
+     *        {type: SupportType, horizontalStiffness, stiffness (N/mm), rotationalStiffness (N·mm/rad)}
+     * @param {Array<Object>} frame.members Members {id, start, end (node ids), component, material,
+     *        releases: {start, end}, design}; component and material are objects or store ids, the
+     *        material defaulting to the component material, and design holds InteractionCheck options
+     * @param {Array<Object>} frame.loadCases Load cases {id, selfWeight, nodalLoads, memberLoads}:
+     *        nodal loads {node, Fx, Fy (N), M (N·mm)} and member loads {member, direction: LoadDirection,
+     *        ...} in the BeamAnalysis format, positions from the member start
+     * @param {Array<Object>} frame.combinations Combinations {id, factors: {[loadCaseId]: partial factor}}
+     * @param {Object} options Options
+     * @param {Object} options.componentStore Store resolving component ids
+     * @param {Object} options.materialStore Store resolving material ids
+     * @param {Object} options.design InteractionCheck options shared by all members
+     * @param {number} options.points Number of diagram stations per member (default 101)
+     * @returns {Object} Nodes, members, results per load case and combination, governing utilization and warnings
+     */
+    static calculate(frame, options = {}) {
+        const loadCases = frame.loadCases ?? [];
+        if (loadCases.length === 0) {
+            throw new Error('A frame needs at least one load case');
+        }
+        const nodes = this._getNodes(frame.nodes);
+        const members = this._getMembers(frame.members, nodes, loadCases, options);
+
+        const warnings = [];
+        const system = this._assemble(nodes, members);
+        const cases = loadCases.map(loadCase => ({
+            id: loadCase.id,
+            ...this._solveCase(nodes, members, system, loadCase, warnings)
+        }));
+
+        const combinations = (frame.combinations ?? []).map(combination => {
+            Object.keys(combination.factors ?? {}).forEach(id => {
+                if (!cases.some(c => c.id === id)) {
+                    throw new Error(`Combination ${combination.id} refers to unknown load case: ${id}`);
+                }
+            });
+            return {
+                id: combination.id,
+                ...this._combine(cases.map(c => ({ result: c, factor: combination.factors[c.id] ?? 0 })))
+            };
+        });
+
+        // Members are checked for the combinations, or for the load cases when there are none
+        const checked = combinations.length > 0 ? combinations : cases;
+        const utilization = {};
+        checked.forEach(result => members.forEach((member, i) => {
+            result.members[i].utilization = this._check(member, result.members[i], options.design, warnings);
+            const check = result.members[i].utilization;
+            const previous = utilization[member.id];
+            if (check && (!previous || check.utilization > previous.utilization)) {
+                utilization[member.id] = {
+                    result: result.id,
+                    utilization: check.utilization,
+                    equation: check.governing,
+                    isValid: check.isValid && (previous?.isValid ?? true)
+                };
+            } else if (check && !check.isValid) {
+                // Checks that are not complete fail the member whatever their utilization
+                previous.isValid = false;
+            }
+        }));
+
+        return {
+            nodes: Object.fromEntries(nodes.map(node => [node.id, { x: node.x, y: node.y }])),
+            members: Object.fromEntries(members.map(member => [member.id, {
+                start: member.start.id,
+                end: member.end.id,
+                length: member.length,
+                angle: Math.atan2(member.sin, member.cos),
+                EA: member.EA,
+                EI: member.EI,
+                releases: member.releases
+            }])),
+            cases: Object.fromEntries(cases.map(c => [c.id, this._format(nodes, members, c)])),
+            combinations: Object.fromEntries(combinations.map(c => [c.id, this._format(nodes, members, c)])),
+            utilization,
+            warnings: [...new Set(warnings)]
+        };
+    }
+
+    /**
+     * Validate the nodes and their supports
+     * @private
+     * @param {Array<Object>} nodes Nodes
+     * @returns {Array<Object>} Nodes with their index and restrained degrees of freedom
+     */
+    static _getNodes(nodes) {
+        if (!Array.isArray(nodes) || nodes.length < 2) {
+            throw new Error('A frame needs at least two nodes');
+        }
+        const ids = new Set();
+        return nodes.map((node, index) => {
+            if (ids.has(node.id)) {
+                throw new Error(`Duplicate node id: ${node.id}`);
+            }
+            ids.add(node.id);
+            if (!Number.isFinite(node.x) || !Number.isFinite(node.y)) {
+                throw new Error(`Node ${node.id} needs x and y coordinates`);
+            }
+            const support = node.support ?? { type: SupportType.FREE };
+            const restrained = RestrainedDofs[support.type];
+            if (!restrained) {
+                throw new Error(`Unsupported support type: ${support.type}`);
+            }
+            if (support.type === SupportType.SPRING && !SpringKeys.some(key => support[key] > 0)) {
+                throw new Error(`Spring support at node ${node.id} needs a stiffness`);
+            }
+            return { id: node.id, x: node.x, y: node.y, index, support, restrained };
+        });
+    }
+
+    /**
+     * Resolve the members' components and materials and set up their stiffness
+     * @private
+     * @param {Array<Object>} members Members
+     * @param {Array<Object>} nodes Nodes
+     * @param {Array<Object>} loadCases Load cases, for the diagram stations
+     * @param {Object} options Analysis options
+     * @returns {Array<Object>} Members with geometry, section, stiffness and transformation
+     */
+    static _getMembers(members, nodes, loadCases, options) {
+        if (!Array.isArray(members) || members.length === 0) {
+            throw new Error('A frame needs at least one member');
+        }
+        const findNode = (member, id) => {
+            const node = nodes.find(candidate => candidate.id === id);
+            if (!node) {
+                throw new Error(`Member ${member.id} refers to unknown node: ${id}`);
+            }
+            return node;
+        };
+
+        const ids = new Set();
+        return members.map(member => {
+            if (ids.has(member.id)) {
+                throw new Error(`Duplicate member id: ${member.id}`);
+            }
+            ids.add(member.id);
+            const start = findNode(member, member.start);
+            const end = findNode(member, member.end);
+            const length = Math.hypot(end.x - start.x, end.y - start.y);
+            if (!(length > 0)) {
+                throw new Error(`Member ${member.id} length must be positive`);
+            }
+
+            const component = this._resolve(member.component, options.componentStore, 'component', member.id);
+            const material = this._resolve(member.material ?? component.material, options.materialStore,
+                'material', member.id);
+            const E = material.properties?.elasticModulus;
+            if (!(E > 0)) {
+                throw new Error(`Member ${member.id} material elastic modulus is required`);
+            }
+            const dimensions = ProfileCalculator.normalizeDimensions(component.dimensions);
+            const EA = E * ProfileCalculator.calculateArea(component.profile, dimensions);
+            const EI = E * ProfileCalculator.calculateMomentOfInertiaX(component.profile, dimensions);
+
+            const releases = { start: Boolean(member.releases?.start), end: Boolean(member.releases?.end) };
+            const released = Object.keys(ReleaseDofs).filter(key => releases[key]).map(key => ReleaseDofs[key]);
+            const cos = (end.x - start.x) / length;
+            const sin = (end.y - start.y) / length;
+            const block = [[cos, sin, 0], [-sin, cos, 0], [0, 0, 1]];
+            const T = Matrix.zeros(6);
+            [0, 3].forEach(offset => block.forEach((row, a) => row.forEach((value, b) => {
+                T[offset + a][offset + b] = value;
+            })));
+
+            const k = this._getElementStiffness(EA, EI, length);
+            const condensed = this._condense(k, new Array(6).fill(0), released).k;
+            const memberLoads = loadCases.flatMap(loadCase =>
+                (loadCase.memberLoads ?? []).filter(load => load.member === member.id));
+
+            return {
+                id: member.id,
+                start,
+                end,
+                length,
+                cos,
+                sin,
+                component: { ...component, dimensions: { ...dimensions, length } },
+                material,
+                EA,
+                EI,
+                releases,
+                released,
+                design: member.design ?? {},
+                k,
+                T,
+                kLocal: condensed,
+                kGlobal: Matrix.multiply(Matrix.transpose(T), Matrix.multiply(condensed, T)),
+                stations: BeamAnalysis.getStations(memberLoads, length, options.points ?? DEFAULT_DIAGRAM_POINTS)
+            };
+        });
+    }
+
+    /**
+     * Resolve a component or material given as an object or a store id
+     * @private
+     * @param {Object|string} value Object or id
+     * @param {Object} store Store with getComponent or getMaterial
+     * @param {string} kind 'component' or 'material'
+     * @param {string} memberId Member id for error messages
+     * @returns {Object} Component or material
+     */
+    static _resolve(value, store, kind, memberId) {
+        if (value && typeof value === 'object') {
+            return value;
+        }
+        if (value === null || value === undefined) {
+            throw new Error(`Member ${memberId} needs a ${kind}`);
+        }
+        const getter = kind === 'component' ? 'getComponent' : 'getMaterial';
+        const resolved = store?.[getter](value) ?? null;
+        if (!resolved) {
+            throw new Error(`Member ${memberId} refers to unknown ${kind}: ${value}`);
+        }
+        return resolved;
+    }
+
+    /**
+     * Assemble the global stiffness matrix and pick the free degrees of freedom
+     * Rotations that no member or spring resists, such as truss joints where
+     * every member is hinged, are held at zero.
+     * @private
+     * @param {Array<Object>} nodes Nodes
+     * @param {Array<Object>} members Members
+     * @returns {{K: Array<Array<number>>, free: Array<number>, unresisted: Array<number>}} Stiffness matrix and dof lists
+     */
+    static _assemble(nodes, members) {
+        const K = Matrix.zeros(3 * nodes.length);
+        members.forEach(member => {
+            const dofs = this._getDofs(member);
+            dofs.forEach((row, a) => dofs.forEach((column, b) => {
+                K[row][column] += member.kGlobal[a][b];
+            }));
+        });
+        nodes.forEach(node => {
+            if (node.support.type === SupportType.SPRING) {
+                SpringKeys.forEach((key, d) => {
+                    K[3 * node.index + d][3 * node.index + d] += node.support[key] ?? 0;
+                });
+            }
+        });
+
+        const scale = Math.max(...K.map((row, i) => Math.abs(row[i])));
+        const free = [];
+        const unresisted = [];
+        nodes.forEach(node => node.restrained.forEach((restrained, d) => {
+            const dof = 3 * node.index + d;
+            if (restrained) {
+                return;
+            }
+            if (d === 2 && Math.abs(K[dof][dof]) <= ZERO_STIFFNESS * scale) {
+                unresisted.push(dof);
+            } else {
+                free.push(dof);
+            }
+        }));
+        return { K, free, unresisted };
+    }
+
+    /**
+     * Solve one load case
+     * @private
+     * @param {Array<Object>} nodes Nodes
+     * @param {Array<Object>} members Members
+     * @param {Object} system Global stiffness matrix and free degrees of freedom
+     * @param {Object} loadCase Load case
+     * @param {Array<string>} warnings Collects warnings
+     * @returns {Object} Displacement and reaction vectors and member results
+     */
+    static _solveCase(nodes, members, system, loadCase, warnings) {
+        const { K, free, unresisted } = system;
+        const size = 3 * nodes.length;
+        const loads = new Array(size).fill(0);
+
+        (loadCase.nodalLoads ?? []).forEach(load => {
+            const node = nodes.find(candidate => candidate.id === load.node);
+            if (!node) {
+                throw new Error(`Load case ${loadCase.id} loads unknown node: ${load.node}`);
+            }
+            [load.Fx, load.Fy, load.M].forEach((value, d) => {
+                loads[3 * node.index + d] += value ?? 0;
+            });
+        });
+        (loadCase.memberLoads ?? []).forEach(load => {
+            if (!members.some(member => member.id === load.member)) {
+                throw new Error(`Load case ${loadCase.id} loads unknown member: ${load.member}`);
+            }
+        });
+        const applied = [...loads];
+
+        const fixed = members.map(member => {
+            const result = this._getFixedEnd(member, loadCase, warnings);
+            const global = Matrix.multiplyVector(Matrix.transpose(member.T), result.forces);
+            this._getDofs(member).forEach((dof, a) => {
+                loads[dof] -= global[a];
+            });
+            return result;
+        });
+
+        // Round-off from the member loads is not a moment on the joint
+        const tolerance = 1e-9 * Math.max(...applied.map(Math.abs), ...loads.map(Math.abs));
+        unresisted.forEach(dof => {
+            if (Math.abs(loads[dof]) > tolerance) {
+                const node = nodes[Math.floor(dof / 3)];
+                throw new Error(`Frame is unstable: no member resists the moment at node ${node.id}`);
+            }
+        });
+
+        const displacements = new Array(size).fill(0);
+        if (free.length > 0) {
+            let solution;
+            try {
+                solution = Matrix.solve(free.map(r => free.map(c => K[r][c])), free.map(r => loads[r]));
+            } catch (error) {
+                throw new Error('Frame is unstable: the supports and members do not restrain it');
+            }
+            free.forEach((dof, n) => {
+                displacements[dof] = solution[n];
+            });
+        }
+
+        // Reactions are the forces the nodes pass to the members less the applied nodal loads
+        const reactions = applied.map(value => -value);
+        const results = members.map((member, i) => {
+            const dofs = this._getDofs(member);
+            const local = Matrix.multiplyVector(member.T, dofs.map(dof => displacements[dof]));
+            const forces = Matrix.multiplyVector(member.kLocal, local).map((force, a) => force + fixed[i].forces[a]);
+            Matrix.multiplyVector(Matrix.transpose(member.T), forces).forEach((force, a) => {
+                reactions[dofs[a]] += force;
+            });
+            return { forces, ...this._getDiagrams(member, fixed[i], forces) };
+        });
+
+        return { displacements, reactions, members: results };
+    }
+
+    /**
+     * Fixed-end forces and diagrams of a member for one load case
+     * Gravity loads are split into a transverse part for BeamAnalysis and an
+     * axial part shared between the ends as by a simply supported bar. Hinged
+     * ends are then condensed out.
+     * @private
+     * @param {Object} member Member
+     * @param {Object} loadCase Load case
+     * @param {Array<string>} warnings Collects warnings
+     * @returns {{forces: Array<number>, result: Object}} Local end forces from the nodes on the member
+     *          [N1, V1, M1, N2, V2, M2] (along x, along y, counter-clockwise) and the fixed-fixed BeamAnalysis result
+     */
+    static _getFixedEnd(member, loadCase, warnings) {
+        const loads = (loadCase.memberLoads ?? []).filter(load => load.member === member.id);
+        if (loadCase.selfWeight) {
+            const density = member.material.properties.density;
+            if (density > 0) {
+                const weight = ProfileCalculator.calculateWeightPerLength(member.component.profile,
+                    member.component.dimensions, density) * GRAVITY / 1000;
+                loads.push({ type: LoadType.UDL, value: weight, direction: LoadDirection.GRAVITY });
+            } else {
+                warnings.push(`Member ${member.id} material density is missing, self-weight not included`);
+            }
+        }
+
+        const transverse = [];
+        let N1 = 0;
+        let N2 = 0;
+        loads.forEach(load => {
+            const direction = load.direction ?? LoadDirection.LOCAL;
+            if (direction === LoadDirection.LOCAL) {
+                transverse.push(load);
+                return;
+            }
+            if (direction !== LoadDirection.GRAVITY) {
+                throw new Error(`Unsupported load direction: ${direction}`);
+            }
+            // A downward load has components -sin along local x and -cos along local y
+            transverse.push(this._scaleLoad(load, member.cos));
+            const { force, position } = this._getResultant(load, member.length);
+            N1 += force * member.sin * (1 - position / member.length);
+            N2 += force * member.sin * position / member.length;
+        });
+
+        const result = BeamAnalysis.calculate(member.component, member.material, transverse, {
+            spanType: SpanType.FIXED_FIXED,
+            length: member.length,
+            selfWeight: false,
+            stations: member.stations
+        });
+        const { left, right } = result.reactions;
+        const forces = [N1, left.vertical, -left.moment, N2, right.vertical, right.moment];
+        return { forces: this._condense(member.k, forces, member.released).f, result };
+    }
+
+    /**
+     * Scale the intensity of a load
+     * @private
+     * @param {Object} load Load
+     * @param {number} factor Scale factor
+     * @returns {Object} Scaled load
+     */
+    static _scaleLoad(load, factor) {
+        if (load.type === LoadType.TRIANGULAR) {
+            return { ...load, startValue: (load.startValue ?? 0) * factor, endValue: (load.endValue ?? 0) * factor };
+        }
+        return { ...load, value: load.value * factor };
+    }
+
+    /**
+     * Resultant of a load and its distance from the member start
+     * @private
+     * @param {Object} load Load
+     * @param {number} length Member length (mm)
+     * @returns {{force: number, position: number}} Resultant (N) and its position (mm)
+     */
+    static _getResultant(load, length) {
+        switch (load.type) {
+            case LoadType.POINT:
+                return { force: load.value, position: load.position };
+
+            case LoadType.UDL: {
+                const start = load.start ?? 0;
+                const end = load.end ?? length;
+                return { force: load.value * (end - start), position: (start + end) / 2 };
+            }
+
+            case LoadType.TRIANGULAR: {
+                const start = load.start ?? 0;
+                const end = load.end ?? length;
+                const q1 = load.startValue ?? 0;
+                const q2 = load.endValue ?? 0;
+                const force = (q1 + q2) / 2 * (end - start);
+                const position = q1 + q2 === 0
+                    ? (start + end) / 2
+                    : start + (end - start) * (q1 + 2 * q2) / (3 * (q1 + q2));
+                return { force, position };
+            }
+
+            default:
+                throw new Error(`Unsupported load type: ${load.type}`);
+        }
+    }
+
+    /**
+     * Member diagrams from the fixed-fixed diagrams and the actual end forces
+     * Without span loads the difference between the two is a constant shear
+     * and a linear moment, so matching the end values gives the diagrams.
+     * @private
+     * @param {Object} member Member
+     * @param {Object} fixed Fixed-end forces and BeamAnalysis result
+     * @param {Array<number>} forces Actual local end forces
+     * @returns {{x: Array<number>, shear: Array<number>, moment: Array<number>}} Diagrams
+     */
+    static _getDiagrams(member, fixed, forces) {
+        const L = member.length;
+        const { diagrams, reactions } = fixed.result;
+        const dV = forces[1] - reactions.left.vertical;
+        const dM1 = -forces[2] - reactions.left.moment;
+        const dM2 = forces[5] - reactions.right.moment;
+        return {
+            x: diagrams.x,
+            shear: diagrams.shear.map(value => value + dV),
+            moment: diagrams.moment.map((value, k) => value + dM1 * (1 - diagrams.x[k] / L) + dM2 * diagrams.x[k] / L)
+        };
+    }
+
+    /**
+     * Linear combination of solved load cases
+     * @private
+     * @param {Array<{result: Object, factor: number}>} terms Load case results and their factors
+     * @returns {Object} Combined displacement and reaction vectors and member results
+     */
+    static _combine(terms) {
+        const sum = (pick) => pick(terms[0].result).map((_, k) =>
+            terms.reduce((total, term) => total + term.factor * pick(term.result)[k], 0));
+        return {
+            displacements: sum(result => result.displacements),
+            reactions: sum(result => result.reactions),
+            members: terms[0].result.members.map((member, i) => ({
+                forces: sum(result => result.members[i].forces),
+                x: member.x,
+                shear: sum(result => result.members[i].shear),
+                moment: sum(result => result.members[i].moment)
+            }))
+        };
+    }
+
+    /**
+     * Check a member for its end axial force and largest moment
+     * @private
+     * @param {Object} member Member
+     * @param {Object} result Member result
+     * @param {Object} design InteractionCheck options shared by all members
+     * @param {Array<string>} warnings Collects warnings
+     * @returns {Object|null} InteractionCheck result, or null when the member cannot be checked
+     */
+    static _check(member, result, design = {}, warnings) {
+        const axial = [-result.forces[0], result.forces[3]];
+        const N = Math.min(...axial) < 0 ? Math.min(...axial) : Math.max(...axial);
+        const Mx = Math.max(...result.moment.map(Math.abs));
+        try {
+            const check = InteractionCheck.calculate(member.component, member.material, { N, Mx },
+                { ...design, ...member.design });
+            warnings.push(...check.warnings.map(warning => `Member ${member.id}: ${warning}`));
+            return check;
+        } catch (error) {
+            warnings.push(`Member ${member.id} not checked: ${error.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * Results keyed by node and member id
+     * @private
+     * @param {Array<Object>} nodes Nodes
+     * @param {Array<Object>} members Members
+     * @param {Object} result Load case or combination result
+     * @returns {Object} Displacements, support reactions and member results
+     */
+    static _format(nodes, members, result) {
+        const displacements = {};
+        const reactions = {};
+        nodes.forEach(node => {
+            const [x, y, rotation] = result.displacements.slice(3 * node.index, 3 * node.index + 3);
+            displacements[node.id] = { x, y, rotation };
+            if (node.support.type !== SupportType.FREE) {
+                const [Fx, Fy, M] = result.reactions.slice(3 * node.index, 3 * node.index + 3);
+                reactions[node.id] = { Fx, Fy, M };
+            }
+        });
+
+        const memberResults = {};
+        members.forEach((member, i) => {
+            const { forces, x, shear, moment } = result.members[i];
+            memberResults[member.id] = {
+                endForces: {
+                    start: { N: -forces[0], V: forces[1], M: -forces[2] },
+                    end: { N: forces[3], V: -forces[4], M: forces[5] }
+                },
+                diagrams: { x, shear, moment },
+                moment: { max: Math.max(...moment), min: Math.min(...moment) },
+                utilization: result.members[i].utilization ?? null
+            };
+        });
+        return { displacements, reactions, members: memberResults };
+    }
+
+    /**
+     * Global degrees of freedom of a member's ends
+     * @private
+     * @param {Object} member Member
+     * @returns {Array<number>} [x1, y1, θ1, x2, y2, θ2] indices
+     */
+    static _getDofs(member) {
+        const a = 3 * member.start.index;
+        const b = 3 * member.end.index;
+        return [a, a + 1, a + 2, b, b + 1, b + 2];
+    }
+
+    /**
+     * Condense hinged end rotations out of an element
+     * The released rows and columns are set to exactly zero so that the
+     * hinge passes no moment to the joint.
+     * @private
+     * @param {Array<Array<number>>} k Local element stiffness
+     * @param {Array<number>} f Local fixed-end forces
+     * @param {Array<number>} released Released local degrees of freedom
+     * @returns {{k: Array<Array<number>>, f: Array<number>}} Condensed stiffness and fixed-end forces
+     */
+    static _condense(k, f, released) {
+        let stiffness = k.map(row => [...row]);
+        let forces = [...f];
+        released.forEach(r => {
+            const pivot = stiffness[r][r];
+            forces = forces.map((value, a) => value - stiffness[a][r] * forces[r] / pivot);
+            stiffness = stiffness.map((row, a) => row.map((value, b) => value - stiffness[a][r] * stiffness[r][b] / pivot));
+            forces[r] = 0;
+            stiffness.forEach((row, a) => {
+                row[r] = 0;
+                stiffness[r][a] = 0;
+            });
+        });
+        return { k: stiffness, f: forces };
+    }
+
+    /**
+     * Element stiffness of a prismatic frame member in local axes
+     * @private
+     * @param {number} EA Axial stiffness (N)
+     * @param {number} EI Flexural stiffness (N·mm²)
+     * @param {number} L Length (mm)
+     * @returns {Array<Array<number>>} 6×6 stiffness matrix over [u1, v1, θ1, u2, v2, θ2]
+     */
+    static _getElementStiffness(EA, EI, L) {
+        const n = EA / L;
+        const a = 12 * EI / Math.pow(L, 3);
+        const b = 6 * EI / (L * L);
+        const c = 4 * EI / L;
+        const d = 2 * EI / L;
+        return [
+            [n, 0, 0, -n, 0, 0],
+            [0, a, b, 0, -a, b],
+            [0, b, c, 0, -b, d],
+            [-n, 0, 0, n, 0, 0],
+            [0, -a, -b, 0, a, -b],
+            [0, b, d, 0, -b, c]
+        ];
+    }
+}
+
+export default FrameAnalysis;
\ No newline at end of file
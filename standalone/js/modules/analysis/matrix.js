@@ -0,0 +1,96 @@
+/**
+ * Matrix Module
+ * Small dense matrix helpers for the stiffness-method solvers. Matrices are
+ * arrays of rows and vectors plain arrays.
+ */
+
+// Pivots smaller than this fraction of the largest diagonal term mark a singular system
+const SINGULAR_TOLERANCE = 1e-12;
+
+class Matrix {
+    /**
+     * Create a matrix of zeros
+     * @param {number} rows Number of rows
+     * @param {number} columns Number of columns, defaulting to a square matrix
+     * @returns {Array<Array<number>>} Matrix
+     */
+    static zeros(rows, columns = rows) {
+        return Array.from({ length: rows }, () => new Array(columns).fill(0));
+    }
+
+    /**
+     * Transpose a matrix
+     * @param {Array<Array<number>>} matrix Matrix
+     * @returns {Array<Array<number>>} Transposed matrix
+     */
+    static transpose(matrix) {
+        return matrix[0].map((_, j) => matrix.map(row => row[j]));
+    }
+
+    /**
+     * Multiply two matrices
+     * @param {Array<Array<number>>} a Left matrix
+     * @param {Array<Array<number>>} b Right matrix
+     * @returns {Array<Array<number>>} Product a·b
+     */
+    static multiply(a, b) {
+        return a.map(row => b[0].map((_, j) => row.reduce((sum, value, k) => sum + value * b[k][j], 0)));
+    }
+
+    /**
+     * Multiply a matrix with a vector
+     * @param {Array<Array<number>>} matrix Matrix
+     * @param {Array<number>} vector Vector
+     * @returns {Array<number>} Product
+     */
+    static multiplyVector(matrix, vector) {
+        return matrix.map(row => row.reduce((sum, value, j) => sum + value * vector[j], 0));
+    }
+
+    /**
+     * Solve A·x = b by Gaussian elimination with partial pivoting
+     * @param {Array<Array<number>>} matrix Square coefficient matrix A (not modified)
+     * @param {Array<number>} vector Right-hand side b (not modified)
+     * @returns {Array<number>} Solution x
+     */
+    static solve(matrix, vector) {
+        const n = vector.length;
+        const a = matrix.map(row => [...row]);
+        const b = [...vector];
+        const scale = Math.max(...a.map((row, i) => Math.abs(row[i])), 0);
+
+        for (let k = 0; k < n; k++) {
+            let pivot = k;
+            for (let i = k + 1; i < n; i++) {
+                if (Math.abs(a[i][k]) > Math.abs(a[pivot][k])) {
+                    pivot = i;
+                }
+            }
+            if (!(Math.abs(a[pivot][k]) > SINGULAR_TOLERANCE * scale)) {
+                throw new Error('Singular matrix: the structure is unstable');
+            }
+            [a[k], a[pivot]] = [a[pivot], a[k]];
+            [b[k], b[pivot]] = [b[pivot], b[k]];
+
+            for (let i = k + 1; i < n; i++) {
+                const factor = a[i][k] / a[k][k];
+                for (let j = k; j < n; j++) {
+                    a[i][j] -= factor * a[k][j];
+                }
+                b[i] -= factor * b[k];
+            }
+        }
+
+        const x = new Array(n).fill(0);
+        for (let i = n - 1; i >= 0; i--) {
+            let sum = b[i];
+            for (let j = i + 1; j < n; j++) {
+                sum -= a[i][j] * x[j];
+            }
+            x[i] = sum / a[i][i];
+        }
+        return x;
+    }
+}
+
+export default Matrix;
\ No newline at end of file
@@ -0,0 +1,155 @@
+/**
+ * Coating Estimator Module
+ * Rolls profile surface areas up per component and estimates paint
+ * volume and hot-dip galvanizing zinc mass for a list of components.
+ */
+
+import ProfileCalculator from './profileCalculator.js';
+import { ProfileType } from '../profiles/profileTypes.js';
+
+// Default paint system
+const DefaultPaintOptions = {
+    coats: 1,
+    dryFilmThickness: 80,   // µm per coat
+    volumeSolids: 50,       // %
+    wasteFactor: 0,         // fraction added for overspray and losses
+    includeInside: false    // paint the inside of closed tubes
+};
+
+class CoatingEstimator {
+    /**
+     * Calculate the surface area of a component
+     * Uses the length dimension (mm or a length Quantity) and the component quantity.
+     * @param {Object} component Component with profile, dimensions and quantity
+     * @returns {{outside: number, inside: number, total: number}} Surface areas in m²
+     */
+    static calculateComponentSurfaceArea(component) {
+        const dimensions = ProfileCalculator.normalizeDimensions(component.dimensions);
+        const perLength = ProfileCalculator.calculateSurfaceAreaPerLength(component.profile, dimensions);
+        const length = dimensions.length / 1000 * (component.quantity || 1);
+        return {
+            outside: perLength.outside * length,
+            inside: perLength.inside * length,
+            total: perLength.total * length
+        };
+    }
+
+    /**
+     * Estimate paint volume for a list of components
+     * Theoretical spreading rate is volume solids (%) × 10 / dry film thickness (µm) in m²/L.
+     * @param {Array<Object>} components Components to paint
+     * @param {Object} options Paint system (coats, dryFilmThickness, volumeSolids, wasteFactor, includeInside)
+     * @returns {Object} Painted area (m²), paint volume (L), per-component results and warnings
+     */
+    static estimatePaint(components, options = {}) {
+        const paint = { ...DefaultPaintOptions, ...options };
+        const spreadingRate = paint.volumeSolids * 10 / paint.dryFilmThickness;
+        const litresPerSquareMetre = paint.coats * (1 + paint.wasteFactor) / spreadingRate;
+
+        const result = { area: 0, litres: 0, components: [], warnings: [] };
+        for (const component of this._getCoatable(components, result.warnings)) {
+            const surface = this.calculateComponentSurfaceArea(component);
+            const area = paint.includeInside ? surface.total : surface.outside;
+            const litres = area * litresPerSquareMetre;
+
+            result.area += area;
+            result.litres += litres;
+            result.components.push({ id: component.id, name: component.name, area, litres });
+        }
+
+        return result;
+    }
+
+    /**
+     * Estimate zinc mass for hot-dip galvanizing a list of components
+     * Galvanizing coats both the inside and outside of tubes.
+     * @param {Array<Object>} components Components to galvanize
+     * @param {Object} options Options
+     * @param {number} options.coatingMass Coating mass in g/m², overrides the ISO 1461 minimum
+     * @returns {Object} Coated area (m²), zinc mass (kg), per-component results and warnings
+     */
+    static estimateGalvanizing(components, options = {}) {
+        const result = { area: 0, zincMass: 0, components: [], warnings: [] };
+
+        for (const component of this._getCoatable(components, result.warnings)) {
+            const area = this.calculateComponentSurfaceArea(component).total;
+            const coatingMass = options.coatingMass ??
+                this.getGalvanizingCoatingMass(this._getSteelThickness(component.profile, component.dimensions));
+            const zincMass = area * coatingMass / 1000;
+
+            result.area += area;
+            result.zincMass += zincMass;
+            result.components.push({ id: component.id, name: component.name, area, coatingMass, zincMass });
+        }
+
+        return result;
+    }
+
+    /**
+     * Get the minimum mean zinc coating mass for a steel thickness (ISO 1461)
+     * @param {number} thickness Steel thickness in mm
+     * @returns {number} Coating mass in g/m²
+     */
+    static getGalvanizingCoatingMass(thickness) {
+        if (thickness > 6) return 610;      // 85 µm
+        if (thickness > 3) return 505;      // 70 µm
+        if (thickness >= 1.5) return 395;   // 55 µm
+        return 325;                         // 45 µm
+    }
+
+    /**
+     * Components that have a profile and a length
+     * @private
+     * @param {Array<Object>} components Components
+     * @param {Array<string>} warnings Collects skipped components
+     * @returns {Array<Object>} Coatable components
+     */
+    static _getCoatable(components, warnings) {
+        return components.filter(component => {
+            if (!component.profile) {
+                warnings.push(`${component.name || component.id}: no profile, skipped`);
+                return false;
+            }
+            if (!component.dimensions || !(ProfileCalculator.normalizeDimensions(component.dimensions).length > 0)) {
+                warnings.push(`${component.name || component.id}: no length, skipped`);
+                return false;
+            }
+            return true;
+        });
+    }
+
+    /**
+     * Governing steel thickness of a profile for the coating mass
+     * The thickest wall is used; solid bars count as their smallest dimension.
+     * @private
+     * @param {string} type Profile type
+     * @param {Object} dimensions Profile dimensions
+     * @returns {number} Thickness in mm
+     */
+    static _getSteelThickness(type, dimensions) {
+        dimensions = ProfileCalculator.normalizeDimensions(dimensions);
+        switch (type) {
+            case ProfileType.I_BEAM:
+            case ProfileType.T_SECTION:
+                return Math.max(dimensions.web_thickness, dimensions.flange_thickness);
+
+            case ProfileType.ROUND_BAR:
+                return dimensions.diameter;
+
+            case ProfileType.SQUARE_BAR:
+                return dimensions.width;
+
+            case ProfileType.COMPOUND:
+                return Math.max(...dimensions.parts.map(part => this._getSteelThickness(part.profile, part.dimensions)));
+
+            case ProfileType.CUSTOM:
+                // No wall thickness in an outline; assume the heaviest coating unless one is given
+                return dimensions.thickness ?? Infinity;
+
+            default:
+                return dimensions.thickness;
+        }
+    }
+}
+
+export default CoatingEstimator;
@@ -0,0 +1,119 @@
+/**
+ * Compound Section Module
+ * Builds built-up sections from standard profiles. The result is used as the
+ * dimensions of a 'compound' profile, so components can reference it like any
+ * other profile and ProfileCalculator combines the parts.
+ */
+
+import ProfileCalculator from './profileCalculator.js';
+import { ProfileType } from '../profiles/profileTypes.js';
+
+class CompoundSection {
+    /**
+     * Create compound section dimensions from placed parts
+     * @param {Array<Object>} parts Parts with profile, dimensions and optional x, y,
+     *        rotation (degrees, counter-clockwise) and mirror (about the local y-axis)
+     * @param {number} length Member length
+     * @returns {Object} Dimensions for a compound profile
+     */
+    static create(parts, length) {
+        return {
+            parts: parts.map(part => ({
+                profile: part.profile,
+                dimensions: part.dimensions,
+                x: part.x || 0,
+                y: part.y || 0,
+                rotation: part.rotation || 0,
+                mirror: Boolean(part.mirror)
+            })),
+            length
+        };
+    }
+
+    /**
+     * Two channels with their webs back to back
+     * @param {Object} dimensions Channel dimensions
+     * @param {number} gap Clear gap between the webs (e.g. gusset thickness)
+     * @returns {Object} Dimensions for a compound profile
+     */
+    static backToBackChannels(dimensions, gap = 0) {
+        return this.create([
+            { profile: ProfileType.CHANNEL, dimensions, mirror: true },
+            { profile: ProfileType.CHANNEL, dimensions, x: gap }
+        ], dimensions.length);
+    }
+
+    /**
+     * Two channels with their flange tips facing each other (boxed)
+     * @param {Object} dimensions Channel dimensions
+     * @param {number} gap Clear gap between the flange tips
+     * @returns {Object} Dimensions for a compound profile
+     */
+    static toeToToeChannels(dimensions, gap = 0) {
+        return this.create([
+            { profile: ProfileType.CHANNEL, dimensions },
+            { profile: ProfileType.CHANNEL, dimensions, x: 2 * dimensions.flange_width + gap, mirror: true }
+        ], dimensions.length);
+    }
+
+    /**
+     * Two angles with their vertical legs back to back
+     * @param {Object} dimensions Angle dimensions
+     * @param {number} gap Clear gap between the legs (gusset thickness)
+     * @returns {Object} Dimensions for a compound profile
+     */
+    static doubleAngles(dimensions, gap = 0) {
+        return this.create([
+            { profile: ProfileType.ANGLE, dimensions, mirror: true },
+            { profile: ProfileType.ANGLE, dimensions, x: gap }
+        ], dimensions.length);
+    }
+
+    /**
+     * I-beam with centred cover plates on its flanges
+     * @param {Object} dimensions I-beam dimensions
+     * @param {{width: number, thickness: number}} plate Cover plate size
+     * @param {Object} options Which flanges get a plate
+     * @param {boolean} options.top Plate on the top flange
+     * @param {boolean} options.bottom Plate on the bottom flange
+     * @returns {Object} Dimensions for a compound profile
+     */
+    static platedBeam(dimensions, plate, { top = true, bottom = true } = {}) {
+        const plateDimensions = { width: plate.width, thickness: plate.thickness };
+        const plateX = (dimensions.width - plate.width) / 2;
+        const beamY = bottom ? plate.thickness : 0;
+
+        const parts = [{ profile: ProfileType.I_BEAM, dimensions, y: beamY }];
+        if (bottom) {
+            parts.push({ profile: ProfileType.FLAT_BAR, dimensions: plateDimensions, x: plateX });
+        }
+        if (top) {
+            parts.push({ profile: ProfileType.FLAT_BAR, dimensions: plateDimensions, x: plateX, y: beamY + dimensions.height });
+        }
+
+        return this.create(parts, dimensions.length);
+    }
+
+    /**
+     * Calculate combined section properties
+     * @param {Object} dimensions Compound profile dimensions
+     * @returns {Object} Area, centroid, second moments, section moduli and radii of gyration
+     */
+    static calculateProperties(dimensions) {
+        const type = ProfileType.COMPOUND;
+        return {
+            area: ProfileCalculator.calculateArea(type, dimensions),
+            centroid: ProfileCalculator.calculateCentroid(type, dimensions),
+            Ix: ProfileCalculator.calculateMomentOfInertiaX(type, dimensions),
+            Iy: ProfileCalculator.calculateMomentOfInertiaY(type, dimensions),
+            Ixy: ProfileCalculator.calculateProductOfInertia(type, dimensions),
+            Sx: ProfileCalculator.calculateSectionModulusX(type, dimensions),
+            Sy: ProfileCalculator.calculateSectionModulusY(type, dimensions),
+            rx: ProfileCalculator.calculateRadiusOfGyration(type, dimensions),
+            ry: ProfileCalculator.calculateRadiusOfGyrationY(type, dimensions),
+            principal: ProfileCalculator.calculatePrincipalAxes(type, dimensions)
+        };
+    }
+}
+
+export default CompoundSection;
@@ -0,0 +1,277 @@
+/**
+ * Net Section Module
+ * Cross-section properties with bolt holes removed. A hole is a strip of its
+ * diameter cut along the bolt axis through the plate the hole centre lies in.
+ * Staggered holes are combined into fracture paths with the s²/4g rule
+ * (EN 1993-1-1 6.2.2.2, AISC 360 B4.3b). Coordinates are in mm with the same
+ * origin as ProfileCalculator.calculateCentroid.
+ */
+
+import ProfileCalculator from './profileCalculator.js';
+
+// Bolt axis directions in the cross-section
+const HoleAxis = ['x', 'y'];
+
+// Number of steps over the section extent when tracing a plate along a bolt axis
+const TRACE_STEPS = 500;
+
+// Bisection steps to locate a plate face
+const FACE_ITERATIONS = 50;
+
+class NetSection {
+    /**
+     * Calculate the net area along the critical fracture path
+     * Holes on a path are taken in order across the section (by x, then y).
+     * Each hole deducts d·t, and each pair of consecutive holes staggered by
+     * s along the member at gauge g adds back s²·t/(4g), with t the thinner
+     * of the two plates. g is the distance between the hole centres, or for
+     * holes in perpendicular plates such as the legs of an angle the distance
+     * along the wall centrelines (the sum of the gauges less t).
+     * The path with the largest net deduction governs.
+     * @param {string} type Profile type
+     * @param {Object} dimensions Profile dimensions
+     * @param {Array<Object>} holes Holes {diameter, x, y (mm), axis: 'x' | 'y', position (mm along the member)};
+     *        the axis defaults to the direction in which the plate is thinnest at the hole
+     * @returns {Object} Gross and net area, deduction, critical path (hole indices) and the traced holes
+     */
+    static calculateNetArea(type, dimensions, holes = []) {
+        const dims = ProfileCalculator.normalizeDimensions(dimensions);
+        const grossArea = ProfileCalculator.calculateArea(type, dims);
+        const traced = holes.map((hole, i) => this._traceHole(type, dims, hole, i));
+        const { deduction, path } = this._getCriticalPath(traced);
+
+        return {
+            grossArea,
+            area: grossArea - deduction,
+            deduction,
+            path,
+            holes: traced
+        };
+    }
+
+    /**
+     * Calculate net section properties
+     * The holes on the critical path are removed from the gross section with
+     * the parallel axis theorem, without the stagger allowance. Moduli use
+     * the extreme fibres of the gross section, measured from the net centroid.
+     * @param {string} type Profile type
+     * @param {Object} dimensions Profile dimensions
+     * @param {Array<Object>} holes Holes, as for calculateNetArea
+     * @returns {Object} Net area results with the net centroid, second moments and elastic moduli
+     */
+    static calculateNetProperties(type, dimensions, holes = []) {
+        const dims = ProfileCalculator.normalizeDimensions(dimensions);
+        const net = this.calculateNetArea(type, dims, holes);
+        const centroid = ProfileCalculator.calculateCentroid(type, dims);
+        const { width, height } = ProfileCalculator.calculateBoundingBox(type, dims);
+
+        const removed = net.path.map(i => net.holes[i].rectangle);
+        const props = this._removeRectangles({
+            area: net.grossArea,
+            x: centroid.x,
+            y: centroid.y,
+            Ix: ProfileCalculator.calculateMomentOfInertiaX(type, dims),
+            Iy: ProfileCalculator.calculateMomentOfInertiaY(type, dims)
+        }, removed);
+
+        return {
+            ...net,
+            centroid: { x: props.x, y: props.y },
+            Ix: props.Ix,
+            Iy: props.Iy,
+            Wx: props.Ix / Math.max(height - props.y, props.y),
+            Wy: props.Iy / Math.max(width - props.x, props.x),
+            grossWx: ProfileCalculator.calculateSectionModulusX(type, dims),
+            grossWy: ProfileCalculator.calculateSectionModulusY(type, dims)
+        };
+    }
+
+    /**
+     * Largest net deduction over fracture paths through the holes
+     * @private
+     * @param {Array<Object>} holes Traced holes
+     * @returns {{deduction: number, path: Array<number>}} Deduction (mm²) and hole indices of the path
+     */
+    static _getCriticalPath(holes) {
+        const order = holes.map((_, i) => i)
+            .sort((a, b) => holes[a].x - holes[b].x || holes[a].y - holes[b].y);
+
+        // best[k]: largest deduction of a path ending at the k-th hole across the section
+        const best = [];
+        const previous = [];
+        order.forEach((i, k) => {
+            const hole = holes[i];
+            best[k] = hole.area;
+            previous[k] = null;
+            for (let j = 0; j < k; j++) {
+                const other = holes[order[j]];
+                const s = hole.position - other.position;
+                const g = this._getGauge(hole, other);
+                const stagger = g > 0 ? s * s * Math.min(hole.thickness, other.thickness) / (4 * g) : 0;
+                const candidate = best[j] - stagger + hole.area;
+                if (candidate > best[k]) {
+                    best[k] = candidate;
+                    previous[k] = j;
+                }
+            }
+        });
+
+        let end = null;
+        best.forEach((value, k) => {
+            if (end === null || value > best[end]) {
+                end = k;
+            }
+        });
+        const path = [];
+        for (let k = end; k !== null; k = previous[k]) {
+            path.unshift(order[k]);
+        }
+        return { deduction: end === null ? 0 : best[end], path };
+    }
+
+    /**
+     * Gauge between two holes across the section
+     * Holes through perpendicular plates are joined along the plate
+     * centrelines, through the point where the centrelines meet.
+     * @private
+     * @param {Object} a Traced hole
+     * @param {Object} b Traced hole
+     * @returns {number} Gauge in mm
+     */
+    static _getGauge(a, b) {
+        if (a.axis === b.axis) {
+            return Math.hypot(a.x - b.x, a.y - b.y);
+        }
+        // Holes along x pass through a vertical plate
+        const [vertical, horizontal] = a.axis === 'x' ? [a, b] : [b, a];
+        return Math.abs(vertical.y - horizontal.midplane) + Math.abs(horizontal.x - vertical.midplane);
+    }
+
+    /**
+     * Find the plate a hole passes through
+     * @private
+     * @param {string} type Profile type
+     * @param {Object} dimensions Normalized dimensions
+     * @param {Object} hole Hole
+     * @param {number} index Hole index for error messages
+     * @returns {Object} Hole with its axis, plate thickness and mid-plane, deducted area and removed rectangle
+     */
+    static _traceHole(type, dimensions, hole, index) {
+        const { diameter, x, y } = hole;
+        if (!(diameter > 0)) {
+            throw new Error(`Hole ${index + 1} diameter must be positive`);
+        }
+        if (!Number.isFinite(x) || !Number.isFinite(y)) {
+            throw new Error(`Hole ${index + 1} needs x and y coordinates`);
+        }
+        if (hole.axis !== undefined && !HoleAxis.includes(hole.axis)) {
+            throw new Error(`Unsupported hole axis: ${hole.axis}`);
+        }
+        if (!ProfileCalculator.containsPoint(type, dimensions, x, y)) {
+            throw new Error(`Hole ${index + 1} at (${x}, ${y}) is not on the material`);
+        }
+
+        const runs = {
+            x: this._getRun(type, dimensions, x, y, 'x'),
+            y: this._getRun(type, dimensions, x, y, 'y')
+        };
+        const axis = hole.axis ?? (runs.x.length < runs.y.length ? 'x' : 'y');
+        const run = runs[axis];
+        const rectangle = axis === 'y'
+            ? { x0: x - diameter / 2, x1: x + diameter / 2, y0: run.from, y1: run.to }
+            : { x0: run.from, x1: run.to, y0: y - diameter / 2, y1: y + diameter / 2 };
+
+        return {
+            diameter,
+            x,
+            y,
+            axis,
+            position: hole.position ?? 0,
+            thickness: run.length,
+            midplane: (run.from + run.to) / 2,
+            area: diameter * run.length,
+            rectangle
+        };
+    }
+
+    /**
+     * Material run along an axis through a point
+     * Steps out from the point in both directions until it leaves the
+     * material, then bisects for the face.
+     * @private
+     * @param {string} type Profile type
+     * @param {Object} dimensions Normalized dimensions
+     * @param {number} x Point x
+     * @param {number} y Point y
+     * @param {string} axis 'x' or 'y'
+     * @returns {{from: number, to: number, length: number}} Run along the axis
+     */
+    static _getRun(type, dimensions, x, y, axis) {
+        const bounds = ProfileCalculator.calculateBoundingBox(type, dimensions);
+        const extent = axis === 'x' ? bounds.width : bounds.height;
+        const origin = axis === 'x' ? x : y;
+        const inside = (value) => axis === 'x'
+            ? ProfileCalculator.containsPoint(type, dimensions, value, y)
+            : ProfileCalculator.containsPoint(type, dimensions, x, value);
+        const step = extent / TRACE_STEPS;
+
+        const face = (direction) => {
+            let a = origin;
+            let b = origin + direction * step;
+            while (inside(b)) {
+                a = b;
+                b += direction * step;
+            }
+            for (let i = 0; i < FACE_ITERATIONS; i++) {
+                const middle = (a + b) / 2;
+                if (inside(middle)) {
+                    a = middle;
+                } else {
+                    b = middle;
+                }
+            }
+            return a;
+        };
+
+        const from = face(-1);
+        const to = face(1);
+        return { from, to, length: to - from };
+    }
+
+    /**
+     * Remove rectangles from gross properties (parallel axis theorem)
+     * @private
+     * @param {{area: number, x: number, y: number, Ix: number, Iy: number}} props Properties
+     * @param {Array<{x0: number, x1: number, y0: number, y1: number}>} rectangles Rectangles to remove
+     * @returns {{area: number, x: number, y: number, Ix: number, Iy: number}} Reduced properties
+     */
+    static _removeRectangles(props, rectangles) {
+        const holes = rectangles.map(rectangle => {
+            const b = rectangle.x1 - rectangle.x0;
+            const h = rectangle.y1 - rectangle.y0;
+            return {
+                area: b * h,
+                x: (rectangle.x0 + rectangle.x1) / 2,
+                y: (rectangle.y0 + rectangle.y1) / 2,
+                Ix: b * Math.pow(h, 3) / 12,
+                Iy: h * Math.pow(b, 3) / 12
+            };
+        });
+
+        const area = props.area - holes.reduce((sum, hole) => sum + hole.area, 0);
+        const x = (props.area * props.x - holes.reduce((sum, hole) => sum + hole.area * hole.x, 0)) / area;
+        const y = (props.area * props.y - holes.reduce((sum, hole) => sum + hole.area * hole.y, 0)) / area;
+
+        return {
+            area,
+            x,
+            y,
+            Ix: props.Ix + props.area * Math.pow(props.y - y, 2) -
+                holes.reduce((sum, hole) => sum + hole.Ix + hole.area * Math.pow(hole.y - y, 2), 0),
+            Iy: props.Iy + props.area * Math.pow(props.x - x, 2) -
+                holes.reduce((sum, hole) => sum + hole.Iy + hole.area * Math.pow(hole.x - x, 2), 0)
+        };
+    }
+}
+
+export default NetSection;
\ No newline at end of file
@@ -0,0 +1,339 @@
+/**
+ * Polygon Section Module
+ * Calculates properties of arbitrary sections bounded by closed polylines
+ * using Green's theorem. Used for custom extrusions and any shape the
+ * standard profile types cannot describe.
+ */
+
+class PolygonSection {
+    /**
+     * Calculate section properties of an outline with optional holes
+     * Winding order does not matter: the outline always adds material and
+     * holes always remove it. Coordinates are in the caller's system.
+     * @param {Array<{x: number, y: number}>} outline Outer boundary points
+     * @param {Array<Array<{x: number, y: number}>>} holes Hole boundaries
+     * @returns {Object} Area, centroid, centroidal second moments, principal axes,
+     *          bounds and elastic section moduli
+     */
+    static calculateProperties(outline, holes = []) {
+        const contours = [
+            { points: outline, sign: 1 },
+            ...holes.map(points => ({ points, sign: -1 }))
+        ];
+
+        // Integrals about the origin
+        const totals = contours.reduce((sum, contour) => {
+            const integrals = this._integrate(contour.points);
+            const sign = contour.sign * Math.sign(integrals.area);
+            for (const key of Object.keys(sum)) {
+                sum[key] += sign * integrals[key];
+            }
+            return sum;
+        }, { area: 0, Qx: 0, Qy: 0, Ixx: 0, Iyy: 0, Ixy: 0 });
+
+        const area = totals.area;
+        if (!(area > 0)) {
+            throw new Error('Polygon section must enclose a positive area');
+        }
+
+        // Shift to the centroid
+        const x = totals.Qy / area;
+        const y = totals.Qx / area;
+        const Ix = totals.Ixx - area * y * y;
+        const Iy = totals.Iyy - area * x * x;
+        const Ixy = totals.Ixy - area * x * y;
+
+        const bounds = this.calculateBounds(outline);
+
+        const average = (Ix + Iy) / 2;
+        const radius = Math.sqrt(Math.pow((Ix - Iy) / 2, 2) + Ixy * Ixy);
+
+        return {
+            area,
+            x,
+            y,
+            Ix,
+            Iy,
+            Ixy,
+            Iu: average + radius,
+            Iv: average - radius,
+            alpha: Math.atan2(-2 * Ixy, Ix - Iy) / 2,
+            bounds,
+            Sx: Ix / Math.max(bounds.maxY - y, y - bounds.minY),
+            Sy: Iy / Math.max(bounds.maxX - x, x - bounds.minX)
+        };
+    }
+
+    /**
+     * Calculate plastic section modulus about a centroidal axis
+     * @param {Array<{x: number, y: number}>} outline Outer boundary points
+     * @param {Array<Array<{x: number, y: number}>>} holes Hole boundaries
+     * @param {string} axis Bending axis ('x' or 'y')
+     * @returns {number} Plastic section modulus
+     */
+    static calculatePlasticModulus(outline, holes = [], axis = 'x') {
+        // Bending about y is bending about x of the mirrored section
+        const swap = points => points.map(p => ({ x: p.y, y: p.x }));
+        const contours = [
+            { points: axis === 'y' ? swap(outline) : outline, sign: 1 },
+            ...holes.map(points => ({ points: axis === 'y' ? swap(points) : points, sign: -1 }))
+        ];
+
+        // Area and first moment of the material below the line y = c
+        const below = (c) => contours.reduce((sum, contour) => {
+            const clipped = this._clipBelow(contour.points, c);
+            if (clipped.length < 3) return sum;
+            const integrals = this._integrate(clipped);
+            const sign = contour.sign * Math.sign(this._integrate(contour.points).area);
+            sum.area += sign * integrals.area;
+            sum.Qx += sign * integrals.Qx;
+            return sum;
+        }, { area: 0, Qx: 0 });
+
+        const ys = contours[0].points.map(p => p.y);
+        const total = below(Math.max(...ys));
+        let low = Math.min(...ys);
+        let high = Math.max(...ys);
+        for (let i = 0; i < 100; i++) {
+            const mid = (low + high) / 2;
+            if (below(mid).area < total.area / 2) {
+                low = mid;
+            } else {
+                high = mid;
+            }
+        }
+        const pna = (low + high) / 2;
+
+        // Z = first moment of the upper half minus that of the lower half about the PNA
+        const lower = below(pna);
+        const upperQ = (total.Qx - lower.Qx) - pna * (total.area - lower.area);
+        const lowerQ = pna * lower.area - lower.Qx;
+        return upperQ + lowerQ;
+    }
+
+    /**
+     * Cut the section with the horizontal line y = c
+     * @param {Array<{x: number, y: number}>} outline Outer boundary points
+     * @param {Array<Array<{x: number, y: number}>>} holes Hole boundaries
+     * @param {number} c Cut height
+     * @returns {{area: number, moment: number, width: number}} Area above the line,
+     *          its first moment about y = 0 and the length of material on the line
+     */
+    static calculateAbove(outline, holes = [], c) {
+        const contours = [
+            { points: outline, sign: 1 },
+            ...holes.map(points => ({ points, sign: -1 }))
+        ];
+
+        return contours.reduce((sum, contour) => {
+            const total = this._integrate(contour.points);
+            const sign = contour.sign * Math.sign(total.area);
+            const clipped = this._clipBelow(contour.points, c);
+            const below = clipped.length < 3 ? { area: 0, Qx: 0 } : this._integrate(clipped);
+
+            // Crossings of the line pair up into chords through the contour
+            const crossings = [];
+            contour.points.forEach((p, i) => {
+                const q = contour.points[(i + 1) % contour.points.length];
+                if ((p.y <= c) !== (q.y <= c)) {
+                    crossings.push(p.x + (c - p.y) / (q.y - p.y) * (q.x - p.x));
+                }
+            });
+            crossings.sort((a, b) => a - b);
+            let width = 0;
+            for (let i = 0; i + 1 < crossings.length; i += 2) {
+                width += crossings[i + 1] - crossings[i];
+            }
+
+            sum.area += sign * (total.area - below.area);
+            sum.moment += sign * (total.Qx - below.Qx);
+            sum.width += contour.sign * width;
+            return sum;
+        }, { area: 0, moment: 0, width: 0 });
+    }
+
+    /**
+     * Check whether a point lies on the material of the section
+     * Points on the outline or on the edge of a hole count as material.
+     * @param {Array<{x: number, y: number}>} outline Outer boundary points
+     * @param {Array<Array<{x: number, y: number}>>} holes Hole boundaries
+     * @param {{x: number, y: number}} point Point to test
+     * @returns {boolean} True if the point is on the material
+     */
+    static containsPoint(outline, holes = [], point) {
+        return this._containsPoint(outline, point) &&
+            !holes.some(hole => this._containsPoint(hole, point) && !this._onBoundary(hole, point));
+    }
+
+    /**
+     * Calculate the bounding box of a polyline
+     * @param {Array<{x: number, y: number}>} points Boundary points
+     * @returns {{minX: number, maxX: number, minY: number, maxY: number}} Bounds
+     */
+    static calculateBounds(points) {
+        return {
+            minX: Math.min(...points.map(p => p.x)),
+            maxX: Math.max(...points.map(p => p.x)),
+            minY: Math.min(...points.map(p => p.y)),
+            maxY: Math.max(...points.map(p => p.y))
+        };
+    }
+
+    /**
+     * Calculate the length of a closed polyline
+     * @param {Array<{x: number, y: number}>} points Boundary points
+     * @returns {number} Perimeter
+     */
+    static calculatePerimeter(points) {
+        return points.reduce((sum, p, i) => {
+            const q = points[(i + 1) % points.length];
+            return sum + Math.hypot(q.x - p.x, q.y - p.y);
+        }, 0);
+    }
+
+    /**
+     * Validate an outline and its holes
+     * @param {Array<{x: number, y: number}>} outline Outer boundary points
+     * @param {Array<Array<{x: number, y: number}>>} holes Hole boundaries
+     * @returns {Object} Validation result
+     */
+    static validateContours(outline, holes = []) {
+        const result = {
+            isValid: true,
+            errors: [],
+            warnings: []
+        };
+
+        const isPolyline = (points) => Array.isArray(points) && points.length >= 3 &&
+            points.every(p => p && Number.isFinite(p.x) && Number.isFinite(p.y));
+
+        if (!isPolyline(outline)) {
+            result.isValid = false;
+            result.errors.push('Outline must have at least 3 points with numeric x and y');
+            return result;
+        }
+
+        if (this._integrate(outline).area === 0) {
+            result.isValid = false;
+            result.errors.push('Outline must enclose a non-zero area');
+        }
+
+        if (!Array.isArray(holes)) {
+            result.isValid = false;
+            result.errors.push('Holes must be an array of polylines');
+            return result;
+        }
+
+        holes.forEach((hole, index) => {
+            if (!isPolyline(hole)) {
+                result.isValid = false;
+                result.errors.push(`Hole ${index + 1} must have at least 3 points with numeric x and y`);
+            } else if (!hole.every(p => this._containsPoint(outline, p))) {
+                result.isValid = false;
+                result.errors.push(`Hole ${index + 1} must lie inside the outline`);
+            }
+        });
+
+        return result;
+    }
+
+    /**
+     * Green's theorem integrals of a closed polyline about the origin
+     * Positive for counter-clockwise point order.
+     * @private
+     * @param {Array<{x: number, y: number}>} points Boundary points
+     * @returns {{area: number, Qx: number, Qy: number, Ixx: number, Iyy: number, Ixy: number}} Integrals
+     */
+    static _integrate(points) {
+        const sum = { area: 0, Qx: 0, Qy: 0, Ixx: 0, Iyy: 0, Ixy: 0 };
+
+        for (let i = 0; i < points.length; i++) {
+            const p = points[i];
+            const q = points[(i + 1) % points.length];
+            const cross = p.x * q.y - q.x * p.y;
+
+            sum.area += cross / 2;
+            sum.Qy += (p.x + q.x) * cross / 6;
+            sum.Qx += (p.y + q.y) * cross / 6;
+            sum.Iyy += (p.x * p.x + p.x * q.x + q.x * q.x) * cross / 12;
+            sum.Ixx += (p.y * p.y + p.y * q.y + q.y * q.y) * cross / 12;
+            sum.Ixy += (p.x * q.y + 2 * p.x * p.y + 2 * q.x * q.y + q.x * p.y) * cross / 24;
+        }
+
+        return sum;
+    }
+
+    /**
+     * Clip a polyline to the half-plane y <= c (Sutherland-Hodgman)
+     * @private
+     * @param {Array<{x: number, y: number}>} points Boundary points
+     * @param {number} c Clipping level
+     * @returns {Array<{x: number, y: number}>} Clipped points
+     */
+    static _clipBelow(points, c) {
+        const clipped = [];
+
+        for (let i = 0; i < points.length; i++) {
+            const p = points[i];
+            const q = points[(i + 1) % points.length];
+            const pInside = p.y <= c;
+            const qInside = q.y <= c;
+
+            if (pInside) {
+                clipped.push(p);
+            }
+            if (pInside !== qInside) {
+                const t = (c - p.y) / (q.y - p.y);
+                clipped.push({ x: p.x + t * (q.x - p.x), y: c });
+            }
+        }
+
+        return clipped;
+    }
+
+    /**
+     * Point-in-polygon test (ray casting), boundary points count as inside
+     * @private
+     * @param {Array<{x: number, y: number}>} points Boundary points
+     * @param {{x: number, y: number}} point Point to test
+     * @returns {boolean} True if the point is inside or on the boundary
+     */
+    static _containsPoint(points, point) {
+        let inside = false;
+
+        if (this._onBoundary(points, point)) {
+            return true;
+        }
+
+        for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+            const a = points[i];
+            const b = points[j];
+
+            if ((a.y > point.y) !== (b.y > point.y) &&
+                point.x < (b.x - a.x) * (point.y - a.y) / (b.y - a.y) + a.x) {
+                inside = !inside;
+            }
+        }
+
+        return inside;
+    }
+
+    /**
+     * Check whether a point lies on a polyline
+     * @private
+     * @param {Array<{x: number, y: number}>} points Boundary points
+     * @param {{x: number, y: number}} point Point to test
+     * @returns {boolean} True if the point is on one of the edges
+     */
+    static _onBoundary(points, point) {
+        return points.some((a, i) => {
+            const b = points[(i + 1) % points.length];
+            const cross = (b.x - a.x) * (point.y - a.y) - (b.y - a.y) * (point.x - a.x);
+            return Math.abs(cross) < 1e-9 &&
+                point.x >= Math.min(a.x, b.x) && point.x <= Math.max(a.x, b.x) &&
+                point.y >= Math.min(a.y, b.y) && point.y <= Math.max(a.y, b.y);
+        });
+    }
+}
+
+export default PolygonSection;
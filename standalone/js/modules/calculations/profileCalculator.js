@@ -1,110 +1,441 @@
 /**
  * Profile Calculator Module
  * Calculates geometric and physical properties of structural profiles
+ * Dimensions are plain numbers in mm or length Quantities.
  */
 
-import { ProfileType } from '../profiles/profileTypes.js';
+import { ProfileType, ProfileValidator } from '../profiles/profileTypes.js';
 import { UnitType } from './unitConverter.js';
+import PolygonSection from './polygonSection.js';
+import { Quantity } from './quantity.js';
+
+// Quarter-circle spandrel (square corner minus quarter disc) of unit radius
+const SPANDREL = {
+    area: 1 - Math.PI / 4,
+    centroid: (10 - 3 * Math.PI) / (12 - 3 * Math.PI),
+    inertia: 1 - 5 * Math.PI / 16,      // about the corner's own leg
+    product: 19 / 24 - Math.PI / 4      // about the corner's two legs
+};
+
+// Memoized calculateAll results, oldest entries are evicted first
+const propertyCache = new Map();
+const PROPERTY_CACHE_SIZE = 1000;
 
 class ProfileCalculator {
     /**
      * Calculate cross-sectional area
+     * Root fillets, toe radii and tube corner radii from the optional
+     * dimensions are included in area, centroid and inertia.
      * @param {string} type Profile type
      * @param {Object} dimensions Profile dimensions
      * @returns {number} Area in square units
      */
     static calculateArea(type, dimensions) {
+        dimensions = this.normalizeDimensions(dimensions);
+        return this._getGrossProperties(type, dimensions).area;
+    }
+
+    /**
+     * Calculate centroid location
+     * Measured from the bottom-left corner of the bounding box. Angles have the
+     * vertical leg on the left and the horizontal leg at the bottom; channels
+     * have the web on the left with the flanges pointing right.
+     * @param {string} type Profile type
+     * @param {Object} dimensions Profile dimensions
+     * @returns {{x: number, y: number}} Centroid coordinates
+     */
+    static calculateCentroid(type, dimensions) {
+        dimensions = this.normalizeDimensions(dimensions);
+        const { x, y } = this._getGrossProperties(type, dimensions);
+        return { x, y };
+    }
+
+    /**
+     * Calculate moment of inertia about x-axis (horizontal)
+     * @param {string} type Profile type
+     * @param {Object} dimensions Profile dimensions
+     * @returns {number} Moment of inertia in units^4
+     */
+    static calculateMomentOfInertiaX(type, dimensions) {
+        dimensions = this.normalizeDimensions(dimensions);
+        return this._getGrossProperties(type, dimensions).Ix;
+    }
+
+    /**
+     * Calculate moment of inertia about y-axis (vertical)
+     * @param {string} type Profile type
+     * @param {Object} dimensions Profile dimensions
+     * @returns {number} Moment of inertia in units^4
+     */
+    static calculateMomentOfInertiaY(type, dimensions) {
+        dimensions = this.normalizeDimensions(dimensions);
+        return this._getGrossProperties(type, dimensions).Iy;
+    }
+
+    /**
+     * Calculate overall bounding box
+     * @param {string} type Profile type
+     * @param {Object} dimensions Profile dimensions
+     * @returns {{width: number, height: number}} Overall width (along x) and height (along y)
+     */
+    static calculateBoundingBox(type, dimensions) {
+        dimensions = this.normalizeDimensions(dimensions);
         switch (type) {
-            case ProfileType.ROUND_TUBE: {
-                const outerRadius = dimensions.diameter / 2;
-                const innerRadius = outerRadius - dimensions.thickness;
-                return Math.PI * (outerRadius * outerRadius - innerRadius * innerRadius);
-            }
+            case ProfileType.ROUND_TUBE:
+            case ProfileType.ROUND_BAR:
+                return { width: dimensions.diameter, height: dimensions.diameter };
 
-            case ProfileType.SQUARE_TUBE: {
-                const outer = dimensions.width * dimensions.width;
-                const inner = (dimensions.width - 2 * dimensions.thickness) * (dimensions.width - 2 * dimensions.thickness);
-                return outer - inner;
-            }
+            case ProfileType.SQUARE_TUBE:
+            case ProfileType.SQUARE_BAR:
+                return { width: dimensions.width, height: dimensions.width };
 
-            case ProfileType.RECTANGULAR_TUBE: {
-                const outer = dimensions.width * dimensions.height;
-                const inner = (dimensions.width - 2 * dimensions.thickness) * (dimensions.height - 2 * dimensions.thickness);
-                return outer - inner;
+            case ProfileType.RECTANGULAR_TUBE:
+            case ProfileType.ANGLE:
+            case ProfileType.I_BEAM:
+            case ProfileType.T_SECTION:
+                return { width: dimensions.width, height: dimensions.height };
+
+            case ProfileType.CHANNEL:
+                return { width: dimensions.flange_width, height: dimensions.height };
+
+            case ProfileType.Z_SECTION:
+                // Flanges point in opposite directions from a shared web
+                return { width: 2 * dimensions.flange_width - dimensions.thickness, height: dimensions.height };
+
+            case ProfileType.FLAT_BAR:
+                return { width: dimensions.width, height: dimensions.thickness };
+
+            case ProfileType.CUSTOM: {
+                const bounds = PolygonSection.calculateBounds(dimensions.outline);
+                return { width: bounds.maxX - bounds.minX, height: bounds.maxY - bounds.minY };
             }
 
-            case ProfileType.ANGLE: {
-                return (dimensions.width + dimensions.height - dimensions.thickness) * dimensions.thickness;
+            case ProfileType.COMPOUND: {
+                const bounds = this._getCompoundBounds(dimensions.parts);
+                return { width: bounds.maxX - bounds.minX, height: bounds.maxY - bounds.minY };
             }
 
-            case ProfileType.CHANNEL: {
-                return dimensions.height * dimensions.thickness + 
-                       2 * dimensions.flange_width * dimensions.thickness;
+            default:
+                throw new Error(`Unsupported profile type: ${type}`);
+        }
+    }
+
+    /**
+     * Calculate section modulus about x-axis
+     * Uses the extreme fibre furthest from the centroid.
+     * @param {string} type Profile type
+     * @param {Object} dimensions Profile dimensions
+     * @returns {number} Section modulus in units^3
+     */
+    static calculateSectionModulusX(type, dimensions) {
+        dimensions = this.normalizeDimensions(dimensions);
+        const { y, Ix } = this._getGrossProperties(type, dimensions);
+        const { height } = this.calculateBoundingBox(type, dimensions);
+        return Ix / Math.max(height - y, y);
+    }
+
+    /**
+     * Calculate section modulus about y-axis
+     * Uses the extreme fibre furthest from the centroid.
+     * @param {string} type Profile type
+     * @param {Object} dimensions Profile dimensions
+     * @returns {number} Section modulus in units^3
+     */
+    static calculateSectionModulusY(type, dimensions) {
+        dimensions = this.normalizeDimensions(dimensions);
+        const { x, Iy } = this._getGrossProperties(type, dimensions);
+        const { width } = this.calculateBoundingBox(type, dimensions);
+        return Iy / Math.max(width - x, x);
+    }
+
+    /**
+     * Calculate weight per unit length
+     * A plain density is taken in kg/m³ (as in DefaultProperties) and gives
+     * kg/m; a density Quantity gives a Quantity in kg/m.
+     * @param {string} type Profile type
+     * @param {Object} dimensions Profile dimensions (mm or length Quantities)
+     * @param {number|Quantity} density Material density
+     * @returns {number|Quantity} Weight per unit length in kg/m
+     */
+    static calculateWeightPerLength(type, dimensions, density) {
+        const area = new Quantity(this.calculateArea(type, dimensions), 'mm2');
+        const weight = area.multiply(Quantity.from(density, 'kg/m3')).convert('kg/m');
+        return density instanceof Quantity ? weight : weight.value;
+    }
+
+    /**
+     * Convert Quantity values in a dimensions object to plain millimetres
+     * Every calculation passes its dimensions through here, so plain numbers
+     * (mm) and length Quantities can be mixed. Quantities of another dimension
+     * are rejected. Compound parts are converted too.
+     * @param {Object} dimensions Profile dimensions
+     * @returns {Object} Dimensions with numbers in mm
+     */
+    static normalizeDimensions(dimensions) {
+        const result = {};
+        for (const [key, value] of Object.entries(dimensions)) {
+            if (value instanceof Quantity) {
+                result[key] = value.to('mm');
+            } else if (key === 'parts' && Array.isArray(value)) {
+                result[key] = value.map(part => ({ ...part, dimensions: this.normalizeDimensions(part.dimensions) }));
+            } else {
+                result[key] = value;
             }
+        }
+        return result;
+    }
 
-            case ProfileType.I_BEAM: {
-                return dimensions.height * dimensions.web_thickness + 
-                       2 * dimensions.width * dimensions.flange_thickness;
+    /**
+     * Calculate perimeter of the cross-section
+     * Closed tubes (and custom sections with holes) report the inside wall
+     * separately. Each rounded corner or fillet shortens the perimeter by
+     * (2 - π/2)·r. Faces of compound parts in contact are not deducted.
+     * @param {string} type Profile type
+     * @param {Object} dimensions Profile dimensions
+     * @returns {{outside: number, inside: number}} Outside and inside perimeter
+     */
+    static calculatePerimeter(type, dimensions) {
+        dimensions = this.normalizeDimensions(dimensions);
+        let outside;
+        let inside = 0;
+
+        switch (type) {
+            case ProfileType.ROUND_TUBE:
+                return {
+                    outside: Math.PI * dimensions.diameter,
+                    inside: Math.PI * (dimensions.diameter - 2 * dimensions.thickness)
+                };
+
+            case ProfileType.ROUND_BAR:
+                return { outside: Math.PI * dimensions.diameter, inside: 0 };
+
+            case ProfileType.SQUARE_TUBE:
+            case ProfileType.RECTANGULAR_TUBE: {
+                const b = dimensions.width;
+                const h = dimensions.height ?? dimensions.width;
+                outside = 2 * (b + h);
+                inside = 2 * (b + h - 4 * dimensions.thickness);
+                break;
             }
 
+            case ProfileType.ANGLE:
+                outside = 2 * (dimensions.width + dimensions.height);
+                break;
+
+            case ProfileType.CHANNEL:
+            case ProfileType.Z_SECTION:
+                outside = 2 * dimensions.height + 4 * dimensions.flange_width - 2 * dimensions.thickness;
+                break;
+
+            case ProfileType.I_BEAM:
+                outside = 2 * dimensions.height + 4 * dimensions.width - 2 * dimensions.web_thickness;
+                break;
+
+            case ProfileType.T_SECTION:
+                outside = 2 * (dimensions.width + dimensions.height);
+                break;
+
+            case ProfileType.FLAT_BAR:
+                outside = 2 * (dimensions.width + dimensions.thickness);
+                break;
+
+            case ProfileType.SQUARE_BAR:
+                outside = 4 * dimensions.width;
+                break;
+
+            case ProfileType.CUSTOM:
+                return {
+                    outside: PolygonSection.calculatePerimeter(dimensions.outline),
+                    inside: (dimensions.holes || []).reduce((sum, hole) => sum + PolygonSection.calculatePerimeter(hole), 0)
+                };
+
+            case ProfileType.COMPOUND:
+                return dimensions.parts.reduce((sum, part) => {
+                    const perimeter = this.calculatePerimeter(part.profile, part.dimensions);
+                    sum.outside += perimeter.outside;
+                    sum.inside += perimeter.inside;
+                    return sum;
+                }, { outside: 0, inside: 0 });
+
             default:
                 throw new Error(`Unsupported profile type: ${type}`);
         }
+
+        // Fillets inside a tube lie on the inside wall, all others on the outside
+        const closed = inside > 0;
+        for (const corner of this._getCorners(type, dimensions)) {
+            const change = (Math.PI / 2 - 2) * corner.r;
+            if (closed && corner.sign > 0) {
+                inside += change;
+            } else {
+                outside += change;
+            }
+        }
+
+        return { outside, inside };
     }
 
     /**
-     * Calculate moment of inertia about x-axis (horizontal)
+     * Calculate surface area per unit length
+     * Dimensions are taken in mm, the result is in m² per metre of member.
      * @param {string} type Profile type
      * @param {Object} dimensions Profile dimensions
-     * @returns {number} Moment of inertia in units^4
+     * @returns {{outside: number, inside: number, total: number}} Surface areas in m²/m
      */
-    static calculateMomentOfInertiaX(type, dimensions) {
+    static calculateSurfaceAreaPerLength(type, dimensions) {
+        const { outside, inside } = this.calculatePerimeter(type, dimensions);
+        return {
+            outside: outside / 1000,
+            inside: inside / 1000,
+            total: (outside + inside) / 1000
+        };
+    }
+
+    /**
+     * Calculate radius of gyration about x-axis
+     * @param {string} type Profile type
+     * @param {Object} dimensions Profile dimensions
+     * @returns {number} Radius of gyration
+     */
+    static calculateRadiusOfGyration(type, dimensions) {
+        const area = this.calculateArea(type, dimensions);
+        const Ix = this.calculateMomentOfInertiaX(type, dimensions);
+        return Math.sqrt(Ix / area);
+    }
+
+    /**
+     * Calculate radius of gyration about y-axis
+     * @param {string} type Profile type
+     * @param {Object} dimensions Profile dimensions
+     * @returns {number} Radius of gyration
+     */
+    static calculateRadiusOfGyrationY(type, dimensions) {
+        const area = this.calculateArea(type, dimensions);
+        const Iy = this.calculateMomentOfInertiaY(type, dimensions);
+        return Math.sqrt(Iy / area);
+    }
+
+    /**
+     * Calculate product of inertia about the centroidal x and y axes
+     * Zero for sections with an axis of symmetry; negative for angles in the
+     * default orientation (legs along +x and +y).
+     * @param {string} type Profile type
+     * @param {Object} dimensions Profile dimensions
+     * @returns {number} Product of inertia in units^4
+     */
+    static calculateProductOfInertia(type, dimensions) {
+        dimensions = this.normalizeDimensions(dimensions);
+        return this._getGrossProperties(type, dimensions).Ixy;
+    }
+
+    /**
+     * Calculate principal axes
+     * u is the major and v the minor principal axis. For doubly symmetric
+     * sections they coincide with x and y.
+     * @param {string} type Profile type
+     * @param {Object} dimensions Profile dimensions
+     * @returns {{Iu: number, Iv: number, alpha: number, ru: number, rv: number}} Principal moments of inertia,
+     *          angle from the x-axis to the u-axis in radians (counter-clockwise) and principal radii of gyration
+     */
+    static calculatePrincipalAxes(type, dimensions) {
+        dimensions = this.normalizeDimensions(dimensions);
+        return this._getPrincipalAxes(this._getGrossProperties(type, dimensions));
+    }
+
+    /**
+     * Calculate minimum radius of gyration (about the minor principal axis)
+     * Governs flexural buckling of single-angle struts.
+     * @param {string} type Profile type
+     * @param {Object} dimensions Profile dimensions
+     * @returns {number} Radius of gyration
+     */
+    static calculateMinimumRadiusOfGyration(type, dimensions) {
+        return this.calculatePrincipalAxes(type, dimensions).rv;
+    }
+
+    /**
+     * Calculate St. Venant torsion constant
+     * Closed tubes use the Bredt thin-wall formula on the wall centreline,
+     * open sections sum b·t³/3 over their centreline plate lengths. I-beams
+     * with a root radius take the rolled-section formula of El Darwish and
+     * Johnston with the flange-web junctions, as catalogue values do; the
+     * fillets and toe radii of the other open sections are ignored.
+     * @param {string} type Profile type
+     * @param {Object} dimensions Profile dimensions
+     * @returns {number} Torsion constant in units^4
+     */
+    static calculateTorsionConstant(type, dimensions) {
+        dimensions = this.normalizeDimensions(dimensions);
         switch (type) {
             case ProfileType.ROUND_TUBE: {
-                const outerRadius = dimensions.diameter / 2;
-                const innerRadius = outerRadius - dimensions.thickness;
-                return (Math.PI / 4) * (Math.pow(outerRadius, 4) - Math.pow(innerRadius, 4));
-            }
-
-            case ProfileType.SQUARE_TUBE: {
-                const outer = Math.pow(dimensions.width, 4) / 12;
-                const inner = Math.pow(dimensions.width - 2 * dimensions.thickness, 4) / 12;
-                return outer - inner;
+                const rm = (dimensions.diameter - dimensions.thickness) / 2;
+                return 2 * Math.PI * Math.pow(rm, 3) * dimensions.thickness;
             }
 
+            case ProfileType.SQUARE_TUBE:
             case ProfileType.RECTANGULAR_TUBE: {
-                const outer = (dimensions.width * Math.pow(dimensions.height, 3)) / 12;
-                const inner = ((dimensions.width - 2 * dimensions.thickness) * 
-                             Math.pow(dimensions.height - 2 * dimensions.thickness, 3)) / 12;
-                return outer - inner;
+                // J = 4·Am²·t / p with Am and p taken on the wall centreline
+                const t = dimensions.thickness;
+                const bm = dimensions.width - t;
+                const hm = (dimensions.height ?? dimensions.width) - t;
+                return 2 * t * Math.pow(bm * hm, 2) / (bm + hm);
             }
 
             case ProfileType.ANGLE: {
-                // About the horizontal axis through the centroid
-                const h = dimensions.height;
-                const b = dimensions.width;
                 const t = dimensions.thickness;
-                const A = this.calculateArea(type, dimensions);
-                const yc = (h * t * (h/2) + b * t * t/2) / A;
-                return (t * Math.pow(h, 3) / 3) + (Math.pow(t, 3) * b / 12) + 
-                       (h * t * Math.pow(h/2 - yc, 2)) + (b * t * Math.pow(t/2 - yc, 2));
+                const legs = (dimensions.width - t/2) + (dimensions.height - t/2);
+                return legs * Math.pow(t, 3) / 3;
             }
 
             case ProfileType.CHANNEL: {
-                const h = dimensions.height;
-                const b = dimensions.flange_width;
                 const t = dimensions.thickness;
-                return (t * Math.pow(h, 3) / 12) + 
-                       2 * (b * Math.pow(t, 3) / 12 + b * t * Math.pow(h/2, 2));
+                const b = dimensions.flange_width - t/2;
+                const h = dimensions.height - t;
+                return (2 * b + h) * Math.pow(t, 3) / 3;
             }
 
             case ProfileType.I_BEAM: {
-                const h = dimensions.height;
-                const b = dimensions.width;
                 const tw = dimensions.web_thickness;
                 const tf = dimensions.flange_thickness;
-                return (tw * Math.pow(h - 2*tf, 3) / 12) + 
-                       2 * (b * Math.pow(tf, 3) / 12 + b * tf * Math.pow(h/2 - tf/2, 2));
+                const r = dimensions.root_radius ??
+                          (dimensions.k_dimension > tf ? dimensions.k_dimension - tf : 0);
+                if (r > 0) {
+                    // D is the diameter of the circle inscribed in a junction, α its shape factor
+                    const D = (Math.pow(tf + r, 2) + tw * (r + tw / 4)) / (2 * r + tf);
+                    const alpha = -0.042 + 0.2204 * tw / tf + 0.1355 * r / tf -
+                                  0.0865 * r * tw / (tf * tf) - 0.0725 * tw * tw / (tf * tf);
+                    return 2 * dimensions.width * Math.pow(tf, 3) / 3 +
+                           (dimensions.height - 2 * tf) * Math.pow(tw, 3) / 3 +
+                           2 * alpha * Math.pow(D, 4) - 0.42 * Math.pow(tf, 4);
+                }
+                const h0 = dimensions.height - tf;
+                return (2 * dimensions.width * Math.pow(tf, 3) + h0 * Math.pow(tw, 3)) / 3;
+            }
+
+            case ProfileType.T_SECTION: {
+                const tw = dimensions.web_thickness;
+                const tf = dimensions.flange_thickness;
+                const d = dimensions.height - tf/2;
+                return (dimensions.width * Math.pow(tf, 3) + d * Math.pow(tw, 3)) / 3;
+            }
+
+            case ProfileType.Z_SECTION: {
+                const t = dimensions.thickness;
+                const b = dimensions.flange_width - t/2;
+                const h = dimensions.height - t;
+                return (2 * b + h) * Math.pow(t, 3) / 3;
+            }
+
+            case ProfileType.ROUND_BAR:
+                return Math.PI * Math.pow(dimensions.diameter, 4) / 32;
+
+            case ProfileType.FLAT_BAR:
+            case ProfileType.SQUARE_BAR: {
+                // Solid rectangle (Roark), b is the longer side
+                const sides = [dimensions.width, dimensions.thickness ?? dimensions.width];
+                const b = Math.max(...sides);
+                const t = Math.min(...sides);
+                return b * Math.pow(t, 3) * (1/3 - 0.21 * (t / b) * (1 - Math.pow(t, 4) / (12 * Math.pow(b, 4))));
             }
 
             default:
@@ -113,66 +444,1149 @@ class ProfileCalculator {
     }
 
     /**
-     * Calculate section modulus about x-axis
+     * Calculate warping constant
+     * Closed sections and round bars barely warp, so their warping constant
+     * is taken as zero. Solid rectangles (flat and square bars) use b³·t³/144.
+     * Open sections use their centreline plates, fillets and toe radii are ignored.
      * @param {string} type Profile type
      * @param {Object} dimensions Profile dimensions
-     * @returns {number} Section modulus in units^3
+     * @returns {number} Warping constant in units^6
      */
-    static calculateSectionModulusX(type, dimensions) {
-        const Ix = this.calculateMomentOfInertiaX(type, dimensions);
-        let yMax;
-
+    static calculateWarpingConstant(type, dimensions) {
+        dimensions = this.normalizeDimensions(dimensions);
         switch (type) {
             case ProfileType.ROUND_TUBE:
-                yMax = dimensions.diameter / 2;
-                break;
             case ProfileType.SQUARE_TUBE:
-                yMax = dimensions.width / 2;
-                break;
             case ProfileType.RECTANGULAR_TUBE:
-            case ProfileType.CHANNEL:
-            case ProfileType.I_BEAM:
-                yMax = dimensions.height / 2;
-                break;
-            case ProfileType.ANGLE:
-                // For angles, use the maximum distance from neutral axis
-                const A = this.calculateArea(type, dimensions);
-                yMax = Math.max(
-                    dimensions.height - (dimensions.height * dimensions.thickness * (dimensions.height/2) + 
-                    dimensions.width * dimensions.thickness * dimensions.thickness/2) / A,
-                    (dimensions.height * dimensions.thickness * (dimensions.height/2) + 
-                    dimensions.width * dimensions.thickness * dimensions.thickness/2) / A
-                );
-                break;
+            case ProfileType.ROUND_BAR:
+                return 0;
+
+            case ProfileType.ANGLE: {
+                // Legs meet at the shear centre, only the small through-thickness term remains
+                const t = dimensions.thickness;
+                const b = dimensions.width - t/2;
+                const h = dimensions.height - t/2;
+                return Math.pow(t, 3) * (Math.pow(b, 3) + Math.pow(h, 3)) / 36;
+            }
+
+            case ProfileType.CHANNEL: {
+                const t = dimensions.thickness;
+                const b = dimensions.flange_width - t/2;
+                const h = dimensions.height - t;
+                return (t * Math.pow(b, 3) * Math.pow(h, 2) / 12) * 
+                       (3 * b + 2 * h) / (6 * b + h);
+            }
+
+            case ProfileType.I_BEAM: {
+                // Flanges warp about the web, Cw = Iz,flange·h0²/2
+                const tf = dimensions.flange_thickness;
+                const h0 = dimensions.height - tf;
+                return tf * Math.pow(dimensions.width, 3) * Math.pow(h0, 2) / 24;
+            }
+
+            case ProfileType.T_SECTION: {
+                const tw = dimensions.web_thickness;
+                const tf = dimensions.flange_thickness;
+                const d = dimensions.height - tf/2;
+                return (Math.pow(tf, 3) * Math.pow(dimensions.width, 3)) / 144 + 
+                       (Math.pow(tw, 3) * Math.pow(d, 3)) / 36;
+            }
+
+            case ProfileType.Z_SECTION: {
+                const t = dimensions.thickness;
+                const b = dimensions.flange_width - t/2;
+                const h = dimensions.height - t;
+                return (t * Math.pow(b, 3) * Math.pow(h, 2) / 12) * 
+                       (b + 2 * h) / (2 * b + h);
+            }
+
+            case ProfileType.FLAT_BAR:
+            case ProfileType.SQUARE_BAR: {
+                // Solid rectangle, the same for either orientation
+                const t = dimensions.thickness ?? dimensions.width;
+                return Math.pow(dimensions.width, 3) * Math.pow(t, 3) / 144;
+            }
+
             default:
                 throw new Error(`Unsupported profile type: ${type}`);
         }
+    }
+
+    /**
+     * Calculate plastic section modulus about x-axis
+     * The plastic neutral axis is the horizontal axis that splits the area in half.
+     * Root fillets, toe radii and tube corner radii are included as in the
+     * gross properties.
+     * @param {string} type Profile type
+     * @param {Object} dimensions Profile dimensions
+     * @returns {number} Plastic section modulus in units^3
+     */
+    static calculatePlasticModulusX(type, dimensions) {
+        dimensions = this.normalizeDimensions(dimensions);
+        if (type === ProfileType.ROUND_TUBE) {
+            const d = dimensions.diameter - 2 * dimensions.thickness;
+            return (Math.pow(dimensions.diameter, 3) - Math.pow(d, 3)) / 6;
+        }
+        if (type === ProfileType.ROUND_BAR) {
+            return Math.pow(dimensions.diameter, 3) / 6;
+        }
+        if (type === ProfileType.CUSTOM) {
+            return PolygonSection.calculatePlasticModulus(dimensions.outline, dimensions.holes, 'x');
+        }
 
-        return Ix / yMax;
+        return this._plasticModulus(this._getPlateShapes(type, dimensions), this.calculateBoundingBox(type, dimensions).height);
     }
 
     /**
-     * Calculate weight per unit length
+     * Calculate plastic section modulus about y-axis
+     * The plastic neutral axis is the vertical axis that splits the area in half.
      * @param {string} type Profile type
      * @param {Object} dimensions Profile dimensions
-     * @param {number} density Material density
-     * @returns {number} Weight per unit length
+     * @returns {number} Plastic section modulus in units^3
      */
-    static calculateWeightPerLength(type, dimensions, density) {
-        const area = this.calculateArea(type, dimensions);
-        return area * density;
+    static calculatePlasticModulusY(type, dimensions) {
+        dimensions = this.normalizeDimensions(dimensions);
+        if (type === ProfileType.ROUND_TUBE || type === ProfileType.ROUND_BAR) {
+            return this.calculatePlasticModulusX(type, dimensions);
+        }
+        if (type === ProfileType.CUSTOM) {
+            return PolygonSection.calculatePlasticModulus(dimensions.outline, dimensions.holes, 'y');
+        }
+
+        // Bending about y is bending about x of the section mirrored in the line y = x
+        const shapes = this._getPlateShapes(type, dimensions).map(shape => this._transposeShape(shape));
+        return this._plasticModulus(shapes, this.calculateBoundingBox(type, dimensions).width);
     }
 
     /**
-     * Calculate radius of gyration
+     * Calculate shape factor (plastic over elastic section modulus)
      * @param {string} type Profile type
      * @param {Object} dimensions Profile dimensions
-     * @returns {number} Radius of gyration
+     * @param {string} axis Bending axis ('x' or 'y')
+     * @returns {number} Shape factor
      */
-    static calculateRadiusOfGyration(type, dimensions) {
-        const area = this.calculateArea(type, dimensions);
-        const Ix = this.calculateMomentOfInertiaX(type, dimensions);
-        return Math.sqrt(Ix / area);
+    static calculateShapeFactor(type, dimensions, axis = 'x') {
+        if (axis === 'y') {
+            return this.calculatePlasticModulusY(type, dimensions) / this.calculateSectionModulusY(type, dimensions);
+        }
+        return this.calculatePlasticModulusX(type, dimensions) / this.calculateSectionModulusX(type, dimensions);
+    }
+
+    /**
+     * Calculate shear centre location
+     * Thin-walled theory on the plate centrelines, fillets are ignored. Loads
+     * through the shear centre bend the member without twisting it. Parts of a
+     * compound section are assumed to share the load in proportion to their
+     * stiffness (inertia-weighted shear centres).
+     * @param {string} type Profile type
+     * @param {Object} dimensions Profile dimensions
+     * @returns {{x: number, y: number}} Shear centre coordinates (same origin as calculateCentroid)
+     */
+    static calculateShearCenter(type, dimensions) {
+        dimensions = this.normalizeDimensions(dimensions);
+        switch (type) {
+            case ProfileType.ROUND_TUBE:
+            case ProfileType.SQUARE_TUBE:
+            case ProfileType.RECTANGULAR_TUBE:
+            case ProfileType.I_BEAM:
+            case ProfileType.Z_SECTION:
+            case ProfileType.FLAT_BAR:
+            case ProfileType.ROUND_BAR:
+            case ProfileType.SQUARE_BAR:
+                // Doubly symmetric or point-symmetric: coincides with the centroid
+                return this.calculateCentroid(type, dimensions);
+
+            case ProfileType.ANGLE: {
+                // Intersection of the leg centrelines
+                const t = dimensions.thickness;
+                return { x: t / 2, y: t / 2 };
+            }
+
+            case ProfileType.CHANNEL: {
+                // Behind the web: e = 3·b²·tf / (6·b·tf + h·tw) from the web centreline
+                const t = dimensions.thickness;
+                const b = dimensions.flange_width - t/2;
+                const h = dimensions.height - t;
+                const e = 3 * b * b * t / (6 * b * t + h * t);
+                return { x: t/2 - e, y: dimensions.height / 2 };
+            }
+
+            case ProfileType.T_SECTION:
+                // Intersection of the flange and stem centrelines
+                return {
+                    x: dimensions.width / 2,
+                    y: dimensions.height - dimensions.flange_thickness / 2
+                };
+
+            case ProfileType.COMPOUND: {
+                const bounds = this._getCompoundBounds(dimensions.parts);
+                const parts = dimensions.parts.map(part => {
+                    const local = this.calculateShearCenter(part.profile, part.dimensions);
+                    return { ...this._placePart(part), center: this._placePoint(part, local.x, local.y) };
+                });
+                const sumIx = parts.reduce((sum, p) => sum + p.Ix, 0);
+                const sumIy = parts.reduce((sum, p) => sum + p.Iy, 0);
+                return {
+                    x: parts.reduce((sum, p) => sum + p.Ix * p.center.x, 0) / sumIx - bounds.minX,
+                    y: parts.reduce((sum, p) => sum + p.Iy * p.center.y, 0) / sumIy - bounds.minY
+                };
+            }
+
+            default:
+                throw new Error(`Unsupported profile type: ${type}`);
+        }
+    }
+
+    /**
+     * Calculate design shear areas (EN 1993-1-1, 6.2.6)
+     * Avy resists shear parallel to the y-axis (the web of I-beams and
+     * channels), Avx shear parallel to the x-axis (the flanges).
+     * @param {string} type Profile type
+     * @param {Object} dimensions Profile dimensions
+     * @returns {{Avx: number, Avy: number}} Shear areas in square units
+     */
+    static calculateShearAreas(type, dimensions) {
+        dimensions = this.normalizeDimensions(dimensions);
+        const area = type === ProfileType.COMPOUND ? 0 : this.calculateArea(type, dimensions);
+
+        switch (type) {
+            case ProfileType.ROUND_TUBE:
+                return { Avx: 2 * area / Math.PI, Avy: 2 * area / Math.PI };
+
+            case ProfileType.SQUARE_TUBE:
+            case ProfileType.RECTANGULAR_TUBE: {
+                const b = dimensions.width;
+                const h = dimensions.height ?? dimensions.width;
+                return { Avx: area * b / (b + h), Avy: area * h / (b + h) };
+            }
+
+            case ProfileType.ANGLE: {
+                const t = dimensions.thickness;
+                return { Avx: dimensions.width * t, Avy: dimensions.height * t };
+            }
+
+            case ProfileType.CHANNEL:
+            case ProfileType.Z_SECTION: {
+                const t = dimensions.thickness;
+                const b = dimensions.flange_width;
+                const hw = dimensions.height - 2 * t;
+                const r = dimensions.root_radius || 0;
+                return {
+                    Avx: area - hw * t,
+                    Avy: Math.max(area - 2 * b * t + (t + r) * t, hw * t)
+                };
+            }
+
+            case ProfileType.I_BEAM: {
+                const tw = dimensions.web_thickness;
+                const tf = dimensions.flange_thickness;
+                const hw = dimensions.height - 2 * tf;
+                const r = dimensions.root_radius ??
+                          (dimensions.k_dimension > tf ? dimensions.k_dimension - tf : 0);
+                return {
+                    Avx: area - hw * tw,
+                    Avy: Math.max(area - 2 * dimensions.width * tf + (tw + 2 * r) * tf, hw * tw)
+                };
+            }
+
+            case ProfileType.T_SECTION: {
+                const tw = dimensions.web_thickness;
+                const tf = dimensions.flange_thickness;
+                const r = dimensions.root_radius || 0;
+                return {
+                    Avx: area - (dimensions.height - tf) * tw,
+                    Avy: area - dimensions.width * tf + (tw + 2 * r) * tf / 2
+                };
+            }
+
+            case ProfileType.FLAT_BAR:
+            case ProfileType.ROUND_BAR:
+            case ProfileType.SQUARE_BAR:
+                return { Avx: area, Avy: area };
+
+            case ProfileType.COMPOUND:
+                // Rotated parts contribute their shear areas along the projected directions
+                return dimensions.parts.reduce((sum, part) => {
+                    const { Avx, Avy } = this.calculateShearAreas(part.profile, part.dimensions);
+                    const theta = (part.rotation || 0) * Math.PI / 180;
+                    const c2 = Math.pow(Math.cos(theta), 2);
+                    const s2 = Math.pow(Math.sin(theta), 2);
+                    sum.Avx += Avx * c2 + Avy * s2;
+                    sum.Avy += Avy * c2 + Avx * s2;
+                    return sum;
+                }, { Avx: 0, Avy: 0 });
+
+            default:
+                throw new Error(`Unsupported profile type: ${type}`);
+        }
+    }
+
+    /**
+     * Calculate first moment of area Q(y)
+     * Moment about the centroidal x-axis of the material above the fibre at
+     * height y (same origin as calculateCentroid). Fillets and corner radii
+     * are included.
+     * @param {string} type Profile type
+     * @param {Object} dimensions Profile dimensions
+     * @param {number} y Fibre height
+     * @returns {number} First moment of area in units^3
+     */
+    static calculateFirstMomentOfArea(type, dimensions, y) {
+        dimensions = this.normalizeDimensions(dimensions);
+        const centroidY = this._getGrossProperties(type, dimensions).y;
+        const above = this._getFibreShapes(type, dimensions)
+            .map(shape => this._cutShape(shape, y))
+            .reduce((sum, cut) => ({ area: sum.area + cut.area, moment: sum.moment + cut.moment }), { area: 0, moment: 0 });
+        return above.moment - above.area * centroidY;
+    }
+
+    /**
+     * Calculate the width of material cut by the fibre at height y
+     * Sums all walls crossed, e.g. both webs of a rectangular tube.
+     * @param {string} type Profile type
+     * @param {Object} dimensions Profile dimensions
+     * @param {number} y Fibre height
+     * @returns {number} Cut width
+     */
+    static calculateFibreWidth(type, dimensions, y) {
+        dimensions = this.normalizeDimensions(dimensions);
+        return this._getFibreShapes(type, dimensions)
+            .reduce((sum, shape) => sum + this._cutShape(shape, y).width, 0);
+    }
+
+    /**
+     * Calculate shear stress at a fibre from a shear force parallel to y
+     * τ = V·Q / (Ix·b), averaged over the cut width b.
+     * @param {string} type Profile type
+     * @param {Object} dimensions Profile dimensions
+     * @param {number} shearForce Shear force parallel to the y-axis
+     * @param {number} y Fibre height
+     * @returns {number} Shear stress (force units per square unit)
+     */
+    static calculateShearStress(type, dimensions, shearForce, y) {
+        const width = this.calculateFibreWidth(type, dimensions, y);
+        if (width <= 0) {
+            return 0;
+        }
+        const Q = this.calculateFirstMomentOfArea(type, dimensions, y);
+        const Ix = this.calculateMomentOfInertiaX(type, dimensions);
+        return shearForce * Q / (Ix * width);
+    }
+
+    /**
+     * Check whether a point lies on the material of a section
+     * Points on the boundary count as material, points in the hollow of a
+     * tube or in a hole do not.
+     * @param {string} type Profile type
+     * @param {Object} dimensions Profile dimensions
+     * @param {number} x Point x (same origin as calculateCentroid)
+     * @param {number} y Point y
+     * @returns {boolean} True if the point is on the material
+     */
+    static containsPoint(type, dimensions, x, y) {
+        dimensions = this.normalizeDimensions(dimensions);
+        const eps = 1e-9 * Math.max(...Object.values(this.calculateBoundingBox(type, dimensions)));
+        const count = this._getFibreShapes(type, dimensions).reduce((sum, shape) => {
+            // Added material includes its boundary, removed material does not
+            const tolerance = (shape.sign ?? 1) > 0 ? eps : -eps;
+            return sum + (this._shapeContains(shape, x, y, tolerance) ? (shape.sign ?? 1) : 0);
+        }, 0);
+        return count > 0;
+    }
+
+    /**
+     * Calculate the complete property sheet of a profile
+     * Dimensions are validated with ProfileValidator and the gross properties
+     * are computed once. Every value is a Quantity in mm-based units (weight in
+     * kg/m and kg). Properties a profile type does not support (e.g. torsion
+     * of custom sections, plastic moduli of compound sections) are null and
+     * listed in warnings. Results are memoized per input and frozen.
+     * @param {string} type Profile type
+     * @param {Object} dimensions Profile dimensions (mm or length Quantities)
+     * @param {Object|number|Quantity} material Material with properties.density (kg/m³),
+     *        or a density; weight is null without one, a material without a density is rejected
+     * @returns {Object} Property sheet grouped into geometry, inertia, moduli, radii, shear and weight
+     */
+    static calculateAll(type, dimensions, material = null) {
+        let density = material;
+        if (material !== null && typeof material === 'object' && !(material instanceof Quantity)) {
+            density = material.properties?.density;
+            if (density === undefined || density === null) {
+                throw new Error('Material density is required for the weight');
+            }
+        }
+        const key = JSON.stringify([type, dimensions, density]);
+        if (propertyCache.has(key)) {
+            return propertyCache.get(key);
+        }
+
+        const dims = this.normalizeDimensions(dimensions);
+        const validation = ProfileValidator.validateDimensions(type, dims);
+        if (!validation.isValid) {
+            throw new Error(`Invalid ${type} dimensions: ${validation.errors.join(', ')}`);
+        }
+
+        const warnings = [...validation.warnings];
+        const optional = (name, calculate) => {
+            try {
+                return calculate();
+            } catch (error) {
+                warnings.push(`${name}: ${error.message}`);
+                return null;
+            }
+        };
+        const q = (value, unit) => value === null ? null : new Quantity(value, unit);
+
+        const gross = this._getGrossProperties(type, dims);
+        const { width, height } = this.calculateBoundingBox(type, dims);
+        const principal = this._getPrincipalAxes(gross);
+        const perimeter = this.calculatePerimeter(type, dims);
+        const shearCenter = optional('Shear centre', () => this.calculateShearCenter(type, dims));
+        const shearAreas = optional('Shear areas', () => this.calculateShearAreas(type, dims));
+
+        let weight = null;
+        if (density !== null && density !== undefined) {
+            const perLength = new Quantity(gross.area, 'mm2').multiply(Quantity.from(density, 'kg/m3')).convert('kg/m');
+            weight = {
+                perLength,
+                total: perLength.multiply(new Quantity(dims.length, 'mm')).convert('kg')
+            };
+        }
+
+        const sheet = {
+            type,
+            geometry: {
+                area: q(gross.area, 'mm2'),
+                width: q(width, 'mm'),
+                height: q(height, 'mm'),
+                centroid: { x: q(gross.x, 'mm'), y: q(gross.y, 'mm') },
+                perimeter: { outside: q(perimeter.outside, 'mm'), inside: q(perimeter.inside, 'mm') },
+                surfaceArea: {
+                    outside: q(perimeter.outside / 1000, 'm2/m'),
+                    inside: q(perimeter.inside / 1000, 'm2/m')
+                }
+            },
+            inertia: {
+                Ix: q(gross.Ix, 'mm4'),
+                Iy: q(gross.Iy, 'mm4'),
+                Ixy: q(gross.Ixy, 'mm4'),
+                Iu: q(principal.Iu, 'mm4'),
+                Iv: q(principal.Iv, 'mm4'),
+                alpha: q(principal.alpha, 'rad'),
+                J: q(optional('Torsion constant', () => this.calculateTorsionConstant(type, dims)), 'mm4'),
+                Cw: q(optional('Warping constant', () => this.calculateWarpingConstant(type, dims)), 'mm6')
+            },
+            moduli: {
+                Sx: q(gross.Ix / Math.max(height - gross.y, gross.y), 'mm3'),
+                Sy: q(gross.Iy / Math.max(width - gross.x, gross.x), 'mm3'),
+                Zx: q(optional('Plastic modulus about x', () => this.calculatePlasticModulusX(type, dims)), 'mm3'),
+                Zy: q(optional('Plastic modulus about y', () => this.calculatePlasticModulusY(type, dims)), 'mm3')
+            },
+            radii: {
+                rx: q(Math.sqrt(gross.Ix / gross.area), 'mm'),
+                ry: q(Math.sqrt(gross.Iy / gross.area), 'mm'),
+                ru: q(principal.ru, 'mm'),
+                rv: q(principal.rv, 'mm')
+            },
+            shear: {
+                center: shearCenter && { x: q(shearCenter.x, 'mm'), y: q(shearCenter.y, 'mm') },
+                Avx: q(shearAreas && shearAreas.Avx, 'mm2'),
+                Avy: q(shearAreas && shearAreas.Avy, 'mm2')
+            },
+            weight,
+            warnings
+        };
+
+        if (propertyCache.size >= PROPERTY_CACHE_SIZE) {
+            propertyCache.delete(propertyCache.keys().next().value);
+        }
+        propertyCache.set(key, this._freeze(sheet));
+        return sheet;
+    }
+
+    /**
+     * Clear the memoized calculateAll results
+     */
+    static clearCache() {
+        propertyCache.clear();
+    }
+
+    /**
+     * Break a profile into rectangular plates
+     * Coordinates follow calculateCentroid (origin at the bottom-left corner).
+     * Hollow sections are an outer plate minus an inner one (sign -1).
+     * @private
+     * @param {string} type Profile type
+     * @param {Object} dimensions Profile dimensions
+     * @returns {Array<{x0: number, x1: number, y0: number, y1: number, sign: number}>} Plates
+     */
+    static _getPlates(type, dimensions) {
+        const plate = (x0, x1, y0, y1, sign = 1) => ({ x0, x1, y0, y1, sign });
+
+        switch (type) {
+            case ProfileType.SQUARE_TUBE:
+            case ProfileType.RECTANGULAR_TUBE: {
+                const b = dimensions.width;
+                const h = dimensions.height ?? dimensions.width;
+                const t = dimensions.thickness;
+                return [
+                    plate(0, b, 0, h),
+                    plate(t, b - t, t, h - t, -1)
+                ];
+            }
+
+            case ProfileType.ANGLE: {
+                const t = dimensions.thickness;
+                return [
+                    plate(0, t, 0, dimensions.height),
+                    plate(t, dimensions.width, 0, t)
+                ];
+            }
+
+            case ProfileType.CHANNEL: {
+                const h = dimensions.height;
+                const b = dimensions.flange_width;
+                const t = dimensions.thickness;
+                return [
+                    plate(0, t, 0, h),
+                    plate(t, b, 0, t),
+                    plate(t, b, h - t, h)
+                ];
+            }
+
+            case ProfileType.I_BEAM: {
+                const h = dimensions.height;
+                const b = dimensions.width;
+                const tw = dimensions.web_thickness;
+                const tf = dimensions.flange_thickness;
+                return [
+                    plate(0, b, 0, tf),
+                    plate((b - tw) / 2, (b + tw) / 2, tf, h - tf),
+                    plate(0, b, h - tf, h)
+                ];
+            }
+
+            case ProfileType.T_SECTION: {
+                // Flange on top, stem pointing down
+                const h = dimensions.height;
+                const b = dimensions.width;
+                const tw = dimensions.web_thickness;
+                const tf = dimensions.flange_thickness;
+                return [
+                    plate((b - tw) / 2, (b + tw) / 2, 0, h - tf),
+                    plate(0, b, h - tf, h)
+                ];
+            }
+
+            case ProfileType.Z_SECTION: {
+                // Bottom flange points left, top flange points right
+                const h = dimensions.height;
+                const b = dimensions.flange_width;
+                const t = dimensions.thickness;
+                return [
+                    plate(0, b - t, 0, t),
+                    plate(b - t, b, 0, h),
+                    plate(b, 2 * b - t, h - t, h)
+                ];
+            }
+
+            case ProfileType.FLAT_BAR:
+                return [plate(0, dimensions.width, 0, dimensions.thickness)];
+
+            case ProfileType.SQUARE_BAR:
+                return [plate(0, dimensions.width, 0, dimensions.width)];
+
+            default:
+                throw new Error(`Unsupported profile type: ${type}`);
+        }
+    }
+
+    /**
+     * Break a profile into elements with their own centroidal properties
+     * Plates are extended with the fillet and corner spandrels from the
+     * optional radius dimensions. Round tubes are a single annulus and the
+     * parts of a compound section are one element each.
+     * @private
+     * @param {string} type Profile type
+     * @param {Object} dimensions Profile dimensions
+     * @returns {Array<{area: number, x: number, y: number, Ix: number, Iy: number, Ixy: number}>} Signed elements
+     */
+    static _getElements(type, dimensions) {
+        if (type === ProfileType.ROUND_TUBE) {
+            // outer_radius is the tube radius itself and adds nothing here
+            const R = dimensions.diameter / 2;
+            const r = R - dimensions.thickness;
+            const I = (Math.PI / 4) * (Math.pow(R, 4) - Math.pow(r, 4));
+            return [{ area: Math.PI * (R * R - r * r), x: R, y: R, Ix: I, Iy: I, Ixy: 0 }];
+        }
+
+        if (type === ProfileType.ROUND_BAR) {
+            const R = dimensions.diameter / 2;
+            const I = (Math.PI / 4) * Math.pow(R, 4);
+            return [{ area: Math.PI * R * R, x: R, y: R, Ix: I, Iy: I, Ixy: 0 }];
+        }
+
+        if (type === ProfileType.COMPOUND) {
+            // Each part is one element, shifted so the bounding box starts at the origin
+            const bounds = this._getCompoundBounds(dimensions.parts);
+            return dimensions.parts.map(part => {
+                const element = this._placePart(part);
+                return { ...element, x: element.x - bounds.minX, y: element.y - bounds.minY };
+            });
+        }
+
+        const plates = this._getPlates(type, dimensions).map(p => {
+            const b = p.x1 - p.x0;
+            const h = p.y1 - p.y0;
+            return {
+                area: p.sign * b * h,
+                x: (p.x0 + p.x1) / 2,
+                y: (p.y0 + p.y1) / 2,
+                Ix: p.sign * b * Math.pow(h, 3) / 12,
+                Iy: p.sign * h * Math.pow(b, 3) / 12,
+                Ixy: 0
+            };
+        });
+
+        return plates.concat(this._getCornerElements(type, dimensions));
+    }
+
+    /**
+     * Fillet and corner spandrels from the optional radius dimensions
+     * @private
+     * @param {string} type Profile type
+     * @param {Object} dimensions Profile dimensions
+     * @returns {Array<Object>} Signed elements
+     */
+    static _getCornerElements(type, dimensions) {
+        return this._getCorners(type, dimensions).map(({ r, x, y, sx, sy, sign }) => {
+            const area = SPANDREL.area * r * r;
+            const c = SPANDREL.centroid * r;
+            const I = (SPANDREL.inertia * Math.pow(r, 4) - area * c * c) * sign;
+            return {
+                area: sign * area,
+                x: x + sx * c,
+                y: y + sy * c,
+                Ix: I,
+                Iy: I,
+                Ixy: (SPANDREL.product * Math.pow(r, 4) - area * c * c) * sx * sy * sign
+            };
+        });
+    }
+
+    /**
+     * Rounded corners from the optional radius dimensions
+     * Each corner is given by its vertex, the directions its legs point in
+     * and whether the spandrel adds material (fillet) or removes it (rounding).
+     * @private
+     * @param {string} type Profile type
+     * @param {Object} dimensions Profile dimensions
+     * @returns {Array<{r: number, x: number, y: number, sx: number, sy: number, sign: number}>} Corners
+     */
+    static _getCorners(type, dimensions) {
+        const corners = [];
+        const corner = (r, x, y, sx, sy, sign) => {
+            if (r > 0) corners.push({ r, x, y, sx, sy, sign });
+        };
+
+        switch (type) {
+            case ProfileType.SQUARE_TUBE:
+            case ProfileType.RECTANGULAR_TUBE: {
+                const b = dimensions.width;
+                const h = dimensions.height ?? dimensions.width;
+                const t = dimensions.thickness;
+                // Corners are concentric when only one of the radii is given
+                const ro = dimensions.outer_radius ?? (dimensions.inner_radius > 0 ? dimensions.inner_radius + t : 0);
+                const ri = dimensions.inner_radius ?? Math.max(ro - t, 0);
+                corner(ro, 0, 0, 1, 1, -1);
+                corner(ro, b, 0, -1, 1, -1);
+                corner(ro, 0, h, 1, -1, -1);
+                corner(ro, b, h, -1, -1, -1);
+                corner(ri, t, t, 1, 1, 1);
+                corner(ri, b - t, t, -1, 1, 1);
+                corner(ri, t, h - t, 1, -1, 1);
+                corner(ri, b - t, h - t, -1, -1, 1);
+                break;
+            }
+
+            case ProfileType.ANGLE: {
+                const t = dimensions.thickness;
+                corner(dimensions.inner_radius, t, t, 1, 1, 1);
+                corner(dimensions.toe_radius, t, dimensions.height, -1, -1, -1);
+                corner(dimensions.toe_radius, dimensions.width, t, -1, -1, -1);
+                break;
+            }
+
+            case ProfileType.CHANNEL: {
+                const h = dimensions.height;
+                const b = dimensions.flange_width;
+                const t = dimensions.thickness;
+                corner(dimensions.root_radius, t, t, 1, 1, 1);
+                corner(dimensions.root_radius, t, h - t, 1, -1, 1);
+                corner(dimensions.toe_radius, b, t, -1, -1, -1);
+                corner(dimensions.toe_radius, b, h - t, -1, 1, -1);
+                break;
+            }
+
+            case ProfileType.I_BEAM: {
+                const h = dimensions.height;
+                const b = dimensions.width;
+                const tf = dimensions.flange_thickness;
+                const x1 = (b - dimensions.web_thickness) / 2;
+                const x2 = (b + dimensions.web_thickness) / 2;
+                // k is measured from the outer flange face to the toe of the fillet
+                const r = dimensions.root_radius ?? 
+                          (dimensions.k_dimension > tf ? dimensions.k_dimension - tf : 0);
+                corner(r, x1, tf, -1, 1, 1);
+                corner(r, x2, tf, 1, 1, 1);
+                corner(r, x1, h - tf, -1, -1, 1);
+                corner(r, x2, h - tf, 1, -1, 1);
+                corner(dimensions.toe_radius, 0, tf, 1, -1, -1);
+                corner(dimensions.toe_radius, b, tf, -1, -1, -1);
+                corner(dimensions.toe_radius, 0, h - tf, 1, 1, -1);
+                corner(dimensions.toe_radius, b, h - tf, -1, 1, -1);
+                break;
+            }
+
+            case ProfileType.T_SECTION: {
+                const h = dimensions.height;
+                const b = dimensions.width;
+                const tf = dimensions.flange_thickness;
+                const x1 = (b - dimensions.web_thickness) / 2;
+                const x2 = (b + dimensions.web_thickness) / 2;
+                corner(dimensions.root_radius, x1, h - tf, -1, -1, 1);
+                corner(dimensions.root_radius, x2, h - tf, 1, -1, 1);
+                corner(dimensions.toe_radius, 0, h - tf, 1, 1, -1);
+                corner(dimensions.toe_radius, b, h - tf, -1, 1, -1);
+                break;
+            }
+
+            case ProfileType.Z_SECTION: {
+                const h = dimensions.height;
+                const b = dimensions.flange_width;
+                const t = dimensions.thickness;
+                corner(dimensions.root_radius, b - t, t, -1, 1, 1);
+                corner(dimensions.root_radius, b, h - t, 1, -1, 1);
+                corner(dimensions.toe_radius, 0, t, 1, -1, -1);
+                corner(dimensions.toe_radius, 2 * b - t, h - t, -1, 1, -1);
+                break;
+            }
+
+            case ProfileType.SQUARE_BAR: {
+                const a = dimensions.width;
+                corner(dimensions.outer_radius, 0, 0, 1, 1, -1);
+                corner(dimensions.outer_radius, a, 0, -1, 1, -1);
+                corner(dimensions.outer_radius, 0, a, 1, -1, -1);
+                corner(dimensions.outer_radius, a, a, -1, -1, -1);
+                break;
+            }
+        }
+
+        return corners;
+    }
+
+    /**
+     * Gross properties of a compound part in the compound's coordinates
+     * The part is mirrored about its local y-axis first (if requested), then
+     * rotated counter-clockwise about its local origin and moved to (x, y).
+     * @private
+     * @param {Object} part Part with profile, dimensions, x, y, rotation (degrees) and mirror
+     * @returns {{area: number, x: number, y: number, Ix: number, Iy: number, Ixy: number}} Placed element
+     */
+    static _placePart(part) {
+        const props = this._getGrossProperties(part.profile, part.dimensions);
+        const centroid = this._placePoint(part, props.x, props.y);
+
+        // Mirroring flips the product of inertia, rotation turns the inertia tensor
+        const Ixy = part.mirror ? -props.Ixy : props.Ixy;
+        const theta = 2 * (part.rotation || 0) * Math.PI / 180;
+        const average = (props.Ix + props.Iy) / 2;
+        const difference = (props.Ix - props.Iy) / 2;
+
+        return {
+            area: props.area,
+            x: centroid.x,
+            y: centroid.y,
+            Ix: average + difference * Math.cos(theta) + Ixy * Math.sin(theta),
+            Iy: average - difference * Math.cos(theta) - Ixy * Math.sin(theta),
+            Ixy: -difference * Math.sin(theta) + Ixy * Math.cos(theta)
+        };
+    }
+
+    /**
+     * Map a point from a part's local coordinates into the compound's
+     * @private
+     * @param {Object} part Part placement
+     * @param {number} x Local x coordinate
+     * @param {number} y Local y coordinate
+     * @returns {{x: number, y: number}} Placed point
+     */
+    static _placePoint(part, x, y) {
+        const theta = (part.rotation || 0) * Math.PI / 180;
+        const localX = part.mirror ? -x : x;
+        return {
+            x: (part.x || 0) + localX * Math.cos(theta) - y * Math.sin(theta),
+            y: (part.y || 0) + localX * Math.sin(theta) + y * Math.cos(theta)
+        };
+    }
+
+    /**
+     * Bounding box of a compound section
+     * Built from the placed bounding boxes of the parts, which is exact for
+     * rotations in steps of 90 degrees and conservative otherwise.
+     * @private
+     * @param {Array<Object>} parts Compound parts
+     * @returns {{minX: number, maxX: number, minY: number, maxY: number}} Bounds
+     */
+    static _getCompoundBounds(parts) {
+        const corners = parts.flatMap(part => {
+            const { width, height } = this.calculateBoundingBox(part.profile, part.dimensions);
+            return [[0, 0], [width, 0], [width, height], [0, height]]
+                .map(([x, y]) => this._placePoint(part, x, y));
+        });
+
+        return {
+            minX: Math.min(...corners.map(p => p.x)),
+            maxX: Math.max(...corners.map(p => p.x)),
+            minY: Math.min(...corners.map(p => p.y)),
+            maxY: Math.max(...corners.map(p => p.y))
+        };
+    }
+
+    /**
+     * Break a profile into shapes that can be cut by a horizontal fibre
+     * Rectangles, discs, corner spandrels and polygons in the coordinates of
+     * calculateCentroid.
+     * @private
+     * @param {string} type Profile type
+     * @param {Object} dimensions Profile dimensions
+     * @returns {Array<Object>} Signed shapes
+     */
+    static _getFibreShapes(type, dimensions) {
+        switch (type) {
+            case ProfileType.ROUND_TUBE: {
+                const R = dimensions.diameter / 2;
+                return [
+                    { shape: 'disc', x: R, y: R, r: R, sign: 1 },
+                    { shape: 'disc', x: R, y: R, r: R - dimensions.thickness, sign: -1 }
+                ];
+            }
+
+            case ProfileType.ROUND_BAR: {
+                const R = dimensions.diameter / 2;
+                return [{ shape: 'disc', x: R, y: R, r: R, sign: 1 }];
+            }
+
+            case ProfileType.CUSTOM: {
+                const bounds = PolygonSection.calculateBounds(dimensions.outline);
+                const shift = points => points.map(p => ({ x: p.x - bounds.minX, y: p.y - bounds.minY }));
+                return [{
+                    shape: 'polygon',
+                    outline: shift(dimensions.outline),
+                    holes: (dimensions.holes || []).map(shift)
+                }];
+            }
+
+            case ProfileType.COMPOUND: {
+                const bounds = this._getCompoundBounds(dimensions.parts);
+                const origin = { x: bounds.minX, y: bounds.minY };
+                return dimensions.parts.flatMap(part =>
+                    this._getFibreShapes(part.profile, part.dimensions)
+                        .map(shape => this._placeShape(part, shape, origin)));
+            }
+
+            default:
+                return this._getPlateShapes(type, dimensions);
+        }
+    }
+
+    /**
+     * Fibre shapes of a profile built from plates and corner spandrels
+     * @private
+     * @param {string} type Profile type
+     * @param {Object} dimensions Profile dimensions
+     * @returns {Array<Object>} Signed rectangles and spandrels
+     */
+    static _getPlateShapes(type, dimensions) {
+        return [
+            ...this._getPlates(type, dimensions).map(p => ({ shape: 'rect', ...p })),
+            ...this._getCorners(type, dimensions).map(c => ({ shape: 'spandrel', ...c }))
+        ];
+    }
+
+    /**
+     * Mirror a rectangle or spandrel in the line y = x
+     * @private
+     * @param {Object} shape Fibre shape
+     * @returns {Object} Mirrored fibre shape
+     */
+    static _transposeShape(shape) {
+        if (shape.shape === 'rect') {
+            return { ...shape, x0: shape.y0, x1: shape.y1, y0: shape.x0, y1: shape.x1 };
+        }
+        return { ...shape, x: shape.y, y: shape.x, sx: shape.sy, sy: shape.sx };
+    }
+
+    /**
+     * Move a fibre shape of a compound part into the compound's coordinates
+     * Only polygons keep their shape under arbitrary rotations, the other
+     * shapes need rotations in steps of 90 degrees.
+     * @private
+     * @param {Object} part Part placement
+     * @param {Object} shape Fibre shape in the part's coordinates
+     * @param {{x: number, y: number}} origin Compound bounding box corner
+     * @returns {Object} Placed fibre shape
+     */
+    static _placeShape(part, shape, origin) {
+        const place = (x, y) => {
+            const p = this._placePoint(part, x, y);
+            return { x: p.x - origin.x, y: p.y - origin.y };
+        };
+
+        if (shape.shape === 'polygon') {
+            const map = points => points.map(p => place(p.x, p.y));
+            return { ...shape, outline: map(shape.outline), holes: shape.holes.map(map) };
+        }
+
+        if ((part.rotation || 0) % 90 !== 0) {
+            throw new Error('Fibre properties of compound sections need part rotations in steps of 90 degrees');
+        }
+
+        switch (shape.shape) {
+            case 'rect': {
+                const a = place(shape.x0, shape.y0);
+                const b = place(shape.x1, shape.y1);
+                return {
+                    ...shape,
+                    x0: Math.min(a.x, b.x),
+                    x1: Math.max(a.x, b.x),
+                    y0: Math.min(a.y, b.y),
+                    y1: Math.max(a.y, b.y)
+                };
+            }
+
+            case 'disc':
+                return { ...shape, ...place(shape.x, shape.y) };
+
+            case 'spandrel': {
+                // The spandrel is symmetric about its diagonal, so only the leg directions change
+                const vertex = place(shape.x, shape.y);
+                const leg = place(shape.x + shape.sx, shape.y + shape.sy);
+                return {
+                    ...shape,
+                    ...vertex,
+                    sx: Math.sign(Math.round(leg.x - vertex.x)),
+                    sy: Math.sign(Math.round(leg.y - vertex.y))
+                };
+            }
+        }
+    }
+
+    /**
+     * Cut a fibre shape at height c
+     * @private
+     * @param {Object} shape Fibre shape
+     * @param {number} c Fibre height
+     * @returns {{area: number, moment: number, width: number}} Signed area above the fibre,
+     *          its first moment about y = 0 and the cut width
+     */
+    static _cutShape(shape, c) {
+        switch (shape.shape) {
+            case 'rect': {
+                const b = shape.x1 - shape.x0;
+                const bottom = Math.max(c, shape.y0);
+                const h = Math.max(shape.y1 - bottom, 0);
+                return {
+                    area: shape.sign * b * h,
+                    moment: shape.sign * b * h * (shape.y1 + bottom) / 2,
+                    width: c >= shape.y0 && c < shape.y1 ? shape.sign * b : 0
+                };
+            }
+
+            case 'disc': {
+                // Circular segment above the chord at distance d from the centre
+                const r = shape.r;
+                const d = Math.min(Math.max(c - shape.y, -r), r);
+                const half = Math.sqrt(r * r - d * d);
+                const area = r * r * Math.acos(d / r) - d * half;
+                return {
+                    area: shape.sign * area,
+                    moment: shape.sign * (2 * Math.pow(half, 3) / 3 + shape.y * area),
+                    width: Math.abs(c - shape.y) < r ? shape.sign * 2 * half : 0
+                };
+            }
+
+            case 'spandrel': {
+                // Local v runs from the vertex along the vertical leg, the width at v is
+                // r - √(r² - (r - v)²). Integrate over v in [r - S, r] with s = r - v.
+                const r = shape.r;
+                const area = (S) => r * S - (S * Math.sqrt(r * r - S * S) + r * r * Math.asin(S / r)) / 2;
+                const momentS = (S) => r * S * S / 2 + (Math.pow(r * r - S * S, 1.5) - Math.pow(r, 3)) / 3;
+                const top = (a) => {
+                    const A = area(r - a);
+                    return { area: A, moment: r * A - momentS(r - a) };
+                };
+
+                let cut;
+                if (shape.sy > 0) {
+                    cut = top(Math.min(Math.max(c - shape.y, 0), r));
+                } else {
+                    const all = top(0);
+                    const part = top(Math.min(Math.max(shape.y - c, 0), r));
+                    cut = { area: all.area - part.area, moment: -(all.moment - part.moment) };
+                }
+
+                const v = shape.sy * (c - shape.y);
+                return {
+                    area: shape.sign * cut.area,
+                    moment: shape.sign * (shape.y * cut.area + cut.moment),
+                    width: v >= 0 && v < r ? shape.sign * (r - Math.sqrt(r * r - Math.pow(r - v, 2))) : 0
+                };
+            }
+
+            case 'polygon':
+                return PolygonSection.calculateAbove(shape.outline, shape.holes, c);
+
+            default:
+                throw new Error(`Unsupported fibre shape: ${shape.shape}`);
+        }
+    }
+
+    /**
+     * Check whether a fibre shape contains a point
+     * @private
+     * @param {Object} shape Fibre shape
+     * @param {number} x Point x
+     * @param {number} y Point y
+     * @param {number} tolerance Distance by which the shape is grown (negative to shrink)
+     * @returns {boolean} True if the point is inside the shape
+     */
+    static _shapeContains(shape, x, y, tolerance) {
+        switch (shape.shape) {
+            case 'rect':
+                return x >= shape.x0 - tolerance && x <= shape.x1 + tolerance &&
+                       y >= shape.y0 - tolerance && y <= shape.y1 + tolerance;
+
+            case 'disc':
+                return Math.hypot(x - shape.x, y - shape.y) <= shape.r + tolerance;
+
+            case 'spandrel': {
+                // Square corner of side r outside the quarter circle centred at its far corner
+                const u = shape.sx * (x - shape.x);
+                const v = shape.sy * (y - shape.y);
+                const inSquare = u >= -tolerance && u <= shape.r + tolerance &&
+                                 v >= -tolerance && v <= shape.r + tolerance;
+                return inSquare && Math.hypot(shape.r - u, shape.r - v) >= shape.r - tolerance;
+            }
+
+            case 'polygon':
+                return PolygonSection.containsPoint(shape.outline, shape.holes, { x, y });
+
+            default:
+                throw new Error(`Unsupported fibre shape: ${shape.shape}`);
+        }
+    }
+
+    /**
+     * Sum elements into area, centroid and centroidal second moments
+     * @private
+     * @param {string} type Profile type
+     * @param {Object} dimensions Profile dimensions
+     * @returns {{area: number, x: number, y: number, Ix: number, Iy: number, Ixy: number}} Gross properties
+     */
+    static _getGrossProperties(type, dimensions) {
+        if (type === ProfileType.CUSTOM) {
+            // Report the centroid from the bounding box corner like the standard profiles
+            const props = PolygonSection.calculateProperties(dimensions.outline, dimensions.holes);
+            return {
+                area: props.area,
+                x: props.x - props.bounds.minX,
+                y: props.y - props.bounds.minY,
+                Ix: props.Ix,
+                Iy: props.Iy,
+                Ixy: props.Ixy
+            };
+        }
+
+        const elements = this._getElements(type, dimensions);
+        const area = elements.reduce((sum, e) => sum + e.area, 0);
+        const x = elements.reduce((sum, e) => sum + e.area * e.x, 0) / area;
+        const y = elements.reduce((sum, e) => sum + e.area * e.y, 0) / area;
+
+        // Parallel-axis theorem onto the section centroid
+        return elements.reduce((props, e) => {
+            props.Ix += e.Ix + e.area * Math.pow(e.y - y, 2);
+            props.Iy += e.Iy + e.area * Math.pow(e.x - x, 2);
+            props.Ixy += e.Ixy + e.area * (e.x - x) * (e.y - y);
+            return props;
+        }, { area, x, y, Ix: 0, Iy: 0, Ixy: 0 });
+    }
+
+    /**
+     * Principal axes from gross properties
+     * @private
+     * @param {{area: number, Ix: number, Iy: number, Ixy: number}} props Gross properties
+     * @returns {{Iu: number, Iv: number, alpha: number, ru: number, rv: number}} Principal axes
+     */
+    static _getPrincipalAxes({ area, Ix, Iy, Ixy }) {
+        const average = (Ix + Iy) / 2;
+        const radius = Math.sqrt(Math.pow((Ix - Iy) / 2, 2) + Ixy * Ixy);
+        const Iu = average + radius;
+        const Iv = average - radius;
+
+        return {
+            Iu,
+            Iv,
+            alpha: Math.atan2(-2 * Ixy, Ix - Iy) / 2,
+            ru: Math.sqrt(Iu / area),
+            rv: Math.sqrt(Iv / area)
+        };
+    }
+
+    /**
+     * Freeze a property sheet so cached results cannot be changed by callers
+     * @private
+     * @param {Object} value Object to freeze
+     * @returns {Object} The frozen object
+     */
+    static _freeze(value) {
+        if (value && typeof value === 'object' && !Object.isFrozen(value)) {
+            Object.values(value).forEach(child => this._freeze(child));
+            Object.freeze(value);
+        }
+        return value;
+    }
+
+    /**
+     * Plastic modulus of fibre shapes about the horizontal equal-area axis
+     * @private
+     * @param {Array<Object>} shapes Fibre shapes
+     * @param {number} height Overall height of the shapes (they start at y = 0)
+     * @returns {number} Plastic section modulus
+     */
+    static _plasticModulus(shapes, height) {
+        const above = (c) => shapes.reduce((sum, shape) => {
+            const cut = this._cutShape(shape, c);
+            return { area: sum.area + cut.area, moment: sum.moment + cut.moment };
+        }, { area: 0, moment: 0 });
+        const total = above(0);
+
+        // Area above the axis shrinks monotonically, so bisect for the equal-area axis
+        let low = 0;
+        let high = height;
+        for (let i = 0; i < 100; i++) {
+            const mid = (low + high) / 2;
+            if (above(mid).area > total.area / 2) {
+                low = mid;
+            } else {
+                high = mid;
+            }
+        }
+        const pna = (low + high) / 2;
+
+        // First moments of the halves about the plastic neutral axis
+        const top = above(pna);
+        return (top.moment - pna * top.area) - ((total.moment - top.moment) - pna * (total.area - top.area));
     }
 }
 
@@ -0,0 +1,228 @@
+/**
+ * Profile Solver Module
+ * Inverse sizing: finds the value of one free dimension for which a section
+ * property meets a requirement, within the configured dimension limits
+ */
+
+import ProfileCalculator from './profileCalculator.js';
+import { Quantity } from './quantity.js';
+import { ProfileValidator } from '../profiles/profileTypes.js';
+import { DimensionValidation, ProfileValidation } from '../../core/config/profiles.js';
+
+// Properties that can be targeted, with the unit the calculator returns them in
+const SolvableProperties = {
+    area: { unit: 'mm2', calculate: (type, d) => ProfileCalculator.calculateArea(type, d) },
+    Ix: { unit: 'mm4', calculate: (type, d) => ProfileCalculator.calculateMomentOfInertiaX(type, d) },
+    Iy: { unit: 'mm4', calculate: (type, d) => ProfileCalculator.calculateMomentOfInertiaY(type, d) },
+    Sx: { unit: 'mm3', calculate: (type, d) => ProfileCalculator.calculateSectionModulusX(type, d) },
+    Sy: { unit: 'mm3', calculate: (type, d) => ProfileCalculator.calculateSectionModulusY(type, d) },
+    Zx: { unit: 'mm3', calculate: (type, d) => ProfileCalculator.calculatePlasticModulusX(type, d) },
+    Zy: { unit: 'mm3', calculate: (type, d) => ProfileCalculator.calculatePlasticModulusY(type, d) },
+    rx: { unit: 'mm', calculate: (type, d) => ProfileCalculator.calculateRadiusOfGyration(type, d) },
+    ry: { unit: 'mm', calculate: (type, d) => ProfileCalculator.calculateRadiusOfGyrationY(type, d) },
+    rv: { unit: 'mm', calculate: (type, d) => ProfileCalculator.calculateMinimumRadiusOfGyration(type, d) },
+    J: { unit: 'mm4', calculate: (type, d) => ProfileCalculator.calculateTorsionConstant(type, d) },
+    weight: {
+        unit: 'kg/m',
+        calculate: (type, d, density) => ProfileCalculator.calculateWeightPerLength(type, d, density)
+    }
+};
+
+// Samples used to locate the valid range of the free dimension
+const RANGE_SAMPLES = 200;
+const BISECTION_STEPS = 60;
+
+class ProfileSolver {
+    /**
+     * Find the free dimension that meets a property requirement
+     * The property is assumed to change monotonically with the free dimension.
+     * With `min` the solver returns the smallest value of the free dimension
+     * that reaches the requirement if the property grows with it (the largest
+     * if it shrinks); with `max` it returns the largest value that stays
+     * within it (e.g. the thickest wall under a weight limit).
+     * @param {string} type Profile type
+     * @param {Object} dimensions Fixed dimensions
+     * @param {string} free Name of the dimension to solve for
+     * @param {Object} requirement Requirement
+     * @param {string} requirement.property Property name (area, Ix, Iy, Sx, Sy, Zx, Zy, rx, ry, rv, J or weight)
+     * @param {number|Quantity} requirement.min Minimum value of the property
+     * @param {number|Quantity} requirement.max Maximum value of the property
+     * @param {number|Quantity} requirement.density Density for weight (kg/m³)
+     * @param {Object} options Options
+     * @param {number} options.increment Round the result to a multiple of this value (e.g. 0.5 mm plate steps)
+     * @returns {Object} Result with isFeasible, dimensions, value (in the property's unit), range, errors and warnings
+     */
+    static solve(type, dimensions, free, requirement, options = {}) {
+        const result = {
+            isFeasible: false,
+            dimensions: null,
+            value: null,
+            range: null,
+            errors: [],
+            warnings: []
+        };
+
+        const property = SolvableProperties[requirement.property];
+        if (!property) {
+            result.errors.push(`Unsupported property: ${requirement.property}`);
+            return result;
+        }
+        if ((requirement.min === undefined) === (requirement.max === undefined)) {
+            result.errors.push('Requirement must have either min or max');
+            return result;
+        }
+        if (requirement.property === 'weight' && requirement.density === undefined) {
+            result.errors.push('Weight requirement needs a density');
+            return result;
+        }
+        const limits = DimensionValidation[free];
+        if (!limits) {
+            result.errors.push(`No limits configured for dimension: ${free}`);
+            return result;
+        }
+
+        const isMinimum = requirement.min !== undefined;
+        const target = Quantity.from(isMinimum ? requirement.min : requirement.max, property.unit).to(property.unit);
+        const fixed = ProfileCalculator.normalizeDimensions(dimensions);
+        const withFree = (value) => ({ ...fixed, [free]: value });
+        const evaluate = (value) => {
+            const computed = property.calculate(type, withFree(value), requirement.density);
+            return computed instanceof Quantity ? computed.to(property.unit) : computed;
+        };
+
+        // Valid range of the free dimension inside the configured limits
+        const range = this._findValidRange(type, withFree, limits);
+        if (!range) {
+            result.errors.push(`No valid ${free} between ${limits.min} and ${limits.max} for the fixed dimensions`);
+            return result;
+        }
+        result.range = range;
+
+        const low = evaluate(range.min);
+        const high = evaluate(range.max);
+        const increasing = high >= low;
+        const meets = (value) => isMinimum ? value >= target : value <= target;
+
+        // The extreme of the range most favourable to the requirement decides feasibility
+        const best = isMinimum === increasing ? range.max : range.min;
+        if (!meets(evaluate(best))) {
+            const relation = isMinimum ? 'below the required' : 'above the allowed';
+            result.errors.push(`No feasible ${free}: ${requirement.property} at ${free} = ${best} is ${relation} ${target} ${property.unit}`);
+            return result;
+        }
+
+        // Bisect for the boundary, keeping the side that meets the requirement
+        let good = best;
+        let bad = best === range.max ? range.min : range.max;
+        if (meets(evaluate(bad))) {
+            good = bad;
+        } else {
+            for (let i = 0; i < BISECTION_STEPS; i++) {
+                const mid = (good + bad) / 2;
+                if (meets(evaluate(mid))) {
+                    good = mid;
+                } else {
+                    bad = mid;
+                }
+            }
+        }
+
+        let solution = good;
+        if (options.increment > 0) {
+            // Round towards the side that still meets the requirement
+            const steps = good / options.increment;
+            const rounded = (good > bad ? Math.ceil(steps) : Math.floor(steps)) * options.increment;
+            if (rounded >= range.min && rounded <= range.max) {
+                solution = rounded;
+            } else {
+                result.warnings.push(`Rounded ${free} falls outside the valid range, unrounded value kept`);
+            }
+        }
+
+        result.isFeasible = true;
+        result.dimensions = withFree(solution);
+        result.value = evaluate(solution);
+        return result;
+    }
+
+    /**
+     * Get the properties the solver can target
+     * @returns {string[]} Property names
+     */
+    static getSolvableProperties() {
+        return Object.keys(SolvableProperties);
+    }
+
+    /**
+     * Find the interval of the free dimension that gives a valid profile
+     * The valid values are assumed to form one interval, which holds for the
+     * profile rules (e.g. thickness below half the width).
+     * @private
+     * @param {string} type Profile type
+     * @param {Function} withFree Builds dimensions for a free dimension value
+     * @param {{min: number, max: number}} limits Configured limits
+     * @returns {{min: number, max: number}|null} Valid range or null
+     */
+    static _findValidRange(type, withFree, limits) {
+        const isValid = (value) => this._isValid(type, withFree(value));
+        const step = (limits.max - limits.min) / RANGE_SAMPLES;
+
+        let seed = null;
+        for (let i = 0; i <= RANGE_SAMPLES && seed === null; i++) {
+            const value = limits.min + i * step;
+            if (isValid(value)) {
+                seed = value;
+            }
+        }
+        if (seed === null) {
+            return null;
+        }
+
+        const edge = (inside, outside) => {
+            if (isValid(outside)) {
+                return outside;
+            }
+            for (let i = 0; i < BISECTION_STEPS; i++) {
+                const mid = (inside + outside) / 2;
+                if (isValid(mid)) {
+                    inside = mid;
+                } else {
+                    outside = mid;
+                }
+            }
+            return inside;
+        };
+
+        return { min: edge(seed, limits.min), max: edge(seed, limits.max) };
+    }
+
+    /**
+     * Check a candidate against the validator, the profile rules and the limits
+     * @private
+     * @param {string} type Profile type
+     * @param {Object} dimensions Candidate dimensions
+     * @returns {boolean} True if the candidate is a valid profile
+     */
+    static _isValid(type, dimensions) {
+        if (!ProfileValidator.validateDimensions(type, dimensions).isValid) {
+            return false;
+        }
+        const rules = ProfileValidation[type]?.rules || [];
+        if (!rules.every(rule => rule.check(dimensions))) {
+            return false;
+        }
+        for (const [name, limits] of Object.entries(DimensionValidation)) {
+            const value = dimensions[name];
+            if (typeof value === 'number' && (value < limits.min || value > limits.max)) {
+                return false;
+            }
+        }
+        try {
+            return ProfileCalculator.calculateArea(type, dimensions) > 0;
+        } catch (error) {
+            return false;
+        }
+    }
+}
+
+export default ProfileSolver;
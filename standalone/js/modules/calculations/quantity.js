@@ -0,0 +1,310 @@
+/**
+ * Quantity Module
+ * Dimensioned values (value plus unit) so that mixed units are converted
+ * or rejected instead of silently producing wrong results
+ */
+
+// Base dimensions (SI: metre, kilogram, second)
+const Dimension = {
+    LENGTH: 'L',
+    MASS: 'M',
+    TIME: 'T'
+};
+
+// Unit definitions: factor to the SI base unit and dimension exponents
+const Units = {
+    // Angle (dimensionless)
+    rad: { factor: 1, dimension: {} },
+    deg: { factor: Math.PI / 180, dimension: {} },
+
+    // Length
+    mm: { factor: 1e-3, dimension: { L: 1 } },
+    cm: { factor: 1e-2, dimension: { L: 1 } },
+    m: { factor: 1, dimension: { L: 1 } },
+    in: { factor: 0.0254, dimension: { L: 1 } },
+    ft: { factor: 0.3048, dimension: { L: 1 } },
+
+    // Area
+    mm2: { factor: 1e-6, dimension: { L: 2 } },
+    cm2: { factor: 1e-4, dimension: { L: 2 } },
+    m2: { factor: 1, dimension: { L: 2 } },
+    in2: { factor: 6.4516e-4, dimension: { L: 2 } },
+    ft2: { factor: 0.09290304, dimension: { L: 2 } },
+
+    // Volume and section modulus
+    mm3: { factor: 1e-9, dimension: { L: 3 } },
+    cm3: { factor: 1e-6, dimension: { L: 3 } },
+    m3: { factor: 1, dimension: { L: 3 } },
+    L: { factor: 1e-3, dimension: { L: 3 } },
+    in3: { factor: 1.6387064e-5, dimension: { L: 3 } },
+    ft3: { factor: 0.028316846592, dimension: { L: 3 } },
+
+    // Second moment of area and warping constant
+    mm4: { factor: 1e-12, dimension: { L: 4 } },
+    cm4: { factor: 1e-8, dimension: { L: 4 } },
+    m4: { factor: 1, dimension: { L: 4 } },
+    in4: { factor: 4.162314256e-7, dimension: { L: 4 } },
+    mm6: { factor: 1e-18, dimension: { L: 6 } },
+    cm6: { factor: 1e-12, dimension: { L: 6 } },
+    m6: { factor: 1, dimension: { L: 6 } },
+
+    // Mass
+    g: { factor: 1e-3, dimension: { M: 1 } },
+    kg: { factor: 1, dimension: { M: 1 } },
+    t: { factor: 1000, dimension: { M: 1 } },
+    lb: { factor: 0.45359237, dimension: { M: 1 } },
+    oz: { factor: 0.028349523125, dimension: { M: 1 } },
+
+    // Time
+    s: { factor: 1, dimension: { T: 1 } },
+
+    // Force
+    N: { factor: 1, dimension: { L: 1, M: 1, T: -2 } },
+    kN: { factor: 1000, dimension: { L: 1, M: 1, T: -2 } },
+    lbf: { factor: 4.4482216152605, dimension: { L: 1, M: 1, T: -2 } },
+    kip: { factor: 4448.2216152605, dimension: { L: 1, M: 1, T: -2 } },
+
+    // Stress
+    Pa: { factor: 1, dimension: { L: -1, M: 1, T: -2 } },
+    kPa: { factor: 1e3, dimension: { L: -1, M: 1, T: -2 } },
+    MPa: { factor: 1e6, dimension: { L: -1, M: 1, T: -2 } },
+    GPa: { factor: 1e9, dimension: { L: -1, M: 1, T: -2 } },
+    psi: { factor: 6894.757293168, dimension: { L: -1, M: 1, T: -2 } },
+    ksi: { factor: 6894757.293168, dimension: { L: -1, M: 1, T: -2 } }
+};
+
+// Units used for results of arithmetic, by dimension
+const CoherentUnits = ['m', 'm2', 'm3', 'm4', 'm6', 'kg', 'kg/m3', 'kg/m', 'kg/m2', 'N', 'N/m', 'Pa', 'N*m', 's'];
+
+class Quantity {
+    /**
+     * Create a quantity
+     * Units are names from the unit table combined with '*', '/' and '^',
+     * e.g. 'kg/m3', 'N/mm2' or 'kN*m'.
+     * @param {number} value Numeric value
+     * @param {string} unit Unit of the value ('' for dimensionless)
+     */
+    constructor(value, unit = '') {
+        if (typeof value !== 'number' || Number.isNaN(value)) {
+            throw new Error(`Invalid quantity value: ${value}`);
+        }
+        const definition = Quantity.parseUnit(unit);
+        this.value = value;
+        this.unit = unit;
+        this.dimension = definition.dimension;
+        this.factor = definition.factor;
+    }
+
+    /**
+     * Value in SI base units
+     * @returns {number} Base value
+     */
+    get baseValue() {
+        return this.value * this.factor;
+    }
+
+    /**
+     * Check whether this quantity can be expressed in another unit
+     * @param {Quantity|string} other Quantity or unit
+     * @returns {boolean} True if the dimensions match
+     */
+    isCompatible(other) {
+        const dimension = other instanceof Quantity ? other.dimension : Quantity.parseUnit(other).dimension;
+        return Quantity._dimensionKey(this.dimension) === Quantity._dimensionKey(dimension);
+    }
+
+    /**
+     * Get the numeric value in another unit
+     * @param {string} unit Target unit
+     * @returns {number} Converted value
+     */
+    to(unit) {
+        const target = Quantity.parseUnit(unit);
+        if (!this.isCompatible(unit)) {
+            throw new Error(`Incompatible units: ${this.unit} to ${unit}`);
+        }
+        return this.baseValue / target.factor;
+    }
+
+    /**
+     * Express this quantity in another unit
+     * @param {string} unit Target unit
+     * @returns {Quantity} Converted quantity
+     */
+    convert(unit) {
+        return new Quantity(this.to(unit), unit);
+    }
+
+    /**
+     * Add a quantity, scaled into this quantity's unit
+     * @param {Quantity} other Quantity of the same dimension
+     * @returns {Quantity} Sum
+     */
+    add(other) {
+        return new Quantity(this.value + this._sameUnit(other, 'add'), this.unit);
+    }
+
+    /**
+     * Subtract a quantity, scaled into this quantity's unit
+     * @param {Quantity} other Quantity of the same dimension
+     * @returns {Quantity} Difference
+     */
+    subtract(other) {
+        return new Quantity(this.value - this._sameUnit(other, 'subtract'), this.unit);
+    }
+
+    /**
+     * Multiply by a number or another quantity
+     * Products of quantities are expressed in coherent SI units.
+     * @param {number|Quantity} other Factor
+     * @returns {Quantity} Product
+     */
+    multiply(other) {
+        if (typeof other === 'number') {
+            return new Quantity(this.value * other, this.unit);
+        }
+        return Quantity._fromBase(this.baseValue * other.baseValue,
+            Quantity._combine(this.dimension, other.dimension, 1));
+    }
+
+    /**
+     * Divide by a number or another quantity
+     * @param {number|Quantity} other Divisor
+     * @returns {Quantity} Quotient
+     */
+    divide(other) {
+        if (typeof other === 'number') {
+            return new Quantity(this.value / other, this.unit);
+        }
+        return Quantity._fromBase(this.baseValue / other.baseValue,
+            Quantity._combine(this.dimension, other.dimension, -1));
+    }
+
+    /**
+     * Format the quantity
+     * @param {number} precision Number of decimal places
+     * @returns {string} Value with unit
+     */
+    toString(precision = 2) {
+        return this.unit ? `${this.value.toFixed(precision)} ${this.unit}` : this.value.toFixed(precision);
+    }
+
+    /**
+     * Plain representation for storage and export
+     * @returns {{value: number, unit: string}} Value and unit
+     */
+    toJSON() {
+        return { value: this.value, unit: this.unit };
+    }
+
+    /**
+     * Parse a unit expression
+     * @param {string} unit Unit expression
+     * @returns {{factor: number, dimension: Object}} Factor to SI base units and dimension exponents
+     */
+    static parseUnit(unit) {
+        if (typeof unit !== 'string') {
+            throw new Error(`Invalid unit: ${unit}`);
+        }
+
+        const result = { factor: 1, dimension: {} };
+        if (unit === '') {
+            return result;
+        }
+
+        // Everything after the first '/' is in the denominator
+        const [numerator, ...denominators] = unit.split('/');
+        const terms = [
+            ...numerator.split('*').map(term => ({ term, sign: 1 })),
+            ...denominators.flatMap(part => part.split('*').map(term => ({ term, sign: -1 })))
+        ];
+
+        for (const { term, sign } of terms) {
+            const [name, exponent = '1'] = term.trim().split('^');
+            const definition = Units[name];
+            const power = Number(exponent) * sign;
+            if (!definition || !Number.isFinite(power)) {
+                throw new Error(`Unknown unit: ${unit}`);
+            }
+            result.factor *= Math.pow(definition.factor, power);
+            result.dimension = this._combine(result.dimension, definition.dimension, power);
+        }
+
+        return result;
+    }
+
+    /**
+     * Wrap a value as a quantity unless it already is one
+     * @param {number|Quantity} value Number or quantity
+     * @param {string} unit Unit assumed for plain numbers
+     * @returns {Quantity} Quantity
+     */
+    static from(value, unit) {
+        return value instanceof Quantity ? value : new Quantity(value, unit);
+    }
+
+    /**
+     * Numeric value of another quantity in this quantity's unit
+     * @private
+     * @param {Quantity} other Quantity of the same dimension
+     * @param {string} operation Operation name for the error message
+     * @returns {number} Value in this unit
+     */
+    _sameUnit(other, operation) {
+        if (!(other instanceof Quantity) || !this.isCompatible(other)) {
+            const unit = other instanceof Quantity ? other.unit : typeof other;
+            throw new Error(`Cannot ${operation} ${unit} and ${this.unit}`);
+        }
+        return other.to(this.unit);
+    }
+
+    /**
+     * Quantity from a base value, in the coherent SI unit of its dimension
+     * @private
+     * @param {number} baseValue Value in SI base units
+     * @param {Object} dimension Dimension exponents
+     * @returns {Quantity} Quantity
+     */
+    static _fromBase(baseValue, dimension) {
+        const key = this._dimensionKey(dimension);
+        const unit = CoherentUnits.find(name => this._dimensionKey(this.parseUnit(name).dimension) === key) ??
+            Object.entries(dimension)
+                .map(([name, power]) => `${{ L: 'm', M: 'kg', T: 's' }[name]}^${power}`)
+                .join('*');
+        return new Quantity(baseValue, unit);
+    }
+
+    /**
+     * Add (or subtract) dimension exponents
+     * @private
+     * @param {Object} a Dimension exponents
+     * @param {Object} b Dimension exponents
+     * @param {number} power Multiplier for b
+     * @returns {Object} Combined exponents without zero entries
+     */
+    static _combine(a, b, power) {
+        const result = { ...a };
+        for (const [name, exponent] of Object.entries(b)) {
+            result[name] = (result[name] || 0) + exponent * power;
+            if (result[name] === 0) {
+                delete result[name];
+            }
+        }
+        return result;
+    }
+
+    /**
+     * Canonical string for comparing dimensions
+     * @private
+     * @param {Object} dimension Dimension exponents
+     * @returns {string} Key such as 'L-1M1'
+     */
+    static _dimensionKey(dimension) {
+        return Object.values(Dimension)
+            .filter(name => dimension[name])
+            .map(name => `${name}${dimension[name]}`)
+            .join('');
+    }
+}
+
+export { Quantity, Dimension, Units };
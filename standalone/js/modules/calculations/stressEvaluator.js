@@ -0,0 +1,291 @@
+/**
+ * Stress Evaluator Module
+ * Elastic normal, shear and von Mises stresses at points of a cross-section
+ * from its internal forces. Forces are in N, moments in N·mm, coordinates in
+ * mm (same origin as ProfileCalculator.calculateCentroid) and stresses in MPa.
+ */
+
+import ProfileCalculator from './profileCalculator.js';
+import { ProfileType } from '../profiles/profileTypes.js';
+
+// Default number of grid points per side for contour sampling
+const DEFAULT_GRID_SIZE = 25;
+
+// Internal forces in section axes
+const ForceKeys = ['N', 'Vx', 'Vy', 'Mx', 'My', 'T'];
+
+class StressEvaluator {
+    /**
+     * Calculate the stresses at a point of the section
+     * Axes follow the section: Mx bends about the horizontal x-axis (My,Ed of
+     * EN 1993 for I-beams), My about the vertical y-axis (Mz,Ed), Vy acts
+     * along y (Vz,Ed) and Vx along x (Vy,Ed). N is positive in tension,
+     * positive Mx compresses the top and positive My the right side.
+     * Unsymmetric sections bend about their principal axes through Ixy.
+     * Transverse shear is V·Q/(I·b) averaged over the full cut through the
+     * point; torsional shear is the St. Venant surface value of the wall the
+     * point lies in and is added to the resultant transverse shear, which is
+     * exact where both run along the wall and conservative elsewhere.
+     * Warping stresses are not included, and custom and compound sections
+     * have no torsional shear, so they throw for a non-zero T. EN force names
+     * such as Vz and Mz are rejected rather than mapped to the section axes.
+     * @param {string} type Profile type
+     * @param {Object} dimensions Profile dimensions
+     * @param {Object} forces Internal forces {N, Vx, Vy, Mx, My, T}, missing values are zero
+     * @param {{x: number, y: number}} point Point in section coordinates
+     * @returns {Object} Normal, shear and von Mises stress with their components
+     */
+    static calculateStress(type, dimensions, forces, point) {
+        const dims = ProfileCalculator.normalizeDimensions(dimensions);
+        if (!ProfileCalculator.containsPoint(type, dims, point.x, point.y)) {
+            throw new Error(`Point (${point.x}, ${point.y}) is outside the section`);
+        }
+        const section = this._getSection(type, dims);
+        const loads = this._getForces(forces);
+
+        return this._evaluate(section, loads, point,
+            this._getShearX(section, loads.Vx, point.x),
+            this._getShearY(section, loads.Vy, point.y));
+    }
+
+    /**
+     * Sample the stresses on a regular grid over the bounding box
+     * Grid points off the material are null, so the arrays can be passed
+     * straight to a contour plot.
+     * @param {string} type Profile type
+     * @param {Object} dimensions Profile dimensions
+     * @param {Object} forces Internal forces {N, Vx, Vy, Mx, My, T}
+     * @param {Object} options Grid options
+     * @param {number} options.nx Number of points across the width (default 25)
+     * @param {number} options.ny Number of points over the height (default 25)
+     * @returns {Object} Grid coordinates x and y, normal, shear and vonMises arrays indexed
+     *          [row (y)][column (x)], and the extreme values with their locations
+     */
+    static calculateStressGrid(type, dimensions, forces, options = {}) {
+        const nx = options.nx ?? DEFAULT_GRID_SIZE;
+        const ny = options.ny ?? DEFAULT_GRID_SIZE;
+        if (!Number.isInteger(nx) || !Number.isInteger(ny) || nx < 2 || ny < 2) {
+            throw new Error('Grid needs at least 2 points per side');
+        }
+
+        const dims = ProfileCalculator.normalizeDimensions(dimensions);
+        const section = this._getSection(type, dims);
+        const loads = this._getForces(forces);
+        const { width, height } = section.bounds;
+        const xs = Array.from({ length: nx }, (_, i) => i * width / (nx - 1));
+        const ys = Array.from({ length: ny }, (_, j) => j * height / (ny - 1));
+
+        // Transverse shear only depends on the cut, so it is computed once per column and row
+        const shearX = xs.map(x => this._getShearX(section, loads.Vx, x));
+        const shearY = ys.map(y => this._getShearY(section, loads.Vy, y));
+
+        const grid = { x: xs, y: ys, normal: [], shear: [], vonMises: [] };
+        const extremes = {
+            normal: { min: null, max: null },
+            shear: { max: null },
+            vonMises: { max: null }
+        };
+        const track = (entry, key, value, x, y, compare) => {
+            if (entry[key] === null || compare(value, entry[key].value)) {
+                entry[key] = { value, x, y };
+            }
+        };
+
+        ys.forEach((y, j) => {
+            const rows = { normal: [], shear: [], vonMises: [] };
+            xs.forEach((x, i) => {
+                if (!ProfileCalculator.containsPoint(type, dims, x, y)) {
+                    rows.normal.push(null);
+                    rows.shear.push(null);
+                    rows.vonMises.push(null);
+                    return;
+                }
+                const stress = this._evaluate(section, loads, { x, y }, shearX[i], shearY[j]);
+                rows.normal.push(stress.normal);
+                rows.shear.push(stress.shear);
+                rows.vonMises.push(stress.vonMises);
+                track(extremes.normal, 'min', stress.normal, x, y, (a, b) => a < b);
+                track(extremes.normal, 'max', stress.normal, x, y, (a, b) => a > b);
+                track(extremes.shear, 'max', stress.shear, x, y, (a, b) => a > b);
+                track(extremes.vonMises, 'max', stress.vonMises, x, y, (a, b) => a > b);
+            });
+            grid.normal.push(rows.normal);
+            grid.shear.push(rows.shear);
+            grid.vonMises.push(rows.vonMises);
+        });
+
+        return { ...grid, extremes };
+    }
+
+    /**
+     * Stresses at a point from precomputed transverse shear stresses
+     * @private
+     * @param {Object} section Section properties
+     * @param {Object} loads Internal forces
+     * @param {{x: number, y: number}} point Point in section coordinates
+     * @param {number} shearX Shear stress from Vx at the point
+     * @param {number} shearY Shear stress from Vy at the point
+     * @returns {Object} Stresses and components
+     */
+    static _evaluate(section, loads, point, shearX, shearY) {
+        const { area, centroid, Ix, Iy, Ixy } = section;
+        const dx = point.x - centroid.x;
+        const dy = point.y - centroid.y;
+        const det = Ix * Iy - Ixy * Ixy;
+
+        const axial = loads.N / area;
+        const bendingX = (loads.Mx * Ixy * dx - loads.Mx * Iy * dy) / det;
+        const bendingY = (loads.My * Ixy * dy - loads.My * Ix * dx) / det;
+        const torsion = loads.T === 0 ? 0 : this._getTorsionalShear(section, loads.T, point);
+
+        const normal = axial + bendingX + bendingY;
+        const shear = Math.hypot(shearX, shearY) + Math.abs(torsion);
+        return {
+            x: point.x,
+            y: point.y,
+            normal,
+            shear,
+            vonMises: Math.sqrt(normal * normal + 3 * shear * shear),
+            components: { axial, bendingX, bendingY, shearX, shearY, torsion }
+        };
+    }
+
+    /**
+     * St. Venant torsional shear stress at a point
+     * Round bars vary linearly with the radius, closed tubes use Bredt's
+     * formula T/(2·Am·t), solid rectangles Roark's maximum T·(3b + 1.8t)/(b²·t²)
+     * and open sections T·t/J with the thickness of the wall at the point.
+     * @private
+     * @param {Object} section Section properties
+     * @param {number} T Torque (N·mm)
+     * @param {{x: number, y: number}} point Point in section coordinates
+     * @returns {number} Torsional shear stress magnitude (MPa)
+     */
+    static _getTorsionalShear(section, T, point) {
+        const { type, dimensions: d } = section;
+        const torque = Math.abs(T);
+
+        switch (type) {
+            case ProfileType.ROUND_BAR: {
+                const radius = Math.hypot(point.x - section.centroid.x, point.y - section.centroid.y);
+                return torque * radius / ProfileCalculator.calculateTorsionConstant(type, d);
+            }
+
+            case ProfileType.ROUND_TUBE: {
+                const rm = (d.diameter - d.thickness) / 2;
+                return torque / (2 * Math.PI * rm * rm * d.thickness);
+            }
+
+            case ProfileType.SQUARE_TUBE:
+            case ProfileType.RECTANGULAR_TUBE: {
+                const t = d.thickness;
+                const Am = (d.width - t) * ((d.height ?? d.width) - t);
+                return torque / (2 * Am * t);
+            }
+
+            case ProfileType.FLAT_BAR:
+            case ProfileType.SQUARE_BAR: {
+                const sides = [d.width, d.thickness ?? d.width];
+                const b = Math.max(...sides);
+                const t = Math.min(...sides);
+                return torque * (3 * b + 1.8 * t) / (b * b * t * t);
+            }
+
+            case ProfileType.ANGLE:
+            case ProfileType.CHANNEL:
+            case ProfileType.Z_SECTION:
+                return torque * d.thickness / ProfileCalculator.calculateTorsionConstant(type, d);
+
+            case ProfileType.I_BEAM: {
+                const inFlange = point.y <= d.flange_thickness || point.y >= d.height - d.flange_thickness;
+                const t = inFlange ? d.flange_thickness : d.web_thickness;
+                return torque * t / ProfileCalculator.calculateTorsionConstant(type, d);
+            }
+
+            case ProfileType.T_SECTION: {
+                const t = point.y >= d.height - d.flange_thickness ? d.flange_thickness : d.web_thickness;
+                return torque * t / ProfileCalculator.calculateTorsionConstant(type, d);
+            }
+
+            default:
+                throw new Error(`Torsional shear stress is not supported for profile type: ${type}`);
+        }
+    }
+
+    /**
+     * Shear stress from Vy at height y
+     * @private
+     * @param {Object} section Section properties
+     * @param {number} Vy Shear force along y (N)
+     * @param {number} y Fibre height
+     * @returns {number} Shear stress (MPa)
+     */
+    static _getShearY(section, Vy, y) {
+        return Vy === 0 ? 0 : ProfileCalculator.calculateShearStress(section.type, section.dimensions, Vy, y);
+    }
+
+    /**
+     * Shear stress from Vx at abscissa x
+     * The section is turned a quarter turn counter-clockwise as a compound
+     * part, which maps vertical cuts at x onto horizontal cuts at height x.
+     * @private
+     * @param {Object} section Section properties
+     * @param {number} Vx Shear force along x (N)
+     * @param {number} x Fibre abscissa
+     * @returns {number} Shear stress (MPa)
+     */
+    static _getShearX(section, Vx, x) {
+        if (Vx === 0) {
+            return 0;
+        }
+        const turned = {
+            parts: [{ profile: section.type, dimensions: section.dimensions, x: 0, y: 0, rotation: 90 }]
+        };
+        return ProfileCalculator.calculateShearStress(ProfileType.COMPOUND, turned, Vx, x);
+    }
+
+    /**
+     * Section properties used by the stress formulas
+     * @private
+     * @param {string} type Profile type
+     * @param {Object} dimensions Profile dimensions (mm)
+     * @returns {Object} Type, dimensions, area, centroid, second moments and bounding box
+     */
+    static _getSection(type, dimensions) {
+        return {
+            type,
+            dimensions,
+            area: ProfileCalculator.calculateArea(type, dimensions),
+            centroid: ProfileCalculator.calculateCentroid(type, dimensions),
+            Ix: ProfileCalculator.calculateMomentOfInertiaX(type, dimensions),
+            Iy: ProfileCalculator.calculateMomentOfInertiaY(type, dimensions),
+            Ixy: ProfileCalculator.calculateProductOfInertia(type, dimensions),
+            bounds: ProfileCalculator.calculateBoundingBox(type, dimensions)
+        };
+    }
+
+    /**
+     * Internal forces with missing values set to zero
+     * Unknown keys throw, so that forces named after other axis conventions
+     * are not silently dropped.
+     * @private
+     * @param {Object} forces Internal forces
+     * @returns {{N: number, Vx: number, Vy: number, Mx: number, My: number, T: number}} Forces
+     */
+    static _getForces(forces = {}) {
+        Object.keys(forces).forEach(key => {
+            if (!ForceKeys.includes(key)) {
+                throw new Error(`Unsupported internal force: ${key} (use ${ForceKeys.join(', ')} in section axes)`);
+            }
+        });
+        const loads = { N: 0, Vx: 0, Vy: 0, Mx: 0, My: 0, T: 0, ...forces };
+        Object.entries(loads).forEach(([key, value]) => {
+            if (!Number.isFinite(value)) {
+                throw new Error(`Internal force ${key} must be a finite number`);
+            }
+        });
+        return loads;
+    }
+}
+
+export default StressEvaluator;
\ No newline at end of file
@@ -3,6 +3,8 @@
  * Handles unit conversions for dimensions and weights
  */
 
+import { Quantity } from './quantity.js';
+
 // Unit Types
 const UnitType = {
     LENGTH: 'length',
@@ -68,7 +70,8 @@ class UnitConverter {
 
     /**
      * Convert a value from one unit to another
-     * @param {number} value Value to convert
+     * A Quantity is converted from its own unit; fromUnit is ignored.
+     * @param {number|Quantity} value Value to convert
      * @param {string} fromUnit Unit to convert from
      * @param {string} toUnit Unit to convert to
      * @param {string} type Type of unit (length, weight, area, volume)
@@ -80,6 +83,12 @@ class UnitConverter {
         }
 
         const factors = ConversionFactors[type];
+        if (value instanceof Quantity) {
+            if (!factors[toUnit]) {
+                throw new Error(`Invalid unit conversion: ${value.unit} to ${toUnit}`);
+            }
+            return value.to(toUnit);
+        }
         if (!factors[fromUnit] || !factors[toUnit]) {
             throw new Error(`Invalid unit conversion: ${fromUnit} to ${toUnit}`);
         }
@@ -91,6 +100,7 @@ class UnitConverter {
 
     /**
      * Convert dimensions object from one unit to another
+     * Quantity values are converted from their own unit.
      * @param {Object} dimensions Dimensions object
      * @param {string} fromUnit Unit to convert from
      * @param {string} toUnit Unit to convert to
@@ -99,7 +109,7 @@ class UnitConverter {
     convertDimensions(dimensions, fromUnit, toUnit) {
         const result = {};
         for (const [key, value] of Object.entries(dimensions)) {
-            if (typeof value === 'number') {
+            if (typeof value === 'number' || value instanceof Quantity) {
                 result[key] = this.convert(value, fromUnit, toUnit, UnitType.LENGTH);
             } else {
                 result[key] = value;
@@ -110,15 +120,35 @@ class UnitConverter {
 
     /**
      * Format a value with its unit
-     * @param {number} value Value to format
+     * @param {number|Quantity} value Value to format (a Quantity is converted to unit first)
      * @param {string} unit Unit of the value
      * @param {number} precision Number of decimal places
      * @returns {string} Formatted value with unit
      */
     formatWithUnit(value, unit, precision = 2) {
+        if (value instanceof Quantity) {
+            return value.convert(unit ?? value.unit).toString(precision);
+        }
         return `${value.toFixed(precision)} ${unit}`;
     }
 
+    /**
+     * Create a quantity in the current unit system
+     * @param {number} value Numeric value
+     * @param {string} type Unit type
+     * @param {string} unit Unit of the value, defaults to the current system's unit for the type
+     * @returns {Quantity} Quantity
+     */
+    createQuantity(value, type, unit = this.getDefaultUnit(type)) {
+        if (!Object.values(UnitType).includes(type)) {
+            throw new Error(`Invalid unit type: ${type}`);
+        }
+        if (!ConversionFactors[type][unit]) {
+            throw new Error(`Invalid ${type} unit: ${unit}`);
+        }
+        return new Quantity(value, unit);
+    }
+
     /**
      * Get the default unit for a type in the current system
      * @param {string} type Unit type
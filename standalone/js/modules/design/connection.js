@@ -0,0 +1,634 @@
+/**
+ * Connection Module
+ * Bolt groups and fillet weld groups loaded in the plane of the connection,
+ * designed to EN 1993-1-8 or AISC 360 (LRFD). Bolts resist shear, found with
+ * the elastic or instantaneous center method, bearing on the connected plies
+ * and tension. Welds use the elastic method with the directional strength of
+ * fillet welds. Forces are in N, moments in N·mm, lengths in mm and stresses
+ * in MPa.
+ */
+
+import ProfileCalculator from '../calculations/profileCalculator.js';
+import {
+    DesignCode,
+    ResistanceFactors,
+    BoltGrade,
+    BoltGradeProperties,
+    BoltStressArea,
+    HoleClearance,
+    BoltGroupMethod,
+    WeldCorrelationFactors,
+    ELECTRODE_STRENGTH
+} from '../../core/config/design.js';
+
+// AISC instantaneous center bolt curve R = Rult·(1 - e^(-10Δ))^0.55, with Δ in inches
+const IC_MAX_DEFORMATION = 0.34;
+
+// Newton iterations and relative residual for locating the instantaneous center
+const IC_ITERATIONS = 100;
+const IC_TOLERANCE = 1e-8;
+
+class Connection {
+    /**
+     * Check a bolt group
+     * In-plane actions act at options.point (default the bolt group centroid)
+     * plus a moment M; moments are counter-clockwise positive. The tension N
+     * is shared equally by the bolts, without prying. Each bolt resists the
+     * smaller of its shear and bearing resistance. With the instantaneous
+     * center method the group capacity is C times that resistance.
+     * @param {Array<{x: number, y: number}>} bolts Bolt positions (mm)
+     * @param {Array<Object>} plies Connected plies {component, material, element, thickness}: the thickness
+     *        defaults to the component's `${element}_thickness` (or thickness) dimension and the material to
+     *        the component material; components and materials may be store ids
+     * @param {Object} actions Design actions {Fx, Fy (N), M (N·mm), N (N, tension)}
+     * @param {Object} options Options
+     * @param {string} options.code Design code (default EN 1993)
+     * @param {string} options.grade Bolt grade (BoltGrade, default 8.8)
+     * @param {number} options.diameter Nominal bolt diameter (mm, default 20)
+     * @param {number} options.holeDiameter Hole diameter, defaulting to the standard clearance
+     * @param {number} options.shearPlanes Shear planes per bolt (default one less than the plies)
+     * @param {boolean} options.threadsExcluded Threads are excluded from the shear planes
+     * @param {Object} options.spacing {e1, p1} along and {e2, p2} across the load (mm); edges default
+     *        to 1.5·d0 and pitches to the closest bolt spacing
+     * @param {{x: number, y: number}} options.point Point where Fx and Fy act
+     * @param {string} options.method BoltGroupMethod (default elastic)
+     * @param {Object} options.componentStore Store resolving component ids
+     * @param {Object} options.materialStore Store resolving material ids
+     * @returns {Object} Per-bolt resistances, bolt forces, group coefficient, shear, tension and combined
+     *          utilizations, governing utilization, isValid and warnings
+     */
+    static calculateBoltGroup(bolts, plies, actions = {}, options = {}) {
+        const code = options.code ?? DesignCode.EN_1993;
+        if (!ResistanceFactors[code]) {
+            throw new Error(`Unsupported design code: ${code}`);
+        }
+        const grade = options.grade ?? BoltGrade.GRADE_8_8;
+        const bolt = BoltGradeProperties[grade];
+        if (!bolt) {
+            throw new Error(`Unsupported bolt grade: ${grade}`);
+        }
+        const method = options.method ?? BoltGroupMethod.ELASTIC;
+        if (!Object.values(BoltGroupMethod).includes(method)) {
+            throw new Error(`Unsupported bolt group method: ${method}`);
+        }
+        if (!Array.isArray(bolts) || bolts.length === 0) {
+            throw new Error('A bolt group needs at least one bolt');
+        }
+        bolts.forEach((position, i) => {
+            if (!Number.isFinite(position.x) || !Number.isFinite(position.y)) {
+                throw new Error(`Bolt ${i + 1} needs x and y coordinates`);
+            }
+        });
+
+        const d = options.diameter ?? 20;
+        const d0 = options.holeDiameter ?? this._getHoleDiameter(code, d);
+        const layers = this._getPlies(plies, options);
+        const shearPlanes = options.shearPlanes ?? Math.max(layers.length - 1, 1);
+        const warnings = [];
+
+        const closest = this._getClosestSpacing(bolts);
+        const spacing = {
+            e1: options.spacing?.e1 ?? 1.5 * d0,
+            e2: options.spacing?.e2 ?? 1.5 * d0,
+            p1: options.spacing?.p1 ?? closest,
+            p2: options.spacing?.p2 ?? closest
+        };
+        if (options.spacing?.e1 === undefined || options.spacing?.e2 === undefined) {
+            warnings.push('Edge distances not given, 1.5·d0 assumed');
+        }
+
+        const resistances = code === DesignCode.EN_1993
+            ? this._getEurocodeBolt(bolt, d, d0, layers, spacing, options)
+            : this._getAiscBolt(bolt, d, d0, layers, spacing, options);
+        resistances.shear *= shearPlanes;
+        resistances.bolt = Math.min(resistances.shear, resistances.bearing);
+        if (!(resistances.bearing > 0)) {
+            warnings.push('Edge distances or spacing are too small for bearing');
+        }
+
+        // Group geometry and actions about the centroid
+        const n = bolts.length;
+        const centroid = {
+            x: bolts.reduce((sum, p) => sum + p.x, 0) / n,
+            y: bolts.reduce((sum, p) => sum + p.y, 0) / n
+        };
+        const polar = bolts.reduce((sum, p) => sum + Math.pow(p.x - centroid.x, 2) + Math.pow(p.y - centroid.y, 2), 0);
+        const Fx = actions.Fx ?? 0;
+        const Fy = actions.Fy ?? 0;
+        const point = options.point ?? centroid;
+        const M = (actions.M ?? 0) + (point.x - centroid.x) * Fy - (point.y - centroid.y) * Fx;
+        const N = Math.max(actions.N ?? 0, 0);
+        if (polar === 0 && M !== 0) {
+            throw new Error('A single bolt cannot resist a moment');
+        }
+
+        const shear = method === BoltGroupMethod.INSTANTANEOUS_CENTER
+            ? this._getInstantaneousCenterForces(bolts, centroid, polar, Fx, Fy, M, warnings)
+            : this._getElasticForces(bolts, centroid, polar, Fx, Fy, M);
+        const maxShear = Math.max(...shear.forces.map(force => force.resultant));
+        const tension = N / n;
+
+        const checks = this._getBoltUtilization(code, bolt, d, resistances, maxShear, tension, shearPlanes);
+        const utilization = Math.max(...Object.values(checks));
+        return {
+            code,
+            grade,
+            method,
+            diameter: d,
+            holeDiameter: d0,
+            count: n,
+            shearPlanes,
+            spacing,
+            centroid,
+            polarMoment: polar,
+            actions: { Fx, Fy, M, N },
+            resistances,
+            forces: shear.forces,
+            coefficient: shear.coefficient,
+            capacity: shear.coefficient === null ? null : shear.coefficient * resistances.bolt,
+            center: shear.center,
+            maxShear,
+            tension,
+            checks,
+            utilization,
+            isValid: utilization <= 1,
+            warnings
+        };
+    }
+
+    /**
+     * Check a fillet weld group
+     * Weld lines are treated as lines with their throat thickness. The stress
+     * at each end of each line is the direct stress plus M·r/J, split into the
+     * parts along and across the weld. EN 1993-1-8 4.5.3.2 (directional
+     * method) checks √(σ⊥² + 3(τ⊥² + τ∥²)) ≤ fu/(βw·γM2) and σ⊥ ≤ 0.9·fu/γM2,
+     * AISC 360 J2.4 the resultant against 0.6·FEXX·(1 + 0.5·sin^1.5 θ).
+     * @param {Array<Object>} welds Weld lines {x1, y1, x2, y2 (mm), size (leg, mm), throat (mm)},
+     *        the throat defaulting to size/√2
+     * @param {Array<Object>} plies Connected plies, as for calculateBoltGroup; the weakest sets the strength
+     * @param {Object} actions Design actions {Fx, Fy (N), M (N·mm)}
+     * @param {Object} options Options
+     * @param {string} options.code Design code (default EN 1993)
+     * @param {{x: number, y: number}} options.point Point where Fx and Fy act (default the weld centroid)
+     * @param {number} options.electrodeStrength AISC FEXX (MPa, default 482)
+     * @param {Object} options.componentStore Store resolving component ids
+     * @param {Object} options.materialStore Store resolving material ids
+     * @returns {Object} Group properties, design strength, stresses at the weld ends, utilization, isValid and warnings
+     */
+    static calculateWeldGroup(welds, plies, actions = {}, options = {}) {
+        const code = options.code ?? DesignCode.EN_1993;
+        if (!ResistanceFactors[code]) {
+            throw new Error(`Unsupported design code: ${code}`);
+        }
+        if (!Array.isArray(welds) || welds.length === 0) {
+            throw new Error('A weld group needs at least one weld');
+        }
+        const warnings = [];
+        const lines = welds.map((weld, i) => {
+            const length = Math.hypot(weld.x2 - weld.x1, weld.y2 - weld.y1);
+            if (!(length > 0)) {
+                throw new Error(`Weld ${i + 1} length must be positive`);
+            }
+            const throat = weld.throat ?? weld.size / Math.SQRT2;
+            if (!(throat > 0)) {
+                throw new Error(`Weld ${i + 1} needs a size or throat`);
+            }
+            if (code === DesignCode.EN_1993) {
+                if (throat < 3) {
+                    warnings.push(`Weld ${i + 1} throat is less than 3 mm`);
+                }
+                if (length < Math.max(30, 6 * throat)) {
+                    warnings.push(`Weld ${i + 1} is shorter than 30 mm or 6 throats and should be ignored`);
+                }
+            }
+            return {
+                ...weld,
+                length,
+                throat,
+                area: throat * length,
+                direction: { x: (weld.x2 - weld.x1) / length, y: (weld.y2 - weld.y1) / length },
+                middle: { x: (weld.x1 + weld.x2) / 2, y: (weld.y1 + weld.y2) / 2 }
+            };
+        });
+
+        const area = lines.reduce((sum, line) => sum + line.area, 0);
+        const centroid = {
+            x: lines.reduce((sum, line) => sum + line.area * line.middle.x, 0) / area,
+            y: lines.reduce((sum, line) => sum + line.area * line.middle.y, 0) / area
+        };
+        const Ix = lines.reduce((sum, line) => sum + line.area *
+            (Math.pow(line.middle.y - centroid.y, 2) + Math.pow(line.length * line.direction.y, 2) / 12), 0);
+        const Iy = lines.reduce((sum, line) => sum + line.area *
+            (Math.pow(line.middle.x - centroid.x, 2) + Math.pow(line.length * line.direction.x, 2) / 12), 0);
+        const J = Ix + Iy;
+
+        const Fx = actions.Fx ?? 0;
+        const Fy = actions.Fy ?? 0;
+        const point = options.point ?? centroid;
+        const M = (actions.M ?? 0) + (point.x - centroid.x) * Fy - (point.y - centroid.y) * Fx;
+
+        const parent = this._getPlies(plies, options).reduce((weakest, ply) => ply.fu < weakest.fu ? ply : weakest);
+        const strength = this._getWeldStrength(code, parent, options);
+
+        const points = lines.flatMap((line, i) => [{ x: line.x1, y: line.y1 }, { x: line.x2, y: line.y2 }]
+            .map(end => {
+                const stress = {
+                    x: Fx / area - M * (end.y - centroid.y) / J,
+                    y: Fy / area + M * (end.x - centroid.x) / J
+                };
+                const parallel = stress.x * line.direction.x + stress.y * line.direction.y;
+                const transverse = stress.x * line.direction.y - stress.y * line.direction.x;
+                return {
+                    weld: i,
+                    x: end.x,
+                    y: end.y,
+                    stress: Math.hypot(stress.x, stress.y),
+                    parallel,
+                    transverse,
+                    utilization: this._getWeldUtilization(code, strength, parallel, transverse)
+                };
+            }));
+        const governing = points.reduce((max, p) => p.utilization > max.utilization ? p : max);
+
+        return {
+            code,
+            length: lines.reduce((sum, line) => sum + line.length, 0),
+            area,
+            centroid,
+            Ix,
+            Iy,
+            J,
+            actions: { Fx, Fy, M },
+            throats: lines.map(line => line.throat),
+            strength,
+            points,
+            governing,
+            utilization: governing.utilization,
+            isValid: governing.utilization <= 1,
+            warnings
+        };
+    }
+
+    /**
+     * EN 1993-1-8 Table 3.4 bolt resistances per bolt and shear plane
+     * @private
+     * @param {Object} bolt Bolt grade properties
+     * @param {number} d Bolt diameter (mm)
+     * @param {number} d0 Hole diameter (mm)
+     * @param {Array<Object>} plies Plies with thickness, fu and fy
+     * @param {Object} spacing Edge distances and pitches
+     * @param {Object} options Options (threadsExcluded)
+     * @returns {{shear: number, tension: number, bearing: number, bearingPly: number}} Resistances (N)
+     */
+    static _getEurocodeBolt(bolt, d, d0, plies, spacing, options) {
+        const { gammaM2 } = ResistanceFactors[DesignCode.EN_1993];
+        const As = BoltStressArea[d];
+        if (!As) {
+            throw new Error(`Unsupported bolt diameter: ${d}`);
+        }
+        const shear = options.threadsExcluded
+            ? 0.6 * bolt.fub * Math.PI * d * d / 4 / gammaM2
+            : bolt.alphaV * bolt.fub * As / gammaM2;
+
+        const { e1, e2, p1, p2 } = spacing;
+        const alphaD = Math.min(e1 / (3 * d0), p1 / (3 * d0) - 0.25);
+        const k1 = Math.min(2.8 * e2 / d0 - 1.7, 1.4 * p2 / d0 - 1.7, 2.5);
+        const bearings = plies.map(ply => {
+            const alphaB = Math.min(alphaD, bolt.fub / ply.fu, 1);
+            return Math.max(k1 * alphaB * ply.fu * d * ply.thickness / gammaM2, 0);
+        });
+
+        return {
+            shear,
+            tension: 0.9 * bolt.fub * As / gammaM2,
+            ...this._getGoverningBearing(bearings)
+        };
+    }
+
+    /**
+     * AISC 360 J3.6 and J3.10 bolt resistances per bolt and shear plane
+     * Nominal stresses follow the Table J3.2 basis Fnt = 0.75·Fu and
+     * Fnv = 0.450·Fu (threads included) or 0.563·Fu (excluded); bearing
+     * takes deformation at service load into account.
+     * @private
+     * @param {Object} bolt Bolt grade properties
+     * @param {number} d Bolt diameter (mm)
+     * @param {number} dh Hole diameter (mm)
+     * @param {Array<Object>} plies Plies with thickness, fu and fy
+     * @param {Object} spacing Edge distances and pitches
+     * @param {Object} options Options (threadsExcluded)
+     * @returns {{shear: number, tension: number, bearing: number, bearingPly: number}} Resistances (N)
+     */
+    static _getAiscBolt(bolt, d, dh, plies, spacing, options) {
+        const phi = ResistanceFactors[DesignCode.AISC_360].bolt;
+        const Ab = Math.PI * d * d / 4;
+        const Fnv = (options.threadsExcluded ? 0.563 : 0.450) * bolt.fub;
+        const lc = Math.min(spacing.e1 - dh / 2, spacing.p1 - dh);
+        const bearings = plies.map(ply =>
+            Math.max(phi * Math.min(1.2 * lc * ply.thickness * ply.fu, 2.4 * d * ply.thickness * ply.fu), 0));
+
+        return {
+            shear: phi * Fnv * Ab,
+            tension: phi * 0.75 * bolt.fub * Ab,
+            ...this._getGoverningBearing(bearings)
+        };
+    }
+
+    /**
+     * Weakest ply in bearing
+     * @private
+     * @param {Array<number>} bearings Bearing resistance per ply (N)
+     * @returns {{bearing: number, bearingPly: number}} Resistance and ply index
+     */
+    static _getGoverningBearing(bearings) {
+        const bearing = Math.min(...bearings);
+        return { bearing, bearingPly: bearings.indexOf(bearing) };
+    }
+
+    /**
+     * Bolt utilizations in shear (including bearing), tension and combined
+     * @private
+     * @param {string} code Design code
+     * @param {Object} bolt Bolt grade properties
+     * @param {number} d Bolt diameter (mm)
+     * @param {Object} resistances Per-bolt resistances
+     * @param {number} shear Largest bolt shear force (N)
+     * @param {number} tension Bolt tension (N)
+     * @param {number} shearPlanes Shear planes per bolt
+     * @returns {{shear: number, tension: number, combined: number}} Utilizations
+     */
+    static _getBoltUtilization(code, bolt, d, resistances, shear, tension, shearPlanes) {
+        const ratio = (force, resistance) => force === 0 ? 0 : force / resistance;
+        if (code === DesignCode.EN_1993) {
+            // EN 1993-1-8 Table 3.4: Fv,Ed/Fv,Rd + Ft,Ed/(1.4·Ft,Rd) ≤ 1
+            return {
+                shear: ratio(shear, resistances.bolt),
+                tension: ratio(tension, resistances.tension),
+                combined: ratio(shear, resistances.shear) + ratio(tension, 1.4 * resistances.tension)
+            };
+        }
+
+        // AISC 360 J3.7: tension strength reduced by the required shear stress
+        const phi = ResistanceFactors[DesignCode.AISC_360].bolt;
+        const Ab = Math.PI * d * d / 4;
+        const Fnt = 0.75 * bolt.fub;
+        const Fnv = resistances.shear / (shearPlanes * phi * Ab);
+        const frv = shear / (shearPlanes * Ab);
+        const reduced = Math.min(1.3 * Fnt - Fnt / (phi * Fnv) * frv, Fnt);
+        return {
+            shear: ratio(shear, resistances.bolt),
+            tension: ratio(tension, resistances.tension),
+            combined: tension === 0 ? 0 : tension / Math.max(phi * reduced * Ab, 0)
+        };
+    }
+
+    /**
+     * Elastic bolt forces: direct share plus M·r/Σr²
+     * @private
+     * @param {Array<{x: number, y: number}>} bolts Bolt positions
+     * @param {{x: number, y: number}} centroid Group centroid
+     * @param {number} polar Σr² (mm²)
+     * @param {number} Fx Horizontal force (N)
+     * @param {number} Fy Vertical force (N)
+     * @param {number} M Moment about the centroid (N·mm)
+     * @returns {Object} Bolt forces and the elastic group coefficient
+     */
+    static _getElasticForces(bolts, centroid, polar, Fx, Fy, M) {
+        const n = bolts.length;
+        const forces = bolts.map(p => {
+            const fx = Fx / n - (polar > 0 ? M * (p.y - centroid.y) / polar : 0);
+            const fy = Fy / n + (polar > 0 ? M * (p.x - centroid.x) / polar : 0);
+            return { x: p.x, y: p.y, Fx: fx, Fy: fy, resultant: Math.hypot(fx, fy) };
+        });
+        const max = Math.max(...forces.map(force => force.resultant));
+        const P = Math.hypot(Fx, Fy);
+        return { forces, coefficient: max > 0 && P > 0 ? P / max : null, center: null };
+    }
+
+    /**
+     * Bolt forces with the AISC instantaneous center of rotation method
+     * The group turns about the center, each bolt deforming in proportion to
+     * its distance from it up to 0.34 in at the furthest bolt, with the force
+     * R = Rult·(1 - e^(-10Δ))^0.55 perpendicular to its radius. The center is
+     * found by Newton iteration on the force equilibrium, starting from the
+     * elastic center. C is the load the group carries in units of Rult.
+     * @private
+     * @param {Array<{x: number, y: number}>} bolts Bolt positions
+     * @param {{x: number, y: number}} centroid Group centroid
+     * @param {number} polar Σr² (mm²)
+     * @param {number} Fx Horizontal force (N)
+     * @param {number} Fy Vertical force (N)
+     * @param {number} M Moment about the centroid (N·mm)
+     * @param {Array<string>} warnings Collects warnings
+     * @returns {Object} Bolt forces, group coefficient C and center of rotation
+     */
+    static _getInstantaneousCenterForces(bolts, centroid, polar, Fx, Fy, M, warnings) {
+        const n = bolts.length;
+        const P = Math.hypot(Fx, Fy);
+        const size = Math.max(...bolts.map(p => Math.hypot(p.x - centroid.x, p.y - centroid.y)), 1);
+
+        // Concentric loads share equally
+        if (Math.abs(M) <= IC_TOLERANCE * P * size || n === 1) {
+            const forces = bolts.map(p => ({ x: p.x, y: p.y, Fx: Fx / n, Fy: Fy / n, resultant: P / n }));
+            return { forces, coefficient: n, center: null };
+        }
+
+        const curve = (distance, furthest) => Math.pow(1 - Math.exp(-10 * IC_MAX_DEFORMATION * distance / furthest), 0.55);
+        const unit = P > 0 ? { x: Fx / P, y: Fy / P } : null;
+        // A point on the line of action: (a - c) × P = M
+        const load = P > 0 ? { x: centroid.x + M / P * unit.y, y: centroid.y - M / P * unit.x } : null;
+
+        const evaluate = (center) => {
+            const radii = bolts.map(p => ({ x: p.x - center.x, y: p.y - center.y }));
+            const distances = radii.map(r => Math.hypot(r.x, r.y));
+            const furthest = Math.max(...distances);
+            const R = distances.map(r => curve(r, furthest));
+            const moment = R.reduce((sum, value, i) => sum + value * distances[i], 0);
+            const arm = load ? (load.x - center.x) * unit.y - (load.y - center.y) * unit.x : 0;
+            const sense = load ? (arm >= 0 ? 1 : -1) : Math.sign(M);
+            const lambda = load ? moment / Math.abs(arm) : Math.abs(M) / moment;
+            // Bolt forces on the plate oppose its rotation about the center
+            const forces = radii.map((r, i) => distances[i] === 0
+                ? { x: 0, y: 0 }
+                : { x: sense * R[i] * r.y / distances[i], y: -sense * R[i] * r.x / distances[i] });
+            const residual = {
+                x: forces.reduce((sum, f) => sum + f.x, 0) + (load ? lambda * unit.x : 0),
+                y: forces.reduce((sum, f) => sum + f.y, 0) + (load ? lambda * unit.y : 0)
+            };
+            return { lambda, forces, residual, R };
+        };
+
+        // Pure moment: the group turns about its centroid
+        let center = { ...centroid };
+        if (load) {
+            center = { x: centroid.x - polar / (n * M) * Fy, y: centroid.y + polar / (n * M) * Fx };
+            let state = evaluate(center);
+            let converged = false;
+            for (let k = 0; k < IC_ITERATIONS && !converged; k++) {
+                const h = 1e-6 * size;
+                const dx = evaluate({ x: center.x + h, y: center.y });
+                const dy = evaluate({ x: center.x, y: center.y + h });
+                const a = (dx.residual.x - state.residual.x) / h;
+                const b = (dy.residual.x - state.residual.x) / h;
+                const c = (dx.residual.y - state.residual.y) / h;
+                const d = (dy.residual.y - state.residual.y) / h;
+                const det = a * d - b * c;
+                if (det === 0) {
+                    break;
+                }
+                let step = {
+                    x: -(d * state.residual.x - b * state.residual.y) / det,
+                    y: -(a * state.residual.y - c * state.residual.x) / det
+                };
+                // Halve the step until the residual drops
+                const norm = (s) => Math.hypot(s.residual.x, s.residual.y);
+                for (let half = 0; half < 30; half++) {
+                    const trial = evaluate({ x: center.x + step.x, y: center.y + step.y });
+                    if (norm(trial) < norm(state)) {
+                        center = { x: center.x + step.x, y: center.y + step.y };
+                        state = trial;
+                        break;
+                    }
+                    step = { x: step.x / 2, y: step.y / 2 };
+                }
+                converged = norm(state) <= IC_TOLERANCE * n;
+            }
+            if (!converged) {
+                warnings.push('Instantaneous center did not converge, elastic bolt forces used');
+                return this._getElasticForces(bolts, centroid, polar, Fx, Fy, M);
+            }
+        }
+
+        const { lambda, forces } = evaluate(center);
+        // Scale the unit bolt curve to the actions: P/C with a force, M/Σ(R·r) for a pure moment
+        const scale = P > 0 ? P / lambda : lambda;
+        return {
+            forces: bolts.map((p, i) => ({
+                x: p.x,
+                y: p.y,
+                Fx: -forces[i].x * scale,
+                Fy: -forces[i].y * scale,
+                resultant: Math.hypot(forces[i].x, forces[i].y) * scale
+            })),
+            coefficient: P > 0 ? lambda : null,
+            center
+        };
+    }
+
+    /**
+     * Design strength of fillet welds
+     * @private
+     * @param {string} code Design code
+     * @param {Object} parent Weakest connected ply
+     * @param {Object} options Options (electrodeStrength)
+     * @returns {Object} EN fu, βw and limits, or AISC FEXX and base strength (MPa)
+     */
+    static _getWeldStrength(code, parent, options) {
+        if (code === DesignCode.EN_1993) {
+            const { gammaM2 } = ResistanceFactors[DesignCode.EN_1993];
+            const { betaW } = WeldCorrelationFactors.find(entry => parent.fy <= entry.maxYield);
+            return {
+                fu: parent.fu,
+                betaW,
+                equivalent: parent.fu / (betaW * gammaM2),
+                normal: 0.9 * parent.fu / gammaM2
+            };
+        }
+        const FEXX = options.electrodeStrength ?? ELECTRODE_STRENGTH;
+        return {
+            FEXX,
+            base: ResistanceFactors[DesignCode.AISC_360].weld * 0.6 * FEXX
+        };
+    }
+
+    /**
+     * Utilization of a fillet weld from the stresses on its throat
+     * @private
+     * @param {string} code Design code
+     * @param {Object} strength Weld strength
+     * @param {number} parallel Stress along the weld (MPa)
+     * @param {number} transverse Stress across the weld in the plane of the connection (MPa)
+     * @returns {number} Utilization
+     */
+    static _getWeldUtilization(code, strength, parallel, transverse) {
+        if (code === DesignCode.EN_1993) {
+            // A transverse stress on a 45° fillet throat splits into σ⊥ = τ⊥ = f/√2
+            const normal = Math.abs(transverse) / Math.SQRT2;
+            const equivalent = Math.sqrt(normal * normal + 3 * (normal * normal + parallel * parallel));
+            return Math.max(equivalent / strength.equivalent, normal / strength.normal);
+        }
+        const stress = Math.hypot(parallel, transverse);
+        if (stress === 0) {
+            return 0;
+        }
+        const sine = Math.abs(transverse) / stress;
+        return stress / (strength.base * (1 + 0.5 * Math.pow(sine, 1.5)));
+    }
+
+    /**
+     * Resolve the connected plies to thickness and strengths
+     * @private
+     * @param {Array<Object>} plies Plies
+     * @param {Object} options Options with componentStore and materialStore
+     * @returns {Array<{thickness: number, fu: number, fy: number}>} Plies
+     */
+    static _getPlies(plies, options) {
+        if (!Array.isArray(plies) || plies.length === 0) {
+            throw new Error('A connection needs at least one connected ply');
+        }
+        return plies.map((ply, i) => {
+            const component = typeof ply.component === 'string'
+                ? options.componentStore?.getComponent(ply.component) ?? null
+                : ply.component ?? null;
+            if (ply.component !== undefined && !component) {
+                throw new Error(`Ply ${i + 1} refers to unknown component: ${ply.component}`);
+            }
+            const materialRef = ply.material ?? component?.material;
+            const material = typeof materialRef === 'string'
+                ? options.materialStore?.getMaterial(materialRef) ?? null
+                : materialRef ?? null;
+            if (!material) {
+                throw new Error(`Ply ${i + 1} needs a material`);
+            }
+
+            const key = ply.element ? `${ply.element}_thickness` : 'thickness';
+            const dimensions = component ? ProfileCalculator.normalizeDimensions(component.dimensions) : {};
+            const thickness = ply.thickness ?? dimensions[key];
+            if (!(thickness > 0)) {
+                throw new Error(`Ply ${i + 1} thickness is not defined (${key})`);
+            }
+            const fu = material.properties?.tensileStrength;
+            if (!(fu > 0)) {
+                throw new Error(`Ply ${i + 1} material tensile strength is required`);
+            }
+            return { thickness, fu, fy: material.properties.yieldStrength ?? 0 };
+        });
+    }
+
+    /**
+     * Standard hole diameter for a bolt
+     * @private
+     * @param {string} code Design code
+     * @param {number} d Bolt diameter (mm)
+     * @returns {number} Hole diameter (mm)
+     */
+    static _getHoleDiameter(code, d) {
+        return d + HoleClearance[code].find(entry => d <= entry.maxDiameter).clearance;
+    }
+
+    /**
+     * Closest distance between two bolts of a group
+     * @private
+     * @param {Array<{x: number, y: number}>} bolts Bolt positions
+     * @returns {number} Distance (mm), Infinity for a single bolt
+     */
+    static _getClosestSpacing(bolts) {
+        let closest = Infinity;
+        bolts.forEach((a, i) => bolts.slice(i + 1).forEach(b => {
+            closest = Math.min(closest, Math.hypot(a.x - b.x, a.y - b.y));
+        }));
+        return closest;
+    }
+}
+
+export default Connection;
\ No newline at end of file
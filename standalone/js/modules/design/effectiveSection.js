@@ -0,0 +1,386 @@
+/**
+ * Effective Section Module
+ * Effective widths of slender plate elements (EN 1993-1-5, 4.4) and the
+ * resulting effective area, section modulus and neutral axis shift of
+ * Class 4 cross-sections
+ */
+
+import ProfileCalculator from '../calculations/profileCalculator.js';
+import { ProfileType } from '../profiles/profileTypes.js';
+import { LoadCase, POISSON_RATIO } from '../../core/config/design.js';
+
+// Profile types that _getPlateElements can split into plates
+const PlateTypes = [
+    ProfileType.SQUARE_TUBE,
+    ProfileType.RECTANGULAR_TUBE,
+    ProfileType.CHANNEL,
+    ProfileType.I_BEAM,
+    ProfileType.ANGLE,
+    ProfileType.T_SECTION,
+    ProfileType.Z_SECTION,
+    ProfileType.FLAT_BAR,
+    ProfileType.ROUND_BAR,
+    ProfileType.SQUARE_BAR
+];
+
+class EffectiveSection {
+    /**
+     * Check whether effective widths can be calculated for a profile type
+     * @param {string} type Profile type
+     * @returns {boolean} True if the type has plate elements
+     */
+    static isSupported(type) {
+        return PlateTypes.includes(type);
+    }
+
+    /**
+     * Calculate effective section properties
+     * Positive bending about x compresses the top of the section and positive
+     * bending about y compresses the right-hand side. As in EN 1993-1-5 4.4(3),
+     * the flanges in uniform compression are reduced first and the stress
+     * ratio of the webs is then taken from that section. The plate slenderness
+     * uses the material's elastic modulus, so aluminium and stainless sections
+     * are reduced with their own stiffness.
+     * @param {string} type Profile type
+     * @param {Object} dimensions Profile dimensions (mm)
+     * @param {Object} material Material with properties.yieldStrength and properties.elasticModulus (MPa)
+     * @param {Object} options Options
+     * @param {string} options.loadCase Load case (LoadCase.COMPRESSION, BENDING_X or BENDING_Y)
+     * @returns {Object} Gross and effective area, effective centroid and its shift,
+     *          effective second moments, effective section modulus (bending only) and per-element results
+     */
+    static calculate(type, dimensions, material, options = {}) {
+        const loadCase = options.loadCase ?? LoadCase.COMPRESSION;
+        if (!Object.values(LoadCase).includes(loadCase)) {
+            throw new Error(`Unsupported load case: ${loadCase}`);
+        }
+        const fy = material?.properties?.yieldStrength;
+        const E = material?.properties?.elasticModulus;
+        if (!(fy > 0) || !(E > 0)) {
+            throw new Error('Material yield strength and elastic modulus are required for effective widths');
+        }
+
+        const d = ProfileCalculator.normalizeDimensions(dimensions);
+        const plates = this._getPlateElements(type, d);
+        const bounds = ProfileCalculator.calculateBoundingBox(type, d);
+        const centroid = ProfileCalculator.calculateCentroid(type, d);
+        const gross = {
+            area: ProfileCalculator.calculateArea(type, d),
+            x: centroid.x,
+            y: centroid.y,
+            Ix: ProfileCalculator.calculateMomentOfInertiaX(type, d),
+            Iy: ProfileCalculator.calculateMomentOfInertiaY(type, d)
+        };
+
+        // Compression positive; bending stresses are proportional to the distance from the axis
+        const stressAt = (props, x, y) => {
+            if (loadCase === LoadCase.BENDING_X) return y - props.y;
+            if (loadCase === LoadCase.BENDING_Y) return x - props.x;
+            return 1;
+        };
+        const gradient = { [LoadCase.BENDING_X]: 'y', [LoadCase.BENDING_Y]: 'x' }[loadCase] ?? null;
+
+        const elements = [];
+        const zones = [];
+        const reduce = (props, plate) => {
+            const across = (plate.at[0] + plate.at[1]) / 2;
+            const stress = [plate.from, plate.to].map(along => plate.axis === 'x'
+                ? stressAt(props, along, across)
+                : stressAt(props, across, along));
+            const result = this.calculateEffectiveWidth(plate, stress, fy, E);
+            elements.push({ name: plate.name, kind: plate.kind, ...result.element });
+            if (result.zone) {
+                zones.push(this._toRectangle(plate, result.zone));
+            }
+        };
+
+        // Uniformly compressed elements first, then the webs from the reduced section
+        plates.filter(plate => plate.axis !== gradient).forEach(plate => reduce(gross, plate));
+        const afterFlanges = this._removeZones(gross, zones);
+        plates.filter(plate => plate.axis === gradient).forEach(plate => reduce(afterFlanges, plate));
+        const effective = this._removeZones(gross, zones);
+
+        let effectiveModulus = null;
+        if (loadCase === LoadCase.BENDING_X) {
+            effectiveModulus = effective.Ix / Math.max(bounds.height - effective.y, effective.y);
+        } else if (loadCase === LoadCase.BENDING_Y) {
+            effectiveModulus = effective.Iy / Math.max(bounds.width - effective.x, effective.x);
+        }
+
+        return {
+            loadCase,
+            area: gross.area,
+            effectiveArea: effective.area,
+            centroid: { x: effective.x, y: effective.y },
+            shift: { x: effective.x - gross.x, y: effective.y - gross.y },
+            Ix: effective.Ix,
+            Iy: effective.Iy,
+            effectiveModulus,
+            isReduced: zones.length > 0,
+            elements
+        };
+    }
+
+    /**
+     * Calculate the effective width of one plate element
+     * @param {Object} plate Plate with kind ('internal' or 'outstand'), t, from and to
+     *        (the supported edge and the free tip for outstands)
+     * @param {Array<number>} stress Stress at `from` and `to`, compression positive
+     * @param {number} fy Yield strength in MPa
+     * @param {number} E Elastic modulus in MPa
+     * @returns {{element: Object, zone: {from: number, to: number}|null}} Element results and the ineffective part
+     */
+    static calculateEffectiveWidth(plate, stress, fy, E) {
+        const width = Math.abs(plate.to - plate.from);
+        const direction = Math.sign(plate.to - plate.from);
+        const element = { width, psi: null, ksigma: null, lambda: null, rho: 1, effectiveWidth: width };
+
+        const [sFrom, sTo] = stress;
+        const maximum = Math.max(sFrom, sTo);
+        if (!(maximum > 0) || width === 0) {
+            return { element, zone: null };
+        }
+
+        // The more compressed edge and the stress ratio psi = σ2/σ1
+        const fromIsMax = sFrom >= sTo;
+        const psi = (fromIsMax ? sTo : sFrom) / maximum;
+        const compressed = psi >= 0 ? width : width / (1 - psi);
+
+        let ksigma;
+        if (plate.kind === 'internal') {
+            ksigma = this.getBucklingFactor('internal', psi);
+        } else {
+            ksigma = this.getBucklingFactor(fromIsMax ? 'outstand_support' : 'outstand_tip', psi);
+        }
+
+        const sigmaCr = ksigma * Math.PI * Math.PI * E / (12 * (1 - POISSON_RATIO * POISSON_RATIO)) *
+            Math.pow(plate.t / width, 2);
+        const lambda = Math.sqrt(fy / sigmaCr);
+        const rho = this.getReductionFactor(plate.kind, lambda, psi);
+        const effective = rho * compressed;
+
+        let zone = null;
+        if (rho < 1) {
+            if (plate.kind === 'internal') {
+                // Effective parts next to both edges of the compressed zone
+                const start = fromIsMax ? plate.from : plate.to;
+                const sign = fromIsMax ? direction : -direction;
+                let be1;
+                if (psi >= 0) {
+                    be1 = psi === 1 ? effective / 2 : 2 * effective / (5 - psi);
+                } else {
+                    be1 = 0.4 * effective;
+                }
+                const be2 = effective - be1;
+                zone = { from: start + sign * be1, to: start + sign * (compressed - be2) };
+            } else if (fromIsMax) {
+                // Most compressed at the support: the part towards the tip is lost
+                zone = { from: plate.from + direction * effective, to: plate.from + direction * compressed };
+            } else {
+                // Most compressed at the tip
+                zone = { from: plate.to - direction * (compressed - effective), to: plate.to };
+            }
+        }
+
+        return {
+            element: { ...element, psi, ksigma, lambda, rho, effectiveWidth: width - (compressed - effective) },
+            zone
+        };
+    }
+
+    /**
+     * Get the plate buckling factor kσ (EN 1993-1-5 Tables 4.1 and 4.2)
+     * @param {string} kind 'internal', 'outstand_tip' (most compressed at the free edge)
+     *        or 'outstand_support' (most compressed at the supported edge)
+     * @param {number} psi Stress ratio σ2/σ1
+     * @returns {number} Buckling factor
+     */
+    static getBucklingFactor(kind, psi) {
+        switch (kind) {
+            case 'internal':
+                if (psi > 0) return 8.2 / (1.05 + psi);
+                if (psi > -1) return 7.81 - 6.29 * psi + 9.78 * psi * psi;
+                return 5.98 * Math.pow(1 - psi, 2);
+
+            case 'outstand_tip':
+                return 0.57 - 0.21 * psi + 0.07 * psi * psi;
+
+            case 'outstand_support':
+                if (psi > 0) return 0.578 / (psi + 0.34);
+                return 1.70 - 5 * psi + 17.1 * psi * psi;
+
+            default:
+                throw new Error(`Unsupported element kind: ${kind}`);
+        }
+    }
+
+    /**
+     * Get the reduction factor ρ (EN 1993-1-5, 4.4(2))
+     * @param {string} kind Element kind ('internal' or 'outstand')
+     * @param {number} lambda Plate slenderness
+     * @param {number} psi Stress ratio σ2/σ1
+     * @returns {number} Reduction factor, at most 1
+     */
+    static getReductionFactor(kind, lambda, psi) {
+        if (kind === 'internal') {
+            if (lambda <= 0.5 + Math.sqrt(0.085 - 0.055 * psi)) return 1;
+            return Math.min((lambda - 0.055 * (3 + psi)) / (lambda * lambda), 1);
+        }
+        if (lambda <= 0.748) return 1;
+        return Math.min((lambda - 0.188) / (lambda * lambda), 1);
+    }
+
+    /**
+     * Flat plate elements of a profile
+     * Widths are the flat parts between fillets and corners; tubes without a
+     * known corner radius use b - 3t. Angle, tee and Z legs are outstands
+     * (EN 1993-1-5 Table 4.2). Solid bars have no plate elements.
+     * @private
+     * @param {string} type Profile type
+     * @param {Object} d Profile dimensions (mm)
+     * @returns {Array<Object>} Plates with name, kind, axis (direction of the width),
+     *          t, from, to and the extent `at` across the thickness
+     */
+    static _getPlateElements(type, d) {
+        const plate = (name, kind, axis, t, from, to, at) => ({ name, kind, axis, t, from, to, at });
+
+        switch (type) {
+            case ProfileType.SQUARE_TUBE:
+            case ProfileType.RECTANGULAR_TUBE: {
+                const b = d.width;
+                const h = d.height ?? d.width;
+                const t = d.thickness;
+                const ri = d.inner_radius ?? (d.outer_radius > 0 ? Math.max(d.outer_radius - t, 0) : null);
+                const inset = ri === null ? 1.5 * t : t + ri;
+                return [
+                    plate('top flange', 'internal', 'x', t, inset, b - inset, [h - t, h]),
+                    plate('bottom flange', 'internal', 'x', t, inset, b - inset, [0, t]),
+                    plate('left web', 'internal', 'y', t, inset, h - inset, [0, t]),
+                    plate('right web', 'internal', 'y', t, inset, h - inset, [b - t, b])
+                ];
+            }
+
+            case ProfileType.CHANNEL: {
+                const h = d.height;
+                const t = d.thickness;
+                const r = d.root_radius || 0;
+                return [
+                    plate('top flange', 'outstand', 'x', t, t + r, d.flange_width, [h - t, h]),
+                    plate('bottom flange', 'outstand', 'x', t, t + r, d.flange_width, [0, t]),
+                    plate('web', 'internal', 'y', t, t + r, h - t - r, [0, t])
+                ];
+            }
+
+            case ProfileType.I_BEAM: {
+                const h = d.height;
+                const b = d.width;
+                const tw = d.web_thickness;
+                const tf = d.flange_thickness;
+                const r = d.root_radius ?? (d.k_dimension > tf ? d.k_dimension - tf : 0);
+                const left = (b - tw) / 2 - r;
+                const right = (b + tw) / 2 + r;
+                return [
+                    plate('top flange left', 'outstand', 'x', tf, left, 0, [h - tf, h]),
+                    plate('top flange right', 'outstand', 'x', tf, right, b, [h - tf, h]),
+                    plate('bottom flange left', 'outstand', 'x', tf, left, 0, [0, tf]),
+                    plate('bottom flange right', 'outstand', 'x', tf, right, b, [0, tf]),
+                    plate('web', 'internal', 'y', tw, tf + r, h - tf - r, [(b - tw) / 2, (b + tw) / 2])
+                ];
+            }
+
+            case ProfileType.ANGLE: {
+                // Legs are measured from the heel, as in the h/t limits of EN 1993-1-1 Table 5.2
+                const t = d.thickness;
+                return [
+                    plate('vertical leg', 'outstand', 'y', t, 0, d.height, [0, t]),
+                    plate('horizontal leg', 'outstand', 'x', t, 0, d.width, [0, t])
+                ];
+            }
+
+            case ProfileType.T_SECTION: {
+                const h = d.height;
+                const b = d.width;
+                const tw = d.web_thickness;
+                const tf = d.flange_thickness;
+                const r = d.root_radius || 0;
+                return [
+                    plate('flange left', 'outstand', 'x', tf, (b - tw) / 2 - r, 0, [h - tf, h]),
+                    plate('flange right', 'outstand', 'x', tf, (b + tw) / 2 + r, b, [h - tf, h]),
+                    plate('stem', 'outstand', 'y', tw, h - tf - r, 0, [(b - tw) / 2, (b + tw) / 2])
+                ];
+            }
+
+            case ProfileType.Z_SECTION: {
+                const h = d.height;
+                const b = d.flange_width;
+                const t = d.thickness;
+                const r = d.root_radius || 0;
+                return [
+                    plate('bottom flange', 'outstand', 'x', t, b - t - r, 0, [0, t]),
+                    plate('top flange', 'outstand', 'x', t, b + r, 2 * b - t, [h - t, h]),
+                    plate('web', 'internal', 'y', t, t + r, h - t - r, [b - t, b])
+                ];
+            }
+
+            case ProfileType.FLAT_BAR:
+            case ProfileType.ROUND_BAR:
+            case ProfileType.SQUARE_BAR:
+                // Solid sections are fully effective
+                return [];
+
+            default:
+                throw new Error(`Effective widths are not supported for profile type: ${type}`);
+        }
+    }
+
+    /**
+     * Rectangle of an ineffective zone in section coordinates
+     * @private
+     * @param {Object} plate Plate element
+     * @param {{from: number, to: number}} zone Ineffective part along the plate
+     * @returns {{x0: number, x1: number, y0: number, y1: number}} Rectangle
+     */
+    static _toRectangle(plate, zone) {
+        const along = [Math.min(zone.from, zone.to), Math.max(zone.from, zone.to)];
+        return plate.axis === 'x'
+            ? { x0: along[0], x1: along[1], y0: plate.at[0], y1: plate.at[1] }
+            : { x0: plate.at[0], x1: plate.at[1], y0: along[0], y1: along[1] };
+    }
+
+    /**
+     * Remove rectangles from gross properties (parallel axis theorem)
+     * @private
+     * @param {{area: number, x: number, y: number, Ix: number, Iy: number}} props Properties
+     * @param {Array<{x0: number, x1: number, y0: number, y1: number}>} zones Rectangles to remove
+     * @returns {{area: number, x: number, y: number, Ix: number, Iy: number}} Reduced properties
+     */
+    static _removeZones(props, zones) {
+        const holes = zones.map(zone => {
+            const b = zone.x1 - zone.x0;
+            const h = zone.y1 - zone.y0;
+            return {
+                area: b * h,
+                x: (zone.x0 + zone.x1) / 2,
+                y: (zone.y0 + zone.y1) / 2,
+                Ix: b * Math.pow(h, 3) / 12,
+                Iy: h * Math.pow(b, 3) / 12
+            };
+        });
+
+        const area = props.area - holes.reduce((sum, hole) => sum + hole.area, 0);
+        const x = (props.area * props.x - holes.reduce((sum, hole) => sum + hole.area * hole.x, 0)) / area;
+        const y = (props.area * props.y - holes.reduce((sum, hole) => sum + hole.area * hole.y, 0)) / area;
+
+        return {
+            area,
+            x,
+            y,
+            Ix: props.Ix + props.area * Math.pow(props.y - y, 2) -
+                holes.reduce((sum, hole) => sum + hole.Ix + hole.area * Math.pow(hole.y - y, 2), 0),
+            Iy: props.Iy + props.area * Math.pow(props.x - x, 2) -
+                holes.reduce((sum, hole) => sum + hole.Iy + hole.area * Math.pow(hole.x - x, 2), 0)
+        };
+    }
+}
+
+export default EffectiveSection;
\ No newline at end of file
@@ -0,0 +1,275 @@
+/**
+ * Interaction Check Module
+ * Members under axial force combined with bending about both axes, checked
+ * with the EN 1993-1-1 6.3.3 (Annex B interaction factors) or AISC 360 H1
+ * interaction equations. Forces are in N, moments in N·mm.
+ */
+
+import { ProfileType } from '../profiles/profileTypes.js';
+import MemberResistance from './memberResistance.js';
+import LateralTorsionalBuckling from './lateralTorsionalBuckling.js';
+import {
+    DesignCode,
+    SectionClass,
+    ResistanceFactors,
+    InteractionEquation
+} from '../../core/config/design.js';
+
+// Hollow sections use the Annex B minor-axis factor for RHS
+const HollowTypes = [ProfileType.ROUND_TUBE, ProfileType.SQUARE_TUBE, ProfileType.RECTANGULAR_TUBE];
+
+class InteractionCheck {
+    /**
+     * Check a member for combined axial force and biaxial bending
+     * The design actions are taken as constant along the member and, for
+     * AISC, to include second-order effects. Moment signs are ignored.
+     * @param {Object} component Component with profile and dimensions (length is the member length)
+     * @param {Object} material Material with properties.yieldStrength, tensileStrength and elasticModulus (MPa)
+     * @param {Object} actions Design actions
+     * @param {number} actions.N Axial force (N), negative in compression
+     * @param {number} actions.Mx Moment about the major (x) axis (N·mm)
+     * @param {number} actions.My Moment about the minor (y) axis (N·mm)
+     * @param {Object} options Options passed to MemberResistance (code, lengths, netArea, shearLag, coldFormed)
+     * @param {Object} options.ltb Options passed to LateralTorsionalBuckling (length, moment, loadPosition, ...)
+     * @param {boolean} options.ltb.restrained Member is laterally restrained, so lateral-torsional buckling is skipped
+     * @param {number} options.Cmx Equivalent uniform moment factor for x (EN 1993 Table B.3, default 1.0)
+     * @param {number} options.Cmy Equivalent uniform moment factor for y (EN 1993 Table B.3, default 1.0)
+     * @param {number} options.CmLT Equivalent uniform moment factor for lateral-torsional buckling (default 1.0)
+     * @returns {Object} Utilization, governing equation, per-equation terms, resistances, isComplete
+     *          (false when lateral-torsional buckling could not be checked), isValid and warnings
+     */
+    static calculate(component, material, actions, options = {}) {
+        const code = options.code ?? DesignCode.EN_1993;
+        if (!ResistanceFactors[code]) {
+            throw new Error(`Unsupported design code: ${code}`);
+        }
+        const N = actions.N ?? 0;
+        const Mx = Math.abs(actions.Mx ?? 0);
+        const My = Math.abs(actions.My ?? 0);
+
+        const bending = MemberResistance.calculateBending(component, material, { ...options, code });
+        const warnings = [...bending.warnings];
+        const ltb = this._getLateralTorsional(component, material, Mx, bending, { ...options.ltb, code }, warnings);
+
+        let axial = null;
+        if (N > 0) {
+            axial = MemberResistance.calculateTension(component, material, { ...options, code });
+        } else if (N < 0) {
+            axial = MemberResistance.calculateCompression(component, material, { ...options, code });
+            warnings.push(...axial.warnings);
+        }
+
+        const context = { component, material, N: Math.abs(N), Mx, My, bending, ltb, axial, options, warnings };
+        const result = code === DesignCode.EN_1993
+            ? this._checkEurocode(context)
+            : this._checkAisc(context);
+
+        const governing = result.equations.reduce((max, equation) =>
+            equation.utilization > max.utilization ? equation : max);
+        return {
+            code,
+            actions: { N, Mx: actions.Mx ?? 0, My: actions.My ?? 0 },
+            ...result,
+            governing: governing.equation,
+            utilization: governing.utilization,
+            isComplete: ltb?.checked !== false,
+            isValid: governing.utilization <= 1 && ltb?.checked !== false,
+            warnings: [...new Set(warnings)]
+        };
+    }
+
+    /**
+     * Annex B (method 2) interaction factors
+     * Factors are named after the repo axes: kxx and kxy enter equation 6.61
+     * (EN kyy, kyz), kyx and kyy equation 6.62 (EN kzy, kzz).
+     * @param {Object} params Parameters
+     * @param {boolean} params.plastic Class 1 or 2 cross-section
+     * @param {boolean} params.hollow Rectangular or circular hollow section
+     * @param {boolean} params.torsional Member susceptible to torsional deformations
+     * @param {number} params.nx NEd/Nb,Rd about x
+     * @param {number} params.ny NEd/Nb,Rd about y
+     * @param {number} params.lambdaX Non-dimensional slenderness about x
+     * @param {number} params.lambdaY Non-dimensional slenderness about y
+     * @param {number} params.Cmx Equivalent uniform moment factor for x
+     * @param {number} params.Cmy Equivalent uniform moment factor for y
+     * @param {number} params.CmLT Equivalent uniform moment factor for lateral-torsional buckling
+     * @returns {{kxx: number, kxy: number, kyx: number, kyy: number}} Interaction factors
+     */
+    static getInteractionFactors(params) {
+        const { plastic, hollow, torsional, nx, ny, lambdaX, lambdaY, Cmx = 1, Cmy = 1, CmLT = 1 } = params;
+
+        if (!plastic) {
+            const kxx = Cmx * (1 + 0.6 * Math.min(lambdaX, 1) * nx);
+            const kyy = Cmy * (1 + 0.6 * Math.min(lambdaY, 1) * ny);
+            const kyx = torsional
+                ? 1 - 0.05 * Math.min(lambdaY, 1) * ny / (CmLT - 0.25)
+                : 0.8 * kxx;
+            return { kxx, kxy: kyy, kyx, kyy };
+        }
+
+        const kxx = Cmx * (1 + (Math.min(lambdaX, 1) - 0.2) * nx);
+        const kyy = hollow
+            ? Cmy * (1 + (Math.min(lambdaY, 1) - 0.2) * ny)
+            : Cmy * (1 + (2 * Math.min(lambdaY, 1) - 0.6) * ny);
+        let kyx = 0.6 * kxx;
+        if (torsional) {
+            kyx = 1 - 0.1 * Math.min(lambdaY, 1) * ny / (CmLT - 0.25);
+            if (lambdaY < 0.4) {
+                kyx = Math.min(0.6 + lambdaY, kyx);
+            }
+        }
+        return { kxx, kxy: 0.6 * kyy, kyx, kyy };
+    }
+
+    /**
+     * EN 1993-1-1 cross-section (6.2.1(7)) and member (6.61/6.62) checks
+     * Class 4 sections add the moments from the shift of the effective centroid.
+     * Members in tension get the cross-section check and, when susceptible to
+     * lateral-torsional buckling, Mx/Mb,Rd + My/My,b ≤ 1 with the tension
+     * ignored. This extends (6.54) to biaxial bending; it is a simplification
+     * of this module, EN 1993-1-1 gives no such equation.
+     * @private
+     * @param {Object} context Actions, resistances and options
+     * @returns {Object} Equations, resistances and interaction factors
+     */
+    static _checkEurocode(context) {
+        const { component, material, N, Mx, My, bending, ltb, axial, options } = context;
+        const { gammaM1 } = ResistanceFactors[DesignCode.EN_1993];
+        const fy = material.properties.yieldStrength;
+        const Mxb = ltb?.susceptible ? ltb.resistance : bending.x.W * fy / gammaM1;
+        const Myb = bending.y.W * fy / gammaM1;
+
+        // Tension: linear cross-section check, with (6.54) extended to biaxial bending ignoring the tension
+        if (!axial?.buckling) {
+            const NRd = axial?.resistance ?? Infinity;
+            const equations = [this._equation(InteractionEquation.CROSS_SECTION,
+                N / NRd, Mx / bending.x.resistance, My / bending.y.resistance)];
+            if (ltb?.susceptible) {
+                equations.push(this._equation(InteractionEquation.MEMBER_LTB, 0, Mx / Mxb, My / Myb));
+            }
+            return {
+                resistances: { N: axial?.resistance ?? null, Mx: bending.x.resistance, My: bending.y.resistance, Mxb, Myb },
+                equations
+            };
+        }
+
+        const shift = axial.shift ?? { x: 0, y: 0 };
+        const dMx = N * Math.abs(shift.y);
+        const dMy = N * Math.abs(shift.x);
+
+        const bucklingX = axial.buckling.find(result => result.axis === 'x');
+        // Principal-axis buckling of angles is taken with the minor axis
+        const bucklingY = axial.buckling.filter(result => result.axis !== 'x')
+            .reduce((min, result) => result.resistance < min.resistance ? result : min);
+        const nx = N / bucklingX.resistance;
+        const ny = N / bucklingY.resistance;
+
+        const sectionClass = Math.max(axial.sectionClass, bending.x.sectionClass, bending.y.sectionClass);
+        const factors = this.getInteractionFactors({
+            plastic: sectionClass <= SectionClass.CLASS_2,
+            hollow: HollowTypes.includes(component.profile),
+            torsional: Boolean(ltb?.susceptible),
+            nx,
+            ny,
+            lambdaX: bucklingX.slenderness,
+            lambdaY: bucklingY.slenderness,
+            Cmx: options.Cmx,
+            Cmy: options.Cmy,
+            CmLT: options.CmLT
+        });
+
+        const majorX = (Mx + dMx) / Mxb;
+        const minorY = (My + dMy) / Myb;
+        return {
+            resistances: {
+                N: axial.crossSection,
+                Mx: bending.x.resistance,
+                My: bending.y.resistance,
+                Nbx: bucklingX.resistance,
+                Nby: bucklingY.resistance,
+                Mxb,
+                Myb
+            },
+            factors: {
+                ...factors,
+                Cmx: options.Cmx ?? 1,
+                Cmy: options.Cmy ?? 1,
+                CmLT: options.CmLT ?? 1
+            },
+            shiftMoments: { Mx: dMx, My: dMy },
+            equations: [
+                this._equation(InteractionEquation.CROSS_SECTION,
+                    N / axial.crossSection, (Mx + dMx) / bending.x.resistance, (My + dMy) / bending.y.resistance),
+                this._equation(InteractionEquation.MAJOR_AXIS, nx, factors.kxx * majorX, factors.kxy * minorY),
+                this._equation(InteractionEquation.MINOR_AXIS, ny, factors.kyx * majorX, factors.kyy * minorY)
+            ]
+        };
+    }
+
+    /**
+     * AISC 360 H1-1a/H1-1b for doubly and singly symmetric members
+     * Tension members use the tension resistance for Pc (H1.2).
+     * @private
+     * @param {Object} context Actions, resistances and options
+     * @returns {Object} Equations and resistances
+     */
+    static _checkAisc(context) {
+        const { N, Mx, My, bending, ltb, axial } = context;
+        const Pc = axial?.resistance ?? Infinity;
+        const Mcx = ltb?.resistance ?? bending.x.resistance;
+        const Mcy = bending.y.resistance;
+
+        const ratio = N / Pc;
+        const equation = ratio >= 0.2
+            ? this._equation(InteractionEquation.H1_1A, ratio, 8 / 9 * Mx / Mcx, 8 / 9 * My / Mcy)
+            : this._equation(InteractionEquation.H1_1B, ratio / 2, Mx / Mcx, My / Mcy);
+
+        return {
+            resistances: { N: axial?.resistance ?? null, Mx: Mcx, My: Mcy },
+            equations: [equation]
+        };
+    }
+
+    /**
+     * Lateral-torsional buckling resistance for the major-axis moment
+     * Sections that LateralTorsionalBuckling cannot handle are reported as not
+     * checked unless the member is marked as laterally restrained.
+     * @private
+     * @param {Object} component Component with profile and dimensions
+     * @param {Object} material Material with properties
+     * @param {number} Mx Major-axis moment (N·mm)
+     * @param {Object} bending Cross-section bending resistances
+     * @param {Object} options LateralTorsionalBuckling options
+     * @param {Array<string>} warnings Collects sections that are not covered
+     * @returns {Object|null} Lateral-torsional buckling result, {checked: false} when it cannot be
+     *          calculated, or null without a major-axis moment or for restrained members
+     */
+    static _getLateralTorsional(component, material, Mx, bending, options, warnings) {
+        if (Mx === 0 || options.restrained) {
+            return null;
+        }
+        try {
+            const result = LateralTorsionalBuckling.calculate(component, material, options);
+            warnings.push(...result.warnings.filter(warning => !bending.warnings.includes(warning)));
+            return result;
+        } catch (error) {
+            warnings.push(`${error.message}, lateral-torsional buckling not checked`);
+            return { checked: false };
+        }
+    }
+
+    /**
+     * Interaction equation terms
+     * @private
+     * @param {string} equation Equation reference
+     * @param {number} axial Axial term
+     * @param {number} major Major-axis bending term
+     * @param {number} minor Minor-axis bending term
+     * @returns {{equation: string, axial: number, major: number, minor: number, utilization: number}} Equation result
+     */
+    static _equation(equation, axial, major, minor) {
+        return { equation, axial, major, minor, utilization: axial + major + minor };
+    }
+}
+
+export default InteractionCheck;
\ No newline at end of file
@@ -0,0 +1,293 @@
+/**
+ * Lateral-Torsional Buckling Module
+ * Elastic critical moment and the reduced major-axis bending resistance of
+ * beams that are not restrained laterally between supports (EN 1993-1-1
+ * 6.3.2 and AISC 360 F2/F7). Moments are in N·mm, lengths in mm.
+ */
+
+import ProfileCalculator from '../calculations/profileCalculator.js';
+import { ProfileType } from '../profiles/profileTypes.js';
+import MemberResistance from './memberResistance.js';
+import {
+    DesignCode,
+    ResistanceFactors,
+    BucklingCurve,
+    LoadPosition,
+    MomentDistribution,
+    MomentFactors,
+    POISSON_RATIO
+} from '../../core/config/design.js';
+
+// Sections that cannot buckle laterally (equal stiffness about both axes)
+const StableTypes = [ProfileType.ROUND_TUBE, ProfileType.SQUARE_TUBE, ProfileType.ROUND_BAR, ProfileType.SQUARE_BAR];
+
+// Sections covered by the doubly symmetric critical moment formula
+const SupportedTypes = [ProfileType.I_BEAM, ProfileType.CHANNEL, ProfileType.RECTANGULAR_TUBE];
+
+class LateralTorsionalBuckling {
+    /**
+     * Calculate the lateral-torsional buckling resistance about the major (x) axis
+     * Sections with Iy ≥ Ix, round and square tubes and bars are not
+     * susceptible and keep their cross-section resistance.
+     * @param {Object} component Component with profile and dimensions (length is the member length)
+     * @param {Object} material Material with properties.yieldStrength and elasticModulus (MPa)
+     * @param {Object} options Options
+     * @param {string} options.code Design code (DesignCode.EN_1993 or DesignCode.AISC_360)
+     * @param {number} options.length Unrestrained length, defaulting to the member length
+     * @param {string} options.moment Moment distribution (MomentDistribution), sets C1, C2 and Cb
+     * @param {number} options.C1 Equivalent uniform moment factor (EN 1993)
+     * @param {number} options.C2 Load height factor (EN 1993)
+     * @param {number} options.Cb Lateral-torsional buckling modification factor (AISC)
+     * @param {number} options.k Effective length factor for lateral bending
+     * @param {number} options.kw Effective length factor for warping
+     * @param {string} options.loadPosition Load height (LoadPosition)
+     * @param {number} options.zg Load height above the shear centre, overrides loadPosition
+     * @param {boolean} options.welded Welded I-section (EN buckling curves c/d)
+     * @returns {Object} Resistance in N·mm, the cross-section resistance and the intermediate values
+     */
+    static calculate(component, material, options = {}) {
+        const code = options.code ?? DesignCode.EN_1993;
+        if (!ResistanceFactors[code]) {
+            throw new Error(`Unsupported design code: ${code}`);
+        }
+        const type = component.profile;
+        const dimensions = ProfileCalculator.normalizeDimensions(component.dimensions);
+        const fy = material?.properties?.yieldStrength;
+        const E = material?.properties?.elasticModulus;
+        if (!(fy > 0) || !(E > 0)) {
+            throw new Error('Material yield strength and elastic modulus are required');
+        }
+
+        const Ix = ProfileCalculator.calculateMomentOfInertiaX(type, dimensions);
+        const Iy = ProfileCalculator.calculateMomentOfInertiaY(type, dimensions);
+        const stable = StableTypes.includes(type) || Iy >= Ix;
+        if (!stable && !SupportedTypes.includes(type)) {
+            throw new Error(`Lateral-torsional buckling is not supported for profile type: ${type}`);
+        }
+
+        const bending = MemberResistance.calculateBending(component, material, { code });
+        const crossSection = bending.x.resistance;
+        const result = {
+            code,
+            susceptible: false,
+            crossSection,
+            resistance: crossSection,
+            warnings: [...bending.warnings]
+        };
+        if (stable) {
+            return result;
+        }
+
+        const length = options.length ?? dimensions.length;
+        if (!(length > 0)) {
+            throw new Error('Unrestrained length must be positive');
+        }
+        const factors = this.getMomentFactors(options);
+        const zg = this._getLoadHeight(type, dimensions, options);
+        result.susceptible = true;
+
+        if (code === DesignCode.EN_1993) {
+            const Mcr = this.calculateCriticalMoment(type, dimensions, E, {
+                length, C1: factors.C1, C2: factors.C2, k: options.k, kw: options.kw, zg
+            });
+            const W = bending.x.W;
+            const slenderness = Math.sqrt(W * fy / Mcr);
+            const curve = this.getBucklingCurve(type, dimensions, options);
+            const chi = MemberResistance.getReductionFactor(slenderness, curve);
+            return {
+                ...result,
+                length,
+                C1: factors.C1,
+                C2: factors.C2,
+                k: options.k ?? 1,
+                kw: options.kw ?? 1,
+                zg,
+                Mcr,
+                W,
+                slenderness,
+                curve,
+                chi,
+                resistance: Math.min(chi * W * fy / ResistanceFactors[code].gammaM1, crossSection)
+            };
+        }
+
+        if (zg !== 0) {
+            result.warnings.push('AISC F2 does not account for the load height, zg ignored');
+        }
+        const values = this._calculateAisc(type, dimensions, fy, E, length, factors.Cb);
+        const phi = ResistanceFactors[code].flexure;
+        return {
+            ...result,
+            length,
+            Cb: factors.Cb,
+            ...values,
+            resistance: Math.min(phi * values.Mn, crossSection)
+        };
+    }
+
+    /**
+     * Calculate the elastic critical moment Mcr
+     * Mcr = C1·π²·E·Iz/(k·L)² · [√((k/kw)²·Iw/Iz + (k·L)²·G·It/(π²·E·Iz) + (C2·zg)²) − C2·zg]
+     * for doubly symmetric sections, with Iz the minor-axis (y) second moment,
+     * It the torsion constant and Iw the warping constant.
+     * @param {string} type Profile type
+     * @param {Object} dimensions Profile dimensions (mm)
+     * @param {number} E Elastic modulus (MPa)
+     * @param {Object} options Options
+     * @param {number} options.length Unrestrained length (mm)
+     * @param {number} options.C1 Equivalent uniform moment factor
+     * @param {number} options.C2 Load height factor
+     * @param {number} options.k Effective length factor for lateral bending
+     * @param {number} options.kw Effective length factor for warping
+     * @param {number} options.zg Load height above the shear centre (mm), positive when destabilizing
+     * @returns {number} Critical moment in N·mm
+     */
+    static calculateCriticalMoment(type, dimensions, E, options) {
+        const { length, C1 = 1, C2 = 0, k = 1, kw = 1, zg = 0 } = options;
+        const Iz = ProfileCalculator.calculateMomentOfInertiaY(type, dimensions);
+        const It = ProfileCalculator.calculateTorsionConstant(type, dimensions);
+        const Iw = ProfileCalculator.calculateWarpingConstant(type, dimensions);
+        const G = E / (2 * (1 + POISSON_RATIO));
+        const kL = k * length;
+
+        const euler = Math.PI * Math.PI * E * Iz / (kL * kL);
+        const root = Math.sqrt(Math.pow(k / kw, 2) * Iw / Iz + kL * kL * G * It / (Math.PI * Math.PI * E * Iz) +
+            Math.pow(C2 * zg, 2));
+        return C1 * euler * (root - C2 * zg);
+    }
+
+    /**
+     * Select the EN 1993-1-1 lateral-torsional buckling curve (general case, Table 6.4)
+     * @param {string} type Profile type
+     * @param {Object} dimensions Profile dimensions (mm)
+     * @param {Object} options Options
+     * @param {boolean} options.welded Welded I-section
+     * @returns {string} Buckling curve
+     */
+    static getBucklingCurve(type, dimensions, options = {}) {
+        if (type !== ProfileType.I_BEAM) {
+            return BucklingCurve.D;
+        }
+        const deep = dimensions.height / dimensions.width > 2;
+        if (options.welded) {
+            return deep ? BucklingCurve.D : BucklingCurve.C;
+        }
+        return deep ? BucklingCurve.B : BucklingCurve.A;
+    }
+
+    /**
+     * Get the moment factors from a moment distribution and explicit overrides
+     * @param {Object} options Options with moment, C1, C2 and Cb
+     * @returns {{C1: number, C2: number, Cb: number}} Moment factors
+     */
+    static getMomentFactors(options = {}) {
+        const distribution = options.moment ?? MomentDistribution.UNIFORM;
+        const defaults = MomentFactors[distribution];
+        if (!defaults) {
+            throw new Error(`Unsupported moment distribution: ${distribution}`);
+        }
+        return {
+            C1: options.C1 ?? defaults.C1,
+            C2: options.C2 ?? defaults.C2,
+            Cb: options.Cb ?? defaults.Cb
+        };
+    }
+
+    /**
+     * AISC 360 limiting lengths and nominal moment
+     * I-shapes and channels follow F2 (Lp, Lr, rts, c), rectangular HSS F7.4.
+     * @private
+     * @param {string} type Profile type
+     * @param {Object} d Profile dimensions (mm)
+     * @param {number} fy Yield strength (MPa)
+     * @param {number} E Elastic modulus (MPa)
+     * @param {number} Lb Unbraced length (mm)
+     * @param {number} Cb Modification factor
+     * @returns {Object} Lp, Lr, elastic Mcr, governing zone and nominal moment Mn (N·mm)
+     */
+    static _calculateAisc(type, d, fy, E, Lb, Cb) {
+        const area = ProfileCalculator.calculateArea(type, d);
+        const Iy = ProfileCalculator.calculateMomentOfInertiaY(type, d);
+        const Sx = ProfileCalculator.calculateSectionModulusX(type, d);
+        const J = ProfileCalculator.calculateTorsionConstant(type, d);
+        const Mp = fy * ProfileCalculator.calculatePlasticModulusX(type, d);
+        const ry = Math.sqrt(Iy / area);
+        const My = 0.7 * fy * Sx;
+
+        let values;
+        let Mcr;
+        if (type === ProfileType.RECTANGULAR_TUBE) {
+            const root = Math.sqrt(J * area);
+            values = {
+                ry,
+                Lp: 0.13 * E * ry * root / Mp,
+                Lr: 2 * E * ry * root / My
+            };
+            Mcr = 2 * E * Cb * root / (Lb / ry);
+        } else {
+            const Cw = ProfileCalculator.calculateWarpingConstant(type, d);
+            const ho = type === ProfileType.I_BEAM ? d.height - d.flange_thickness : d.height - d.thickness;
+            const c = type === ProfileType.I_BEAM ? 1 : ho / 2 * Math.sqrt(Iy / Cw);
+            const rts = Math.sqrt(Math.sqrt(Iy * Cw) / Sx);
+            const torsion = J * c / (Sx * ho);
+            const Fcr = Cb * Math.PI * Math.PI * E / Math.pow(Lb / rts, 2) *
+                Math.sqrt(1 + 0.078 * torsion * Math.pow(Lb / rts, 2));
+            values = {
+                ry,
+                rts,
+                ho,
+                c,
+                Lp: 1.76 * ry * Math.sqrt(E / fy),
+                Lr: 1.95 * rts * E / (0.7 * fy) *
+                    Math.sqrt(torsion + Math.sqrt(torsion * torsion + 6.76 * Math.pow(0.7 * fy / E, 2))),
+                Fcr
+            };
+            Mcr = Fcr * Sx;
+        }
+
+        let zone;
+        let Mn;
+        if (Lb <= values.Lp) {
+            zone = 'plastic';
+            Mn = Mp;
+        } else if (Lb <= values.Lr) {
+            zone = 'inelastic';
+            Mn = Math.min(Cb * (Mp - (Mp - My) * (Lb - values.Lp) / (values.Lr - values.Lp)), Mp);
+        } else {
+            zone = 'elastic';
+            Mn = Math.min(Mcr, Mp);
+        }
+
+        return { ...values, Mp, Mcr, zone, Mn };
+    }
+
+    /**
+     * Load height above the shear centre
+     * @private
+     * @param {string} type Profile type
+     * @param {Object} dimensions Profile dimensions (mm)
+     * @param {Object} options Options with zg or loadPosition
+     * @returns {number} Load height (mm), positive above the shear centre
+     */
+    static _getLoadHeight(type, dimensions, options) {
+        if (options.zg !== undefined) {
+            return options.zg;
+        }
+        const position = options.loadPosition ?? LoadPosition.SHEAR_CENTER;
+        const center = ProfileCalculator.calculateShearCenter(type, dimensions);
+        const { height } = ProfileCalculator.calculateBoundingBox(type, dimensions);
+
+        switch (position) {
+            case LoadPosition.SHEAR_CENTER:
+                return 0;
+            case LoadPosition.TOP_FLANGE:
+                return height - center.y;
+            case LoadPosition.BOTTOM_FLANGE:
+                return -center.y;
+            default:
+                throw new Error(`Unsupported load position: ${position}`);
+        }
+    }
+}
+
+export default LateralTorsionalBuckling;
\ No newline at end of file
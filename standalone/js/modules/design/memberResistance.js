@@ -0,0 +1,460 @@
+/**
+ * Member Resistance Module
+ * Design resistances of members in tension, compression (with flexural
+ * buckling) and bending to EN 1993-1-1 or AISC 360 (LRFD). Forces are in N,
+ * moments in N·mm, lengths in mm and stresses in MPa.
+ */
+
+import ProfileCalculator from '../calculations/profileCalculator.js';
+import NetSection from '../calculations/netSection.js';
+import { ProfileType } from '../profiles/profileTypes.js';
+import SectionClassifier from './sectionClassifier.js';
+import EffectiveSection from './effectiveSection.js';
+import {
+    DesignCode,
+    LoadCase,
+    SectionClass,
+    AiscSectionClass,
+    ClassModulus,
+    ResistanceFactors,
+    BucklingCurve,
+    ImperfectionFactors,
+    AiscEffectiveWidthFactors
+} from '../../core/config/design.js';
+
+// Open sections whose shear centre is off the centroid
+const TorsionalBucklingTypes = [ProfileType.ANGLE, ProfileType.CHANNEL, ProfileType.T_SECTION, ProfileType.Z_SECTION];
+
+// Hollow sections use the HSS rules of AISC 360 Chapter F
+const HollowTypes = [ProfileType.ROUND_TUBE, ProfileType.SQUARE_TUBE, ProfileType.RECTANGULAR_TUBE];
+
+class MemberResistance {
+    /**
+     * Calculate all design resistances of a member
+     * @param {Object} component Component with profile and dimensions (length is the member length)
+     * @param {Object} material Material with properties.yieldStrength, tensileStrength and elasticModulus (MPa)
+     * @param {Object} options Options
+     * @param {string} options.code Design code (DesignCode.EN_1993 or DesignCode.AISC_360)
+     * @param {{x: number, y: number, v: number}} options.lengths Effective buckling lengths per axis,
+     *        defaulting to the member length
+     * @param {number} options.netArea Net area for tension rupture (mm²), defaulting to the net
+     *        section through the component holes
+     * @param {number} options.shearLag AISC shear lag factor U
+     * @param {boolean} options.coldFormed Hollow sections are cold formed (EN buckling curve c)
+     * @returns {Object} Tension, compression and bending resistances and warnings
+     */
+    static calculate(component, material, options = {}) {
+        const tension = this.calculateTension(component, material, options);
+        const compression = this.calculateCompression(component, material, options);
+        const bending = this.calculateBending(component, material, options);
+
+        return {
+            code: options.code ?? DesignCode.EN_1993,
+            tension,
+            compression,
+            bending,
+            warnings: [...tension.warnings, ...compression.warnings, ...bending.warnings]
+        };
+    }
+
+    /**
+     * Calculate tension resistance
+     * EN 1993: Npl,Rd = A·fy/γM0 and Nu,Rd = 0.9·Anet·fu/γM2.
+     * AISC: φPn = 0.9·Fy·Ag for yielding and 0.75·Fu·Ae for rupture, Ae = U·An.
+     * @param {Object} component Component with profile and dimensions
+     * @param {Object} material Material with properties
+     * @param {Object} options Options (code, netArea, shearLag)
+     * @returns {{yielding: number, rupture: number, resistance: number, warnings: Array<string>}} Resistances in N
+     */
+    static calculateTension(component, material, options = {}) {
+        const code = this._getCode(options);
+        const { fy, fu } = this._getStrength(material);
+        if (!(fu > 0)) {
+            throw new Error('Material tensile strength is required for tension resistance');
+        }
+        const dimensions = ProfileCalculator.normalizeDimensions(component.dimensions);
+        const area = ProfileCalculator.calculateArea(component.profile, dimensions);
+        const netArea = options.netArea ?? (component.holes?.length > 0
+            ? NetSection.calculateNetArea(component.profile, dimensions, component.holes).area
+            : area);
+        const factors = ResistanceFactors[code];
+
+        let yielding;
+        let rupture;
+        if (code === DesignCode.EN_1993) {
+            yielding = area * fy / factors.gammaM0;
+            rupture = 0.9 * netArea * fu / factors.gammaM2;
+        } else {
+            yielding = factors.tensionYield * fy * area;
+            rupture = factors.tensionRupture * fu * netArea * (options.shearLag ?? 1);
+        }
+
+        return { yielding, rupture, resistance: Math.min(yielding, rupture), warnings: [] };
+    }
+
+    /**
+     * Calculate compression resistance with flexural buckling
+     * Buckling is checked about x, y and, for sections with a non-zero product
+     * of inertia such as angles, the minor principal axis v. Slender sections
+     * use the effective area (EN 1993-1-5 or AISC E7). EN 1993 Class 4
+     * profile types without effective widths use a reduced fy instead.
+     * @param {Object} component Component with profile and dimensions
+     * @param {Object} material Material with properties
+     * @param {Object} options Options (code, lengths, coldFormed)
+     * @returns {Object} Cross-section resistance, per-axis buckling results, governing axis,
+     *          resistance in N, section class and warnings
+     */
+    static calculateCompression(component, material, options = {}) {
+        const code = this._getCode(options);
+        const { fy, E } = this._getStrength(material);
+        const type = component.profile;
+        const dimensions = ProfileCalculator.normalizeDimensions(component.dimensions);
+        const warnings = [];
+
+        const area = ProfileCalculator.calculateArea(type, dimensions);
+        const classification = SectionClassifier.classify(type, dimensions, material,
+            { code, loadCase: LoadCase.COMPRESSION });
+        warnings.push(...classification.warnings);
+
+        const axes = this._getBucklingAxes(type, dimensions, options.lengths ?? {});
+        const curves = this.getBucklingCurves(type, dimensions, options);
+        if (TorsionalBucklingTypes.includes(type)) {
+            warnings.push('Torsional and flexural-torsional buckling are not checked');
+        }
+
+        let crossSection;
+        let buckling;
+        let shift = null;
+        if (code === DesignCode.EN_1993) {
+            const { gammaM0, gammaM1 } = ResistanceFactors[code];
+            let effectiveArea = area;
+            if (classification.sectionClass === SectionClass.CLASS_4 && EffectiveSection.isSupported(type)) {
+                const effective = EffectiveSection.calculate(type, dimensions, material, { loadCase: LoadCase.COMPRESSION });
+                effectiveArea = effective.effectiveArea;
+                shift = effective.shift;
+            } else if (classification.sectionClass === SectionClass.CLASS_4) {
+                effectiveArea = area * this._getReducedYield(classification, fy, warnings) / fy;
+            }
+            crossSection = effectiveArea * fy / gammaM0;
+
+            buckling = axes.map(axis => {
+                const Ncr = Math.PI * Math.PI * E * axis.I / (axis.length * axis.length);
+                const slenderness = Math.sqrt(effectiveArea * fy / Ncr);
+                const curve = curves[axis.name];
+                const chi = this.getReductionFactor(slenderness, curve);
+                return {
+                    axis: axis.name,
+                    length: axis.length,
+                    Ncr,
+                    slenderness,
+                    curve,
+                    chi,
+                    resistance: chi * effectiveArea * fy / gammaM1
+                };
+            });
+        } else {
+            const phi = ResistanceFactors[code].compression;
+            crossSection = phi * fy * this._getAiscEffectiveArea(classification, area, fy, fy, E);
+
+            buckling = axes.map(axis => {
+                const r = Math.sqrt(axis.I / area);
+                const slenderness = axis.length / r;
+                const Fe = Math.PI * Math.PI * E / (slenderness * slenderness);
+                // E3: inelastic buckling up to Fy/Fe = 2.25, elastic beyond
+                const Fcr = fy / Fe <= 2.25 ? Math.pow(0.658, fy / Fe) * fy : 0.877 * Fe;
+                const effectiveArea = this._getAiscEffectiveArea(classification, area, Fcr, fy, E);
+                return {
+                    axis: axis.name,
+                    length: axis.length,
+                    Fe,
+                    slenderness,
+                    Fcr,
+                    effectiveArea,
+                    resistance: phi * Fcr * effectiveArea
+                };
+            });
+            if (buckling.some(result => result.slenderness > 200)) {
+                warnings.push('Slenderness L/r exceeds 200');
+            }
+        }
+
+        const governing = buckling.reduce((min, result) => result.resistance < min.resistance ? result : min);
+        return {
+            sectionClass: classification.sectionClass,
+            crossSection,
+            buckling,
+            governingAxis: governing.axis,
+            resistance: Math.min(crossSection, governing.resistance),
+            shift,
+            warnings
+        };
+    }
+
+    /**
+     * Calculate bending resistance about both axes
+     * Cross-section resistance of a laterally restrained member. EN 1993 uses
+     * the plastic, elastic or effective modulus by class; Class 4 profile
+     * types without effective widths use the elastic modulus with a reduced
+     * fy, returned as an equivalent modulus. AISC uses Mp for
+     * compact sections, interpolates linearly to Mr at λr for noncompact
+     * sections (Mr = 0.7·Fy·S for open sections, Fy·S for HSS) and scales Mr
+     * by (λr/λ)² for slender elements, which matches F3-2 for the flanges of
+     * I-shapes and is conservative for HSS walls.
+     * @param {Object} component Component with profile and dimensions
+     * @param {Object} material Material with properties
+     * @param {Object} options Options (code)
+     * @returns {{x: Object, y: Object, warnings: Array<string>}} Section class, modulus type,
+     *          modulus used (mm³) and resistance (N·mm) per axis
+     */
+    static calculateBending(component, material, options = {}) {
+        const code = this._getCode(options);
+        const { fy } = this._getStrength(material);
+        const type = component.profile;
+        const dimensions = ProfileCalculator.normalizeDimensions(component.dimensions);
+        const warnings = [];
+
+        const resist = (axis) => {
+            const loadCase = axis === 'x' ? LoadCase.BENDING_X : LoadCase.BENDING_Y;
+            const classification = SectionClassifier.classify(type, dimensions, material, { code, loadCase });
+            warnings.push(...classification.warnings);
+
+            const elastic = axis === 'x'
+                ? ProfileCalculator.calculateSectionModulusX(type, dimensions)
+                : ProfileCalculator.calculateSectionModulusY(type, dimensions);
+            const plastic = this._getPlasticModulus(type, dimensions, axis, elastic, warnings);
+
+            if (code === DesignCode.EN_1993) {
+                const modulus = ClassModulus[classification.sectionClass];
+                let W = modulus === 'plastic' ? plastic : elastic;
+                if (modulus === 'effective' && EffectiveSection.isSupported(type)) {
+                    W = EffectiveSection.calculate(type, dimensions, material, { loadCase }).effectiveModulus;
+                } else if (modulus === 'effective') {
+                    W = elastic * this._getReducedYield(classification, fy, warnings) / fy;
+                }
+                return {
+                    sectionClass: classification.sectionClass,
+                    modulus,
+                    W,
+                    resistance: W * fy / ResistanceFactors[code].gammaM0
+                };
+            }
+
+            const Mp = Math.min(fy * plastic, 1.6 * fy * elastic);
+            const Mr = (HollowTypes.includes(type) ? 1 : 0.7) * fy * elastic;
+            const governing = classification.governing;
+            let Mn = Mp;
+            if (classification.sectionClass === AiscSectionClass.NONCOMPACT) {
+                const [lambdaP, lambdaR] = governing.limits;
+                Mn = Mp - (Mp - Mr) * (governing.ratio - lambdaP) / (lambdaR - lambdaP);
+            } else if (classification.sectionClass === AiscSectionClass.SLENDER) {
+                Mn = Mr * Math.pow(governing.limits[1] / governing.ratio, 2);
+            }
+            return {
+                sectionClass: classification.sectionClass,
+                modulus: classification.modulus,
+                W: Mn / fy,
+                resistance: ResistanceFactors[code].flexure * Mn
+            };
+        };
+
+        return { x: resist('x'), y: resist('y'), warnings };
+    }
+
+    /**
+     * Reduced yield strength of a Class 4 section (EN 1993-1-1 6.2.2.5(4))
+     * fy is lowered until every element meets its Class 3 limit: the limits
+     * scale with ε, so fy,red = fy·(limit/ratio)², or with ε² for CHS walls,
+     * so fy,red = fy·limit/ratio.
+     * @private
+     * @param {Object} classification EN 1993 classification
+     * @param {number} fy Yield strength in MPa
+     * @param {Array<string>} warnings Collects the reduced strength
+     * @returns {number} Reduced yield strength in MPa
+     */
+    static _getReducedYield(classification, fy, warnings) {
+        const reduced = classification.elements
+            .filter(element => element.class === SectionClass.CLASS_4)
+            .reduce((min, element) => {
+                const ratio = element.limits[element.limits.length - 1] / element.ratio;
+                return Math.min(min, fy * (element.kind === 'chs' ? ratio : ratio * ratio));
+            }, fy);
+        warnings.push(`Class 4 section without effective widths: fy reduced to ${reduced.toFixed(1)} MPa ` +
+            `to meet the Class 3 limits (${classification.loadCase})`);
+        return reduced;
+    }
+
+    /**
+     * Select EN 1993-1-1 buckling curves (Table 6.2)
+     * Rolled I-sections depend on h/b and the flange thickness, hot-finished
+     * hollow sections use curve a and cold-formed ones curve c, angles use
+     * curve b and channels, tees, solid and built-up sections curve c.
+     * @param {string} type Profile type
+     * @param {Object} dimensions Profile dimensions (mm)
+     * @param {Object} options Options
+     * @param {boolean} options.coldFormed Hollow sections are cold formed
+     * @returns {{x: string, y: string, v: string}} Buckling curve per axis
+     */
+    static getBucklingCurves(type, dimensions, options = {}) {
+        const curves = (x, y, v = y) => ({ x, y, v });
+
+        switch (type) {
+            case ProfileType.I_BEAM: {
+                const tf = dimensions.flange_thickness;
+                if (dimensions.height / dimensions.width > 1.2) {
+                    return tf <= 40 ? curves(BucklingCurve.A, BucklingCurve.B) : curves(BucklingCurve.B, BucklingCurve.C);
+                }
+                return tf <= 100 ? curves(BucklingCurve.B, BucklingCurve.C) : curves(BucklingCurve.D, BucklingCurve.D);
+            }
+
+            case ProfileType.ROUND_TUBE:
+            case ProfileType.SQUARE_TUBE:
+            case ProfileType.RECTANGULAR_TUBE:
+                return options.coldFormed
+                    ? curves(BucklingCurve.C, BucklingCurve.C)
+                    : curves(BucklingCurve.A, BucklingCurve.A);
+
+            case ProfileType.ANGLE:
+                return curves(BucklingCurve.B, BucklingCurve.B);
+
+            default:
+                return curves(BucklingCurve.C, BucklingCurve.C);
+        }
+    }
+
+    /**
+     * Get the EN 1993-1-1 flexural buckling reduction factor χ (6.3.1.2)
+     * @param {number} slenderness Non-dimensional slenderness λ̄
+     * @param {string} curve Buckling curve
+     * @returns {number} Reduction factor, at most 1
+     */
+    static getReductionFactor(slenderness, curve) {
+        if (slenderness <= 0.2) {
+            return 1;
+        }
+        const alpha = ImperfectionFactors[curve];
+        if (alpha === undefined) {
+            throw new Error(`Unsupported buckling curve: ${curve}`);
+        }
+        const phi = 0.5 * (1 + alpha * (slenderness - 0.2) + slenderness * slenderness);
+        return Math.min(1 / (phi + Math.sqrt(phi * phi - slenderness * slenderness)), 1);
+    }
+
+    /**
+     * Axes to check for flexural buckling
+     * @private
+     * @param {string} type Profile type
+     * @param {Object} dimensions Profile dimensions (mm)
+     * @param {{x: number, y: number, v: number}} lengths Effective lengths
+     * @returns {Array<{name: string, I: number, length: number}>} Axes with second moment and length
+     */
+    static _getBucklingAxes(type, dimensions, lengths) {
+        const length = dimensions.length;
+        const Ix = ProfileCalculator.calculateMomentOfInertiaX(type, dimensions);
+        const Iy = ProfileCalculator.calculateMomentOfInertiaY(type, dimensions);
+        const axes = [
+            { name: 'x', I: Ix, length: lengths.x ?? length },
+            { name: 'y', I: Iy, length: lengths.y ?? length }
+        ];
+
+        const Ixy = ProfileCalculator.calculateProductOfInertia(type, dimensions);
+        if (Math.abs(Ixy) > 1e-9 * (Ix + Iy)) {
+            const { Iv } = ProfileCalculator.calculatePrincipalAxes(type, dimensions);
+            axes.push({ name: 'v', I: Iv, length: lengths.v ?? Math.min(lengths.x ?? length, lengths.y ?? length) });
+        }
+
+        if (!axes.every(axis => axis.length > 0)) {
+            throw new Error('Buckling lengths must be positive');
+        }
+        return axes;
+    }
+
+    /**
+     * Effective area for AISC 360 E7 at the buckling stress
+     * @private
+     * @param {Object} classification AISC compression classification
+     * @param {number} area Gross area (mm²)
+     * @param {number} Fcr Critical stress (MPa)
+     * @param {number} fy Yield strength (MPa)
+     * @param {number} E Elastic modulus (MPa)
+     * @returns {number} Effective area (mm²)
+     */
+    static _getAiscEffectiveArea(classification, area, Fcr, fy, E) {
+        let lost = 0;
+        for (const element of classification.elements) {
+            const lambdaR = element.limits[1];
+            if (element.kind === 'round_hss') {
+                // E7-7, valid up to D/t = 0.45·E/Fy
+                if (element.ratio > lambdaR) {
+                    lost += area - area * Math.min(0.038 * E / (fy * element.ratio) + 2 / 3, 1);
+                }
+                continue;
+            }
+
+            if (element.ratio <= lambdaR * Math.sqrt(fy / Fcr)) {
+                continue;
+            }
+            const { c1, c2 } = AiscEffectiveWidthFactors[element.kind];
+            const Fel = Math.pow(c2 * lambdaR / element.ratio, 2) * fy;
+            const ratio = Math.sqrt(Fel / Fcr);
+            const width = element.ratio * element.thickness;
+            const effectiveWidth = width * (1 - c1 * ratio) * ratio;
+            lost += element.count * (width - effectiveWidth) * element.thickness;
+        }
+        return area - lost;
+    }
+
+    /**
+     * Plastic modulus, falling back to the elastic modulus where it is not available
+     * @private
+     * @param {string} type Profile type
+     * @param {Object} dimensions Profile dimensions (mm)
+     * @param {string} axis Bending axis ('x' or 'y')
+     * @param {number} elastic Elastic modulus (mm³)
+     * @param {Array<string>} warnings Collects the fallback
+     * @returns {number} Plastic modulus (mm³)
+     */
+    static _getPlasticModulus(type, dimensions, axis, elastic, warnings) {
+        try {
+            return axis === 'x'
+                ? ProfileCalculator.calculatePlasticModulusX(type, dimensions)
+                : ProfileCalculator.calculatePlasticModulusY(type, dimensions);
+        } catch (error) {
+            warnings.push(`Plastic modulus about ${axis}: ${error.message}, elastic modulus used`);
+            return elastic;
+        }
+    }
+
+    /**
+     * Design code from the options
+     * @private
+     * @param {Object} options Options
+     * @returns {string} Design code
+     */
+    static _getCode(options) {
+        const code = options.code ?? DesignCode.EN_1993;
+        if (!ResistanceFactors[code]) {
+            throw new Error(`Unsupported design code: ${code}`);
+        }
+        return code;
+    }
+
+    /**
+     * Material strengths
+     * @private
+     * @param {Object} material Material with properties
+     * @returns {{fy: number, fu: number, E: number}} Yield strength, tensile strength and elastic modulus in MPa
+     */
+    static _getStrength(material) {
+        const properties = material?.properties ?? {};
+        if (!(properties.yieldStrength > 0) || !(properties.elasticModulus > 0)) {
+            throw new Error('Material yield strength and elastic modulus are required');
+        }
+        return {
+            fy: properties.yieldStrength,
+            fu: properties.tensileStrength,
+            E: properties.elasticModulus
+        };
+    }
+}
+
+export default MemberResistance;
\ No newline at end of file
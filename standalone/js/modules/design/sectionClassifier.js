@@ -0,0 +1,329 @@
+/**
+ * Section Classifier Module
+ * Classifies cross-sections for local buckling from the width-to-thickness
+ * ratios of their flanges and webs (EN 1993-1-1 Table 5.2 and AISC 360
+ * Tables B4.1a/B4.1b). The class decides whether the plastic, elastic or
+ * effective section modulus may be used.
+ */
+
+import ProfileCalculator from '../calculations/profileCalculator.js';
+import { ProfileType } from '../profiles/profileTypes.js';
+import {
+    DesignCode,
+    LoadCase,
+    SectionClass,
+    AiscSectionClass,
+    ClassModulus,
+    AiscClassModulus,
+    ClassificationLimits,
+    REFERENCE_YIELD_STRENGTH
+} from '../../core/config/design.js';
+
+// AISC classifications from best to worst
+const AiscOrder = [
+    AiscSectionClass.COMPACT,
+    AiscSectionClass.NONSLENDER,
+    AiscSectionClass.NONCOMPACT,
+    AiscSectionClass.SLENDER
+];
+
+class SectionClassifier {
+    /**
+     * Classify a cross-section
+     * Under bending about x the horizontal elements (flanges) are in uniform
+     * compression and the vertical elements (webs) carry a stress gradient;
+     * bending about y swaps the roles. Elements on the neutral axis are not
+     * checked. Solid bars do not buckle locally and are always Class 1.
+     * @param {string} type Profile type
+     * @param {Object} dimensions Profile dimensions (mm)
+     * @param {Object} material Material with properties.yieldStrength and properties.elasticModulus (MPa)
+     * @param {Object} options Options
+     * @param {string} options.code Design code (DesignCode.EN_1993 or DesignCode.AISC_360)
+     * @param {string} options.loadCase Load case (LoadCase.COMPRESSION, BENDING_X or BENDING_Y)
+     * @returns {Object} Section class, usable modulus, governing element, per-element results,
+     *          ε (EN 1993) or √(E/Fy) (AISC) and warnings
+     */
+    static classify(type, dimensions, material, options = {}) {
+        const code = options.code ?? DesignCode.EN_1993;
+        const loadCase = options.loadCase ?? LoadCase.COMPRESSION;
+        if (!ClassificationLimits[code]) {
+            throw new Error(`Unsupported design code: ${code}`);
+        }
+        if (!Object.values(LoadCase).includes(loadCase)) {
+            throw new Error(`Unsupported load case: ${loadCase}`);
+        }
+
+        const { fy, E } = this._getStrength(material, code);
+        const warnings = [];
+        const elements = this._getElements(type, ProfileCalculator.normalizeDimensions(dimensions), loadCase, warnings);
+
+        const classified = code === DesignCode.EN_1993
+            ? this._classifyEurocode(elements, fy)
+            : this._classifyAisc(elements, fy, E, loadCase);
+
+        const rank = code === DesignCode.EN_1993
+            ? element => element.class
+            : element => AiscOrder.indexOf(element.class);
+        const utilization = element => element.ratio / element.limits[element.limits.length - 1];
+
+        // Worst class governs; among equals the element closest to the next class
+        const governing = classified.reduce((worst, element) => {
+            if (!worst || rank(element) > rank(worst) ||
+                (rank(element) === rank(worst) && utilization(element) > utilization(worst))) {
+                return element;
+            }
+            return worst;
+        }, null);
+
+        let sectionClass;
+        if (code === DesignCode.EN_1993) {
+            sectionClass = governing ? governing.class : SectionClass.CLASS_1;
+        } else if (governing) {
+            sectionClass = governing.class;
+        } else {
+            sectionClass = loadCase === LoadCase.COMPRESSION ? AiscSectionClass.NONSLENDER : AiscSectionClass.COMPACT;
+        }
+
+        return {
+            code,
+            loadCase,
+            sectionClass,
+            modulus: code === DesignCode.EN_1993 ? ClassModulus[sectionClass] : AiscClassModulus[sectionClass],
+            governing,
+            elements: classified,
+            epsilon: code === DesignCode.EN_1993 ? Math.sqrt(REFERENCE_YIELD_STRENGTH / fy) : null,
+            slendernessFactor: code === DesignCode.AISC_360 ? Math.sqrt(E / fy) : null,
+            warnings
+        };
+    }
+
+    /**
+     * Classify elements against EN 1993-1-1 Table 5.2
+     * @private
+     * @param {Array<Object>} elements Elements from _getElements
+     * @param {number} fy Yield strength in MPa
+     * @returns {Array<Object>} Elements with ratio, limits, class (1 to 4), thickness and count
+     */
+    static _classifyEurocode(elements, fy) {
+        const epsilon = Math.sqrt(REFERENCE_YIELD_STRENGTH / fy);
+        const table = ClassificationLimits[DesignCode.EN_1993];
+
+        return elements.filter(element => element.en).map(element => {
+            const { kind, stress, ratio } = element.en;
+            const scale = kind === 'chs' ? epsilon * epsilon : epsilon;
+            const limits = table[kind][stress].map(limit => limit === null ? null : limit * scale);
+            const index = limits.findIndex(limit => limit !== null && ratio <= limit);
+            return {
+                name: element.name,
+                kind,
+                stress,
+                ratio,
+                limits,
+                class: index === -1 ? SectionClass.CLASS_4 : index + 1,
+                thickness: element.thickness,
+                count: element.count
+            };
+        });
+    }
+
+    /**
+     * Classify elements against AISC 360 Table B4.1a (compression) or B4.1b (flexure)
+     * @private
+     * @param {Array<Object>} elements Elements from _getElements
+     * @param {number} fy Yield strength in MPa
+     * @param {number} E Elastic modulus in MPa
+     * @param {string} loadCase Load case
+     * @returns {Array<Object>} Elements with ratio, limits [λp, λr], classification, thickness and count
+     */
+    static _classifyAisc(elements, fy, E, loadCase) {
+        const table = ClassificationLimits[DesignCode.AISC_360];
+        const stress = loadCase === LoadCase.COMPRESSION ? 'compression' : 'flexure';
+
+        return elements.filter(element => element.aisc).map(element => {
+            const { kind, ratio } = element.aisc;
+            const scale = kind === 'round_hss' ? E / fy : Math.sqrt(E / fy);
+            const limits = table[kind][stress].map(limit => limit === null ? null : limit * scale);
+            const [lambdaP, lambdaR] = limits;
+
+            let classification;
+            if (ratio > lambdaR) {
+                classification = AiscSectionClass.SLENDER;
+            } else if (lambdaP === null) {
+                classification = AiscSectionClass.NONSLENDER;
+            } else {
+                classification = ratio <= lambdaP ? AiscSectionClass.COMPACT : AiscSectionClass.NONCOMPACT;
+            }
+
+            return {
+                name: element.name,
+                kind,
+                stress,
+                ratio,
+                limits,
+                class: classification,
+                thickness: element.thickness,
+                count: element.count
+            };
+        });
+    }
+
+    /**
+     * Width-to-thickness ratios of the elements of a profile
+     * Each element carries its EN 1993 ratio (c/t with the flat width c) and
+     * its AISC ratio (b/t or h/t with the AISC widths); either is null when the
+     * element is not checked under that code for the load case. `count` is
+     * the number of identical elements in the section.
+     * @private
+     * @param {string} type Profile type
+     * @param {Object} d Profile dimensions (mm)
+     * @param {string} loadCase Load case
+     * @param {Array<string>} warnings Collects notes on simplifications
+     * @returns {Array<{name: string, thickness: number, count: number, en: Object|null, aisc: Object|null}>} Elements
+     */
+    static _getElements(type, d, loadCase, warnings) {
+        const compression = loadCase === LoadCase.COMPRESSION;
+        // EN stress state of horizontal and vertical elements
+        const horizontal = loadCase === LoadCase.BENDING_Y ? 'bending' : 'compression';
+        const vertical = loadCase === LoadCase.BENDING_X ? 'bending' : 'compression';
+        const element = (name, thickness, count, en, aisc) => ({ name, thickness, count, en, aisc });
+
+        switch (type) {
+            case ProfileType.ROUND_TUBE: {
+                const ratio = d.diameter / d.thickness;
+                return [element('wall', d.thickness, 1, { kind: 'chs', stress: 'compression', ratio },
+                    { kind: 'round_hss', ratio })];
+            }
+
+            case ProfileType.SQUARE_TUBE:
+            case ProfileType.RECTANGULAR_TUBE: {
+                const b = d.width;
+                const h = d.height ?? d.width;
+                const t = d.thickness;
+                // Flat width between the corners, b - 3t when the corner radius is unknown
+                const ri = d.inner_radius ?? (d.outer_radius > 0 ? Math.max(d.outer_radius - t, 0) : null);
+                const flat = size => ri === null ? size - 3 * t : size - 2 * t - 2 * ri;
+                // AISC walls act as flanges unless they carry the bending stress gradient
+                const hss = stress => stress === 'bending' ? 'hss_web' : 'hss_flange';
+                return [
+                    element('flange', t, 2, { kind: 'internal', stress: horizontal, ratio: flat(b) / t },
+                        { kind: hss(horizontal), ratio: flat(b) / t }),
+                    element('web', t, 2, { kind: 'internal', stress: vertical, ratio: flat(h) / t },
+                        { kind: hss(vertical), ratio: flat(h) / t })
+                ];
+            }
+
+            case ProfileType.ANGLE: {
+                const t = d.thickness;
+                const legs = [
+                    element('vertical leg', t, 1, { kind: 'angle_leg', stress: vertical, ratio: d.height / t },
+                        { kind: 'angle_leg', ratio: d.height / t }),
+                    element('horizontal leg', t, 1, { kind: 'angle_leg', stress: horizontal, ratio: d.width / t },
+                        { kind: 'angle_leg', ratio: d.width / t })
+                ];
+                if (compression) {
+                    legs.push(element('legs', t, 2, { kind: 'angle_legs', stress: 'compression',
+                        ratio: (d.width + d.height) / (2 * t) }, null));
+                } else {
+                    warnings.push('Angle legs in bending are classified as outstands with the tip in compression');
+                }
+                return legs;
+            }
+
+            case ProfileType.CHANNEL:
+            case ProfileType.Z_SECTION: {
+                const t = d.thickness;
+                const r = d.root_radius || 0;
+                const c = d.flange_width - t - r;
+                const web = d.height - 2 * t - 2 * r;
+                return [
+                    element('flange', t, 2, { kind: 'outstand', stress: horizontal, ratio: c / t },
+                        { kind: 'flange', ratio: d.flange_width / t }),
+                    // About y the web is an extreme fibre in uniform compression
+                    element('web', t, 1, { kind: 'internal', stress: vertical, ratio: web / t },
+                        loadCase === LoadCase.BENDING_Y ? null : { kind: 'web', ratio: web / t })
+                ];
+            }
+
+            case ProfileType.I_BEAM: {
+                const tw = d.web_thickness;
+                const tf = d.flange_thickness;
+                const r = d.root_radius ?? (d.k_dimension > tf ? d.k_dimension - tf : 0);
+                const c = (d.width - tw - 2 * r) / 2;
+                const web = d.height - 2 * tf - 2 * r;
+                const elements = [
+                    element('flange', tf, 4, { kind: 'outstand', stress: horizontal, ratio: c / tf },
+                        { kind: 'flange', ratio: d.width / 2 / tf })
+                ];
+                // The web lies on the neutral axis for bending about y
+                if (loadCase !== LoadCase.BENDING_Y) {
+                    elements.push(element('web', tw, 1, { kind: 'internal', stress: vertical, ratio: web / tw },
+                        { kind: 'web', ratio: web / tw }));
+                }
+                return elements;
+            }
+
+            case ProfileType.T_SECTION: {
+                const tw = d.web_thickness;
+                const tf = d.flange_thickness;
+                const r = d.root_radius || 0;
+                const c = (d.width - tw - 2 * r) / 2;
+                const stem = d.height - tf - r;
+                const elements = [
+                    element('flange', tf, 2, { kind: 'outstand', stress: horizontal, ratio: c / tf },
+                        { kind: 'flange', ratio: d.width / 2 / tf })
+                ];
+                if (loadCase !== LoadCase.BENDING_Y) {
+                    elements.push(element('stem', tw, 1, { kind: 'outstand', stress: vertical, ratio: stem / tw },
+                        { kind: 'tee_stem', ratio: d.height / tw }));
+                }
+                return elements;
+            }
+
+            case ProfileType.FLAT_BAR:
+            case ProfileType.ROUND_BAR:
+            case ProfileType.SQUARE_BAR:
+                // Solid sections do not buckle locally
+                return [];
+
+            case ProfileType.COMPOUND:
+                return d.parts.flatMap((part, index) => {
+                    const quarterTurns = (part.rotation || 0) / 90;
+                    let partLoadCase = loadCase;
+                    if (loadCase !== LoadCase.COMPRESSION) {
+                        if (!Number.isInteger(quarterTurns)) {
+                            warnings.push(`Part ${index + 1}: rotated by ${part.rotation}°, classified in compression`);
+                            partLoadCase = LoadCase.COMPRESSION;
+                        } else if (quarterTurns % 2 !== 0) {
+                            partLoadCase = loadCase === LoadCase.BENDING_X ? LoadCase.BENDING_Y : LoadCase.BENDING_X;
+                        }
+                    }
+                    return this._getElements(part.profile, part.dimensions, partLoadCase, warnings)
+                        .map(e => ({ ...e, name: `part ${index + 1} ${e.name}` }));
+                });
+
+            default:
+                throw new Error(`Unsupported profile type: ${type}`);
+        }
+    }
+
+    /**
+     * Material strength used by the limits
+     * @private
+     * @param {Object} material Material with properties
+     * @param {string} code Design code
+     * @returns {{fy: number, E: number}} Yield strength and elastic modulus in MPa
+     */
+    static _getStrength(material, code) {
+        const fy = material?.properties?.yieldStrength;
+        const E = material?.properties?.elasticModulus;
+        if (!(fy > 0)) {
+            throw new Error('Material yield strength is required for classification');
+        }
+        if (code === DesignCode.AISC_360 && !(E > 0)) {
+            throw new Error('Material elastic modulus is required for AISC classification');
+        }
+        return { fy, E };
+    }
+}
+
+export default SectionClassifier;
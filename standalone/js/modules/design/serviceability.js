@@ -0,0 +1,168 @@
+/**
+ * Serviceability Module
+ * Deflection limits and fundamental natural frequency of single-span beams.
+ * Deflections come from BeamAnalysis; the frequency is the first bending mode
+ * of a uniform beam with its self-weight and superimposed mass. Loads are in
+ * N and N/mm, lengths in mm and masses in kg/m.
+ */
+
+import ProfileCalculator from '../calculations/profileCalculator.js';
+import BeamAnalysis from '../analysis/beamAnalysis.js';
+import { SpanType } from '../../core/config/analysis.js';
+import { DeflectionLimits, VibrationUse, MinimumFrequency } from '../../core/config/design.js';
+
+// First-mode eigenvalues (λL)² of a uniform beam, per support arrangement
+const FrequencyCoefficients = {
+    [SpanType.SIMPLY_SUPPORTED]: Math.PI * Math.PI,
+    [SpanType.CANTILEVER]: 3.5160,
+    [SpanType.PROPPED_CANTILEVER]: 15.418,
+    [SpanType.FIXED_FIXED]: 22.373
+};
+
+class Serviceability {
+    /**
+     * Check the deflection of a beam against span ratios
+     * The total deflection is taken under the permanent and variable loads
+     * with the self-weight, the live deflection under the variable loads
+     * alone. Each is compared with span / ratio.
+     * @param {Object} component Component with profile and dimensions (length is the span)
+     * @param {Object} material Material with properties.elasticModulus (MPa) and density (kg/m³)
+     * @param {Object} loads Service loads in the BeamAnalysis format
+     * @param {Array<Object>} loads.permanent Permanent loads
+     * @param {Array<Object>} loads.variable Variable (live) loads
+     * @param {Object} options Options
+     * @param {string} options.spanType Support arrangement (SpanType, default simply supported)
+     * @param {number} options.length Span (mm), defaulting to the component length
+     * @param {Object} options.limits Span ratios {total, live} (default L/250 and L/360)
+     * @param {boolean} options.selfWeight Add the self-weight to the total deflection (default true)
+     * @returns {Object} Total and live deflection checks, governing utilization, isValid and warnings
+     */
+    static calculateDeflection(component, material, loads = {}, options = {}) {
+        const limits = { ...DeflectionLimits, ...options.limits };
+        Object.entries(limits).forEach(([key, ratio]) => {
+            if (!(ratio > 0)) {
+                throw new Error(`Deflection limit ratio for ${key} must be positive`);
+            }
+        });
+        const permanent = loads.permanent ?? [];
+        const variable = loads.variable ?? [];
+        const analysis = { spanType: options.spanType, length: options.length };
+
+        const total = BeamAnalysis.calculate(component, material, [...permanent, ...variable],
+            { ...analysis, selfWeight: options.selfWeight });
+        const live = BeamAnalysis.calculate(component, material, variable, { ...analysis, selfWeight: false });
+
+        const checks = {
+            total: this._checkDeflection(total, limits.total),
+            live: this._checkDeflection(live, limits.live)
+        };
+        const utilization = Math.max(checks.total.utilization, checks.live.utilization);
+        return {
+            spanType: total.spanType,
+            length: total.length,
+            ...checks,
+            utilization,
+            isValid: utilization <= 1,
+            warnings: total.warnings
+        };
+    }
+
+    /**
+     * Fundamental natural frequency of a beam
+     * f = (λL)² / (2π) · √(EI / (m·L⁴)) for the first bending mode about the
+     * major axis, with m the self-weight mass plus the superimposed mass.
+     * @param {Object} component Component with profile and dimensions (length is the span)
+     * @param {Object} material Material with properties.elasticModulus (MPa) and density (kg/m³)
+     * @param {Object} options Options
+     * @param {string} options.spanType Support arrangement (SpanType, default simply supported)
+     * @param {number} options.length Span (mm), defaulting to the component length
+     * @param {number} options.superimposedMass Additional mass carried by the beam (kg/m)
+     * @param {boolean} options.selfWeight Include the mass of the component (default true)
+     * @param {string} options.use Structure type for the minimum frequency (VibrationUse, default floor)
+     * @param {number} options.minimumFrequency Minimum frequency (Hz), overriding the use
+     * @returns {Object} Frequency, masses, stiffness, minimum frequency, isValid and warnings
+     */
+    static calculateNaturalFrequency(component, material, options = {}) {
+        const spanType = options.spanType ?? SpanType.SIMPLY_SUPPORTED;
+        const coefficient = FrequencyCoefficients[spanType];
+        if (!coefficient) {
+            throw new Error(`Unsupported span type: ${spanType}`);
+        }
+        const use = options.use ?? VibrationUse.FLOOR;
+        const minimum = options.minimumFrequency ?? MinimumFrequency[use];
+        if (minimum === undefined) {
+            throw new Error(`Unsupported vibration use: ${use}`);
+        }
+
+        const dimensions = ProfileCalculator.normalizeDimensions(component.dimensions);
+        const length = options.length ?? dimensions.length;
+        if (!(length > 0)) {
+            throw new Error('Span length must be positive');
+        }
+        const E = material?.properties?.elasticModulus;
+        if (!(E > 0)) {
+            throw new Error('Material elastic modulus is required');
+        }
+
+        const warnings = [];
+        let selfWeightMass = 0;
+        if (options.selfWeight !== false) {
+            const density = material.properties.density;
+            if (density > 0) {
+                selfWeightMass = ProfileCalculator.calculateWeightPerLength(component.profile, dimensions, density);
+            } else {
+                warnings.push('Material density is missing, self-weight not included');
+            }
+        }
+        const superimposedMass = options.superimposedMass ?? 0;
+        if (superimposedMass < 0) {
+            throw new Error('Superimposed mass cannot be negative');
+        }
+        const mass = selfWeightMass + superimposedMass;
+        if (!(mass > 0)) {
+            throw new Error('Beam mass must be positive');
+        }
+
+        // N·mm² to N·m² and mm to m, so the frequency is in Hz with m in kg/m
+        const EI = E * ProfileCalculator.calculateMomentOfInertiaX(component.profile, dimensions);
+        const L = length / 1000;
+        const frequency = coefficient / (2 * Math.PI) * Math.sqrt(EI * 1e-6 / (mass * Math.pow(L, 4)));
+
+        return {
+            spanType,
+            length,
+            EI,
+            coefficient,
+            mass,
+            selfWeightMass,
+            superimposedMass,
+            frequency,
+            minimumFrequency: minimum,
+            isValid: frequency >= minimum,
+            warnings
+        };
+    }
+
+    /**
+     * Compare the largest deflection of an analysis with span / ratio
+     * @private
+     * @param {Object} analysis BeamAnalysis result
+     * @param {number} ratio Span ratio
+     * @returns {Object} Deflection, position, limit, allowable deflection, actual span ratio and utilization
+     */
+    static _checkDeflection(analysis, ratio) {
+        const deflection = Math.abs(analysis.maxima.deflection.value);
+        const allowable = analysis.length / ratio;
+        return {
+            deflection,
+            position: analysis.maxima.deflection.x,
+            limit: ratio,
+            allowable,
+            ratio: deflection > 0 ? analysis.length / deflection : Infinity,
+            utilization: deflection / allowable,
+            isValid: deflection <= allowable
+        };
+    }
+}
+
+export default Serviceability;
\ No newline at end of file
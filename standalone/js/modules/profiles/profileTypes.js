@@ -3,10 +3,15 @@
  * Defines standard profile types and their properties
  */
 
+import PolygonSection from '../calculations/polygonSection.js';
+
 // Profile Categories
 const ProfileCategory = {
     CLOSED: 'closed',
-    OPEN: 'open'
+    OPEN: 'open',
+    SOLID: 'solid',
+    CUSTOM: 'custom',
+    COMPOUND: 'compound'
 };
 
 // Profile Types
@@ -19,7 +24,18 @@ const ProfileType = {
     // Open Profiles
     ANGLE: 'angle',
     CHANNEL: 'channel',
-    I_BEAM: 'i_beam'
+    I_BEAM: 'i_beam',
+    T_SECTION: 't_section',
+    Z_SECTION: 'z_section',
+    
+    // Solid Profiles
+    FLAT_BAR: 'flat_bar',
+    ROUND_BAR: 'round_bar',
+    SQUARE_BAR: 'square_bar',
+    
+    // Custom Profiles
+    CUSTOM: 'custom',
+    COMPOUND: 'compound'
 };
 
 // Required dimensions for each profile type
@@ -29,7 +45,14 @@ const RequiredDimensions = {
     [ProfileType.RECTANGULAR_TUBE]: ['width', 'height', 'thickness', 'length'],
     [ProfileType.ANGLE]: ['width', 'height', 'thickness', 'length'],
     [ProfileType.CHANNEL]: ['width', 'height', 'thickness', 'length', 'flange_width'],
-    [ProfileType.I_BEAM]: ['width', 'height', 'web_thickness', 'flange_thickness', 'length']
+    [ProfileType.I_BEAM]: ['width', 'height', 'web_thickness', 'flange_thickness', 'length'],
+    [ProfileType.T_SECTION]: ['width', 'height', 'web_thickness', 'flange_thickness', 'length'],
+    [ProfileType.Z_SECTION]: ['height', 'thickness', 'length', 'flange_width'],
+    [ProfileType.FLAT_BAR]: ['width', 'thickness', 'length'],
+    [ProfileType.ROUND_BAR]: ['diameter', 'length'],
+    [ProfileType.SQUARE_BAR]: ['width', 'length'],
+    [ProfileType.CUSTOM]: ['outline', 'length'],
+    [ProfileType.COMPOUND]: ['parts', 'length']
 };
 
 // Optional dimensions that can be specified
@@ -39,9 +62,19 @@ const OptionalDimensions = {
     [ProfileType.RECTANGULAR_TUBE]: ['outer_radius', 'inner_radius'],
     [ProfileType.ANGLE]: ['inner_radius', 'toe_radius'],
     [ProfileType.CHANNEL]: ['root_radius', 'toe_radius'],
-    [ProfileType.I_BEAM]: ['root_radius', 'toe_radius', 'k_dimension']
+    [ProfileType.I_BEAM]: ['root_radius', 'toe_radius', 'k_dimension'],
+    [ProfileType.T_SECTION]: ['root_radius', 'toe_radius'],
+    [ProfileType.Z_SECTION]: ['root_radius', 'toe_radius'],
+    [ProfileType.FLAT_BAR]: [],
+    [ProfileType.ROUND_BAR]: [],
+    [ProfileType.SQUARE_BAR]: ['outer_radius'],
+    [ProfileType.CUSTOM]: ['holes'],
+    [ProfileType.COMPOUND]: []
 };
 
+// Dimensions holding point lists or nested profiles rather than numbers
+const StructuredDimensions = ['outline', 'holes', 'parts'];
+
 // Profile type metadata
 const ProfileMetadata = {
     [ProfileType.ROUND_TUBE]: {
@@ -79,6 +112,48 @@ const ProfileMetadata = {
         name: 'I-Beam',
         description: 'I-shaped profile',
         commonUses: ['main beams', 'columns', 'structural support']
+    },
+    [ProfileType.T_SECTION]: {
+        category: ProfileCategory.OPEN,
+        name: 'T-Section',
+        description: 'T-shaped profile, usually split from an I-beam',
+        commonUses: ['truss chords', 'stiffeners', 'hangers']
+    },
+    [ProfileType.Z_SECTION]: {
+        category: ProfileCategory.OPEN,
+        name: 'Z-Section',
+        description: 'Z-shaped profile',
+        commonUses: ['purlins', 'girts', 'rails']
+    },
+    [ProfileType.FLAT_BAR]: {
+        category: ProfileCategory.SOLID,
+        name: 'Flat Bar',
+        description: 'Solid rectangular bar',
+        commonUses: ['plates', 'bracing', 'connection plates']
+    },
+    [ProfileType.ROUND_BAR]: {
+        category: ProfileCategory.SOLID,
+        name: 'Round Bar',
+        description: 'Solid circular bar',
+        commonUses: ['tie rods', 'pins', 'bracing']
+    },
+    [ProfileType.SQUARE_BAR]: {
+        category: ProfileCategory.SOLID,
+        name: 'Square Bar',
+        description: 'Solid square bar',
+        commonUses: ['posts', 'railings', 'machined parts']
+    },
+    [ProfileType.CUSTOM]: {
+        category: ProfileCategory.CUSTOM,
+        name: 'Custom',
+        description: 'Arbitrary section bounded by an outline with optional holes',
+        commonUses: ['custom extrusions', 'special sections']
+    },
+    [ProfileType.COMPOUND]: {
+        category: ProfileCategory.COMPOUND,
+        name: 'Compound',
+        description: 'Built-up section combining several profiles',
+        commonUses: ['back-to-back channels', 'double angles', 'plated beams']
     }
 };
 
@@ -97,7 +172,7 @@ class ProfileValidator {
         };
 
         // Check if profile type exists
-        if (!ProfileType[type]) {
+        if (!Object.values(ProfileType).includes(type)) {
             result.isValid = false;
             result.errors.push(`Invalid profile type: ${type}`);
             return result;
@@ -109,6 +184,8 @@ class ProfileValidator {
             if (!(dim in dimensions)) {
                 result.isValid = false;
                 result.errors.push(`Missing required dimension: ${dim}`);
+            } else if (StructuredDimensions.includes(dim)) {
+                continue;
             } else if (typeof dimensions[dim] !== 'number' || dimensions[dim] <= 0) {
                 result.isValid = false;
                 result.errors.push(`Invalid value for ${dim}: must be a positive number`);
@@ -118,7 +195,7 @@ class ProfileValidator {
         // Check optional dimensions
         const optional = OptionalDimensions[type];
         for (const dim of optional) {
-            if (dim in dimensions) {
+            if (dim in dimensions && !StructuredDimensions.includes(dim)) {
                 if (typeof dimensions[dim] !== 'number' || dimensions[dim] < 0) {
                     result.warnings.push(`Invalid value for optional dimension ${dim}: must be a non-negative number`);
                 }
@@ -148,6 +225,93 @@ class ProfileValidator {
                     result.errors.push('Thickness must be less than width and height');
                 }
                 break;
+
+            case ProfileType.CHANNEL:
+                if (dimensions.thickness >= dimensions.flange_width) {
+                    result.isValid = false;
+                    result.errors.push('Thickness must be less than flange width');
+                }
+                if (dimensions.thickness >= dimensions.height / 2) {
+                    result.isValid = false;
+                    result.errors.push('Thickness must be less than half of the height');
+                }
+                break;
+
+            case ProfileType.I_BEAM:
+                if (dimensions.web_thickness >= dimensions.width) {
+                    result.isValid = false;
+                    result.errors.push('Web thickness must be less than flange width');
+                }
+                if (dimensions.flange_thickness >= dimensions.height / 2) {
+                    result.isValid = false;
+                    result.errors.push('Flange thickness must be less than half of the height');
+                }
+                break;
+
+            case ProfileType.T_SECTION:
+                if (dimensions.web_thickness >= dimensions.width) {
+                    result.isValid = false;
+                    result.errors.push('Web thickness must be less than flange width');
+                }
+                if (dimensions.flange_thickness >= dimensions.height) {
+                    result.isValid = false;
+                    result.errors.push('Flange thickness must be less than height');
+                }
+                break;
+
+            case ProfileType.Z_SECTION:
+                if (dimensions.thickness >= dimensions.flange_width) {
+                    result.isValid = false;
+                    result.errors.push('Thickness must be less than flange width');
+                }
+                if (dimensions.thickness >= dimensions.height / 2) {
+                    result.isValid = false;
+                    result.errors.push('Thickness must be less than half of the height');
+                }
+                break;
+
+            case ProfileType.FLAT_BAR:
+                if (dimensions.thickness > dimensions.width) {
+                    result.isValid = false;
+                    result.errors.push('Thickness must not exceed width');
+                }
+                break;
+
+            case ProfileType.SQUARE_BAR:
+                if (dimensions.outer_radius >= dimensions.width / 2) {
+                    result.isValid = false;
+                    result.errors.push('Corner radius must be less than half of the width');
+                }
+                break;
+
+            case ProfileType.CUSTOM:
+                if ('outline' in dimensions) {
+                    const contours = PolygonSection.validateContours(dimensions.outline, dimensions.holes);
+                    if (!contours.isValid) {
+                        result.isValid = false;
+                        result.errors.push(...contours.errors);
+                    }
+                }
+                break;
+
+            case ProfileType.COMPOUND:
+                if (!Array.isArray(dimensions.parts) || dimensions.parts.length === 0) {
+                    result.isValid = false;
+                    result.errors.push('Compound section must have at least one part');
+                    break;
+                }
+                dimensions.parts.forEach((part, index) => {
+                    // Parts share the length of the compound section
+                    const partResult = this.validateDimensions(part.profile, {
+                        length: dimensions.length,
+                        ...part.dimensions
+                    });
+                    if (!partResult.isValid) {
+                        result.isValid = false;
+                        result.errors.push(...partResult.errors.map(error => `Part ${index + 1}: ${error}`));
+                    }
+                });
+                break;
         }
 
         return result;
@@ -195,6 +359,36 @@ class ProfileValidator {
                 web_thickness: { min: 0.1, max: 100 },
                 flange_thickness: { min: 0.1, max: 100 },
                 ...commonLimits
+            },
+            [ProfileType.T_SECTION]: {
+                width: { min: 1, max: 1000 },
+                height: { min: 1, max: 1000 },
+                web_thickness: { min: 0.1, max: 100 },
+                flange_thickness: { min: 0.1, max: 100 },
+                ...commonLimits
+            },
+            [ProfileType.Z_SECTION]: {
+                height: { min: 1, max: 1000 },
+                flange_width: { min: 1, max: 500 },
+                ...commonLimits
+            },
+            [ProfileType.FLAT_BAR]: {
+                width: { min: 1, max: 1000 },
+                ...commonLimits
+            },
+            [ProfileType.ROUND_BAR]: {
+                diameter: { min: 1, max: 1000 },
+                length: commonLimits.length
+            },
+            [ProfileType.SQUARE_BAR]: {
+                width: { min: 1, max: 1000 },
+                length: commonLimits.length
+            },
+            [ProfileType.CUSTOM]: {
+                length: commonLimits.length
+            },
+            [ProfileType.COMPOUND]: {
+                length: commonLimits.length
             }
         };
 
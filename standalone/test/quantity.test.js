@@ -0,0 +1,67 @@
+import { Quantity } from '../js/modules/calculations/quantity.js';
+import ProfileCalculator from '../js/modules/calculations/profileCalculator.js';
+
+describe('Quantity', () => {
+    describe('Conversion', () => {
+        test('should convert between compatible units', () => {
+            expect(new Quantity(1, 'm').to('mm')).toBe(1000);
+            expect(new Quantity(7850, 'kg/m3').to('g/cm3')).toBeCloseTo(7.85);
+            expect(new Quantity(1, 'N/mm2').to('MPa')).toBeCloseTo(1);
+            expect(new Quantity(1, 'kN*m').to('N*mm')).toBeCloseTo(1e6);
+        });
+
+        test('should reject incompatible units', () => {
+            expect(() => new Quantity(1, 'mm').to('kg')).toThrow('Incompatible units: mm to kg');
+        });
+
+        test('should reject unknown units', () => {
+            expect(() => new Quantity(1, 'furlong')).toThrow('Unknown unit: furlong');
+        });
+    });
+
+    describe('Arithmetic', () => {
+        test('should add compatible quantities in the first unit', () => {
+            const sum = new Quantity(1, 'm').add(new Quantity(250, 'mm'));
+            expect(sum.unit).toBe('m');
+            expect(sum.value).toBeCloseTo(1.25);
+        });
+
+        test('should reject adding incompatible quantities', () => {
+            expect(() => new Quantity(1, 'm').add(new Quantity(1, 'kg'))).toThrow('Cannot add kg and m');
+            expect(() => new Quantity(1, 'm').subtract(5)).toThrow('Cannot subtract number and m');
+        });
+
+        test('should combine dimensions when multiplying and dividing', () => {
+            const weight = new Quantity(1000, 'mm2').multiply(new Quantity(7850, 'kg/m3'));
+            expect(weight.unit).toBe('kg/m');
+            expect(weight.value).toBeCloseTo(7.85);
+
+            const stress = new Quantity(10, 'kN').divide(new Quantity(1000, 'mm2'));
+            expect(stress.unit).toBe('Pa');
+            expect(stress.to('MPa')).toBeCloseTo(10);
+        });
+
+        test('should scale by plain numbers', () => {
+            expect(new Quantity(2, 'kg').multiply(3).toString()).toBe('6.00 kg');
+        });
+    });
+
+    describe('Profile Calculator', () => {
+        const dimensions = { diameter: 100, thickness: 5, length: 1000 };
+
+        test('should return weight per length in kg/m for a plain density', () => {
+            expect(ProfileCalculator.calculateWeightPerLength('round_tube', dimensions, 7850)).toBeCloseTo(11.714, 3);
+        });
+
+        test('should return a kg/m quantity for a density quantity', () => {
+            const weight = ProfileCalculator.calculateWeightPerLength('round_tube', dimensions, new Quantity(0.2836, 'lb/in3'));
+            expect(weight.unit).toBe('kg/m');
+            expect(weight.value).toBeCloseTo(11.714, 1);
+        });
+
+        test('should normalize quantity dimensions to millimetres', () => {
+            const normalized = ProfileCalculator.normalizeDimensions({ diameter: new Quantity(4, 'in'), thickness: 5 });
+            expect(normalized).toEqual({ diameter: 101.6, thickness: 5 });
+        });
+    });
+});
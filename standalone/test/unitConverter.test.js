@@ -1,4 +1,5 @@
 import { UnitConverter, UnitType, UnitSystem } from '../js/modules/calculations/unitConverter.js';
+import { Quantity } from '../js/modules/calculations/quantity.js';
 
 describe('UnitConverter', () => {
     let converter;
@@ -91,6 +92,34 @@ describe('UnitConverter', () => {
         });
     });
 
+    describe('Quantity Conversion', () => {
+        test('should convert quantities from their own unit', () => {
+            expect(converter.convert(new Quantity(2, 'm'), 'mm', 'cm', UnitType.LENGTH)).toBeCloseTo(200);
+            expect(converter.convert(new Quantity(1, 'lb'), null, 'kg', UnitType.WEIGHT)).toBeCloseTo(0.45359237);
+        });
+
+        test('should reject quantities of the wrong dimension', () => {
+            expect(() => converter.convert(new Quantity(1, 'kg'), 'kg', 'mm', UnitType.LENGTH)).toThrow('Incompatible units: kg to mm');
+        });
+
+        test('should convert quantity dimensions', () => {
+            const converted = converter.convertDimensions({ width: new Quantity(4, 'in'), thickness: 5 }, 'mm', 'mm');
+            expect(converted.width).toBeCloseTo(101.6);
+            expect(converted.thickness).toBe(5);
+        });
+
+        test('should create quantities in the current unit system', () => {
+            expect(converter.createQuantity(10, UnitType.LENGTH).unit).toBe('mm');
+            converter.setUnitSystem(UnitSystem.IMPERIAL);
+            expect(converter.createQuantity(10, UnitType.WEIGHT).unit).toBe('lb');
+            expect(() => converter.createQuantity(10, UnitType.LENGTH, 'kg')).toThrow('Invalid length unit: kg');
+        });
+
+        test('should format quantities', () => {
+            expect(converter.formatWithUnit(new Quantity(1.5, 'm'), 'mm', 0)).toBe('1500 mm');
+        });
+    });
+
     describe('Unit Formatting', () => {
         test('should format value with unit', () => {
             expect(converter.formatWithUnit(10.1234, 'mm')).toBe('10.12 mm');